@@ -1,5 +1,15 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
+
+// Vérifier qu'un jeton d'accès appartient à une session encore active (ni révoquée, ni expirée)
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null
+
+  const session = await Session.findById(decoded.sid).select("userId revokedAt expiresAt")
+  if (!session || !session.isActive || !session.userId.equals(decoded.userId)) return null
+  return session
+}
 
 const auth = async (req, res, next) => {
   try {
@@ -19,8 +29,19 @@ const auth = async (req, res, next) => {
     // Vérifier et décoder le token
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
-    // Trouver l'utilisateur
-    const user = await User.findById(decoded.userId).select("-password")
+    // Trouver l'utilisateur et sa session
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select("-password"),
+      findActiveSession(decoded),
+    ])
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Session révoquée ou expirée.",
+        message: "Votre session n'est plus valide. Veuillez vous reconnecter.",
+      })
+    }
 
     if (!user) {
       return res.status(401).json({
@@ -39,8 +60,9 @@ const auth = async (req, res, next) => {
       })
     }
 
-    // Ajouter l'utilisateur à la requête
+    // Ajouter l'utilisateur et sa session à la requête
     req.user = user
+    req.sessionId = session._id
     next()
   } catch (error) {
     console.error("Erreur d'authentification:", error)
@@ -92,10 +114,14 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.replace("Bearer ", "")
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const user = await User.findById(decoded.userId).select("-password")
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select("-password"),
+      findActiveSession(decoded),
+    ])
 
-    if (user && user.isActive) {
+    if (user && user.isActive && session) {
       req.user = user
+      req.sessionId = session._id
     } else {
       req.user = null
     }
@@ -129,6 +155,21 @@ const authorize = (...roles) => {
   }
 }
 
+// Middleware pour réserver certaines fonctionnalités aux adresses email vérifiées.
+// Politique activée par EMAIL_VERIFICATION_REQUIRED=true ; sans elle, le middleware laisse tout passer.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.EMAIL_VERIFICATION_REQUIRED !== "true" || req.user?.emailVerified) {
+    return next()
+  }
+
+  res.status(403).json({
+    success: false,
+    error: "Adresse email non vérifiée.",
+    code: "EMAIL_NOT_VERIFIED",
+    message: "Confirmez votre adresse email pour accéder à cette fonctionnalité.",
+  })
+}
+
 // Middleware pour vérifier la propriété des ressources
 const checkResourceOwnership = (resourceModel, resourceIdParam = "id") => {
   return async (req, res, next) => {
@@ -170,6 +211,7 @@ module.exports = {
   auth,
   optionalAuth,
   authorize,
+  requireVerifiedEmail,
   checkResourceOwnership,
 }
 
@@ -0,0 +1,74 @@
+const rateLimit = require("express-rate-limit")
+
+// Limiteurs dédiés aux routes sensibles (envoi d'emails, de SMS...), en plus du limiteur global de server.js
+
+const tooManyRequests = (message) => ({
+  success: false,
+  error: "Trop de tentatives",
+  message,
+})
+
+// Demandes de réinitialisation du mot de passe par adresse IP
+const passwordResetIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: tooManyRequests("Trop de demandes de réinitialisation depuis cette adresse. Réessayez plus tard."),
+})
+
+// Demandes de réinitialisation du mot de passe par adresse email (évite de saturer une boîte de réception)
+const passwordResetEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `email:${String(req.body.email || "").toLowerCase()}`,
+  message: tooManyRequests("Trop de demandes de réinitialisation pour cette adresse email. Réessayez plus tard."),
+})
+
+// Envois de codes par SMS, par adresse IP (chaque SMS a un coût)
+const phoneCodeIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: tooManyRequests("Trop de demandes de code depuis cette adresse. Réessayez plus tard."),
+})
+
+// Envois de codes de connexion par numéro de téléphone
+const phoneCodeNumberLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `phone:${String(req.body.phone || "").replace(/^(\+221|00221)/, "")}`,
+  message: tooManyRequests("Trop de demandes de code pour ce numéro. Réessayez plus tard."),
+})
+
+// Tentatives de connexion par téléphone, par adresse IP
+const phoneLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: tooManyRequests("Trop de tentatives de connexion. Réessayez dans quelques minutes."),
+})
+
+// Saisies de codes de double authentification, par adresse IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: tooManyRequests("Trop de codes saisis. Réessayez dans quelques minutes."),
+})
+
+module.exports = {
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  phoneCodeIpLimiter,
+  phoneCodeNumberLimiter,
+  phoneLoginLimiter,
+  twoFactorLimiter,
+}
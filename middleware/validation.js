@@ -19,6 +19,22 @@ const handleValidationErrors = (req, res, next) => {
   next()
 }
 
+// Règles de robustesse communes à tous les nouveaux mots de passe
+const strongPassword = (field) =>
+  body(field)
+    .isLength({ min: 8 })
+    .withMessage("Le mot de passe doit contenir au moins 8 caractères")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage("Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre")
+
+// Règle commune aux codes de double authentification : code de l'application ou code de secours
+const twoFactorCode = () =>
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^(\d{6}|[A-Za-z0-9]{4}-?[A-Za-z0-9]{4})$/)
+    .withMessage("Saisissez le code à 6 chiffres de votre application ou un code de secours")
+
 // Validations pour l'authentification
 const validateSignup = [
   body("firstName")
@@ -46,11 +62,7 @@ const validateSignup = [
     .matches(/^(\+221|00221)?[0-9]{9}$/)
     .withMessage("Format de téléphone sénégalais invalide (ex: +221123456789 ou 123456789)"),
 
-  body("password")
-    .isLength({ min: 8 })
-    .withMessage("Le mot de passe doit contenir au moins 8 caractères")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage("Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre"),
+  strongPassword("password"),
 
   body("city")
     .isIn([
@@ -99,6 +111,129 @@ const validateLogin = [
   handleValidationErrors,
 ]
 
+// Validations pour le rafraîchissement des jetons
+const validateRefreshToken = [
+  body("refreshToken").isString().trim().notEmpty().withMessage("Le jeton de rafraîchissement est requis"),
+  handleValidationErrors,
+]
+
+// Validations pour la confirmation de l'adresse email
+const validateEmailVerification = [
+  body("token").isString().trim().notEmpty().withMessage("Le jeton de vérification est requis"),
+  handleValidationErrors,
+]
+
+// Validations pour la demande de réinitialisation du mot de passe
+const validateForgotPassword = [
+  body("email").isEmail().withMessage("Format d'email invalide").normalizeEmail(),
+  handleValidationErrors,
+]
+
+// Validations pour la réinitialisation du mot de passe
+const validateResetPassword = [
+  body("token").isString().trim().notEmpty().withMessage("Le jeton de réinitialisation est requis"),
+
+  strongPassword("password"),
+
+  handleValidationErrors,
+]
+
+// Validations pour le changement de mot de passe d'un utilisateur connecté
+const validateChangePassword = [
+  body("currentPassword").notEmpty().withMessage("Le mot de passe actuel est requis"),
+
+  strongPassword("newPassword"),
+
+  body("newPassword")
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage("Le nouveau mot de passe doit être différent de l'actuel"),
+
+  // Exigé par la route quand la double authentification est activée
+  twoFactorCode().optional(),
+
+  handleValidationErrors,
+]
+
+// Validations pour la fermeture du compte
+const validateAccountDeletion = [
+  body("password").notEmpty().withMessage("Le mot de passe est requis pour fermer le compte"),
+
+  body("permanent").optional().isBoolean().withMessage("permanent doit être un booléen").toBoolean(),
+
+  // La suppression définitive doit être confirmée explicitement
+  body("confirmation")
+    .if(body("permanent").equals("true"))
+    .equals("SUPPRIMER")
+    .withMessage('Tapez "SUPPRIMER" pour confirmer la suppression définitive'),
+
+  // Exigé par la route pour une suppression définitive quand la double authentification est activée
+  twoFactorCode().optional(),
+
+  handleValidationErrors,
+]
+
+// Validations pour la demande d'un code de connexion par SMS
+const validatePhoneCodeRequest = [
+  body("phone")
+    .trim()
+    .matches(/^(\+221|00221)?[0-9]{9}$/)
+    .withMessage("Format de téléphone sénégalais invalide (ex: +221123456789 ou 123456789)"),
+  handleValidationErrors,
+]
+
+// Validations pour la confirmation du numéro de téléphone
+const validatePhoneCode = [
+  body("code")
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Le code doit contenir 6 chiffres"),
+  handleValidationErrors,
+]
+
+// Validations pour la connexion par téléphone : mot de passe ou code reçu par SMS
+const validatePhoneLogin = [
+  body("phone")
+    .trim()
+    .matches(/^(\+221|00221)?[0-9]{9}$/)
+    .withMessage("Format de téléphone sénégalais invalide (ex: +221123456789 ou 123456789)"),
+
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Le code doit contenir 6 chiffres"),
+
+  body("password")
+    .custom((value, { req }) => Boolean(value) !== Boolean(req.body.code))
+    .withMessage("Fournissez soit le mot de passe, soit le code reçu par SMS"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la confirmation de l'activation de la double authentification
+const validateTwoFactorCode = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Saisissez le code à 6 chiffres de votre application"),
+  handleValidationErrors,
+]
+
+// Validations pour la seconde étape de la connexion
+const validateTwoFactorLogin = [
+  body("twoFactorToken").isString().trim().notEmpty().withMessage("Le jeton de connexion est requis"),
+  twoFactorCode(),
+  handleValidationErrors,
+]
+
+// Validations pour les opérations sensibles sur la double authentification (mot de passe et code)
+const validateTwoFactorReauth = [
+  body("password").notEmpty().withMessage("Le mot de passe est requis"),
+  twoFactorCode(),
+  handleValidationErrors,
+]
+
 // Validations pour les comptes
 const validateAccount = [
   body("name")
@@ -118,11 +253,23 @@ const validateAccount = [
       "Banque Atlantique",
       "BNDE",
       "Crédit du Sénégal",
+      "Wave",
+      "Orange Money",
+      "Free Money",
       "Autre",
     ])
     .withMessage("Banque non valide"),
 
-  body("type").isIn(["checking", "savings", "credit", "investment"]).withMessage("Type de compte non valide"),
+  body("type")
+    .isIn(["checking", "savings", "credit", "investment", "mobile_money"])
+    .withMessage("Type de compte non valide")
+    .custom((type, { req }) => {
+      const isMobileProvider = ["Wave", "Orange Money", "Free Money"].includes(req.body.bank)
+      if (isMobileProvider !== (type === "mobile_money")) {
+        throw new Error("Les comptes Wave, Orange Money et Free Money doivent être de type mobile_money")
+      }
+      return true
+    }),
 
   body("balance").optional().isFloat({ min: 0 }).withMessage("Le solde doit être un nombre positif"),
 
@@ -148,6 +295,67 @@ const validateAccount = [
   handleValidationErrors,
 ]
 
+// Validations pour les catégories
+const validateCategory = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Le nom de la catégorie doit contenir entre 1 et 100 caractères"),
+
+  body("type").isIn(["income", "expense"]).withMessage("Type de catégorie non valide"),
+
+  body("color")
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage("Format de couleur invalide (ex: #FF0000)"),
+
+  body("icon").optional().trim().isLength({ min: 1, max: 50 }).withMessage("Icône non valide"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("La description ne peut pas dépasser 500 caractères"),
+
+  body("parentCategory").optional({ values: "null" }).isMongoId().withMessage("ID de catégorie parente invalide"),
+
+  body("order").optional().isInt({ min: 0 }).withMessage("L'ordre doit être un entier positif"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la personnalisation d'une catégorie par défaut
+const validateCategoryOverride = [
+  body("name")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Le nom ne peut pas dépasser 100 caractères"),
+
+  body("color")
+    .optional({ values: "falsy" })
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage("Format de couleur invalide (ex: #FF0000)"),
+
+  body("icon").optional({ values: "null" }).trim().isLength({ max: 50 }).withMessage("Icône non valide"),
+
+  body("order").optional({ values: "null" }).isInt({ min: 0 }).withMessage("L'ordre doit être un entier positif"),
+
+  body("isHidden").optional().isBoolean().withMessage("isHidden doit être un booléen"),
+
+  handleValidationErrors,
+]
+
+// Validations pour le réordonnancement des catégories
+const validateCategoryReorder = [
+  body("categories").isArray({ min: 1 }).withMessage("La liste des catégories est requise"),
+
+  body("categories.*.id").isMongoId().withMessage("ID de catégorie invalide"),
+
+  body("categories.*.order").isInt({ min: 0 }).withMessage("L'ordre doit être un entier positif"),
+
+  handleValidationErrors,
+]
+
 // Validations pour les transactions - VERSION CORRIGÉE
 const validateTransaction = [
   // Validation pour accountId - MongoDB ObjectId
@@ -197,6 +405,12 @@ const validateTransaction = [
     .isIn(["cash", "card", "transfer", "mobile_money", "check", "other"])
     .withMessage("Méthode de paiement non valide"),
 
+  body("importReference")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("La référence ne peut pas dépasser 100 caractères"),
+
   body("currency")
     .optional()
     .isIn(["CFA", "EUR", "USD"])
@@ -214,10 +428,194 @@ const validateTransaction = [
     .withMessage("Un tag ne peut pas dépasser 50 caractères"),
 
   body("transferAccountId")
-    .optional()
+    .if(body("type").equals("transfer"))
+    .notEmpty()
+    .withMessage("Le compte de destination est requis pour un transfert")
     .isMongoId()
     .withMessage("ID de compte de destination invalide"),
 
+  body("exchangeRate").optional().isFloat({ gt: 0 }).withMessage("Le taux de change doit être positif"),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Les notes ne peuvent pas dépasser 1000 caractères"),
+
+  body("isRecurring").optional().isBoolean().withMessage("isRecurring doit être un booléen").toBoolean(),
+
+  body("recurringPattern")
+    .if(body("isRecurring").equals("true"))
+    .isObject()
+    .withMessage("Le motif de récurrence est requis pour une transaction récurrente"),
+
+  body("recurringPattern.frequency")
+    .if(body("isRecurring").equals("true"))
+    .isIn(["daily", "weekly", "monthly", "yearly"])
+    .withMessage("Fréquence de récurrence non valide"),
+
+  body("recurringPattern.interval")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("L'intervalle de récurrence doit être un entier positif"),
+
+  body("recurringPattern.endDate").optional().isISO8601().withMessage("Format de date de fin invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la modification des occurrences futures d'une transaction récurrente
+const validateRecurringUpdate = [
+  body("amount").optional().isFloat({ min: 0.01 }).withMessage("Le montant doit être supérieur à 0"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("La description doit contenir entre 1 et 500 caractères"),
+
+  body("categoryId").optional().isMongoId().withMessage("ID de catégorie invalide"),
+
+  body("accountId").optional().isMongoId().withMessage("ID de compte invalide"),
+
+  body("merchant")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Le nom du marchand ne peut pas dépasser 200 caractères"),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Les notes ne peuvent pas dépasser 1000 caractères"),
+
+  body("frequency")
+    .optional()
+    .isIn(["daily", "weekly", "monthly", "yearly"])
+    .withMessage("Fréquence de récurrence non valide"),
+
+  body("interval").optional().isInt({ min: 1 }).withMessage("L'intervalle de récurrence doit être un entier positif"),
+
+  body("endDate").optional({ values: "null" }).isISO8601().withMessage("Format de date de fin invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour l'import de relevés bancaires
+const validateImport = [
+  body("accountId").isMongoId().withMessage("ID de compte invalide"),
+
+  body("format").isIn(["csv", "ofx"]).withMessage("Format de fichier non valide (csv ou ofx)"),
+
+  body("content").isString().notEmpty().withMessage("Le contenu du relevé est requis"),
+
+  body("bank")
+    .optional()
+    .isIn([
+      "CBAO",
+      "SGBS",
+      "BOA",
+      "Ecobank",
+      "UBA",
+      "BHS",
+      "BICIS",
+      "Banque Atlantique",
+      "BNDE",
+      "Crédit du Sénégal",
+      "Wave",
+      "Orange Money",
+      "Free Money",
+      "Autre",
+    ])
+    .withMessage("Banque non valide"),
+
+  body("mapping").optional().isObject().withMessage("Le mapping des colonnes doit être un objet"),
+
+  body("dryRun").optional().isBoolean().withMessage("dryRun doit être un booléen"),
+
+  body("includeDuplicates").optional().isBoolean().withMessage("includeDuplicates doit être un booléen"),
+
+  body("exclude").optional().isArray().withMessage("exclude doit être un tableau d'index de lignes"),
+
+  body("categories")
+    .optional()
+    .isObject()
+    .withMessage("categories doit associer un index de ligne à une catégorie")
+    .bail()
+    .custom((categories) =>
+      Object.entries(categories).every(
+        ([index, categoryId]) =>
+          /^\d+$/.test(index) && typeof categoryId === "string" && /^[a-f\d]{24}$/i.test(categoryId),
+      ),
+    )
+    .withMessage("categories doit associer des index de ligne (entiers positifs) à des ID de catégorie valides"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la lecture des SMS mobile money
+const validateSmsParse = [
+  body("messages")
+    .custom((messages) => {
+      const list = Array.isArray(messages) ? messages : [messages]
+      if (list.length === 0 || list.length > 50 || list.some((text) => typeof text !== "string" || !text.trim())) {
+        throw new Error("Entre 1 et 50 SMS (texte non vide) sont requis")
+      }
+      return true
+    }),
+
+  body("accountId").optional().isMongoId().withMessage("ID de compte invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour l'export des transactions
+const validateExport = [
+  query("format")
+    .optional()
+    .isIn(["csv", "json", "jsonl", "ofx"])
+    .withMessage("Format d'export invalide (csv, json, jsonl ou ofx)"),
+
+  query("type").optional().isIn(["income", "expense", "transfer"]).withMessage("Type de transaction invalide"),
+
+  query("accountId").optional().isMongoId().withMessage("ID de compte invalide"),
+
+  query("startDate").optional().isISO8601().withMessage("Format de date de début invalide"),
+
+  query("endDate").optional().isISO8601().withMessage("Format de date de fin invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour les transferts entre comptes
+const validateTransfer = [
+  body("fromAccountId").isMongoId().withMessage("ID de compte source invalide"),
+
+  body("toAccountId")
+    .isMongoId()
+    .withMessage("ID de compte de destination invalide")
+    .custom((toAccountId, { req }) => {
+      if (toAccountId === req.body.fromAccountId) {
+        throw new Error("Le compte source et destination ne peuvent pas être identiques")
+      }
+      return true
+    }),
+
+  body("amount").isFloat({ min: 0.01 }).withMessage("Le montant doit être supérieur à 0"),
+
+  body("exchangeRate").optional().isFloat({ gt: 0 }).withMessage("Le taux de change doit être positif"),
+
+  body("categoryId").optional().isMongoId().withMessage("ID de catégorie invalide"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("La description doit contenir entre 1 et 500 caractères"),
+
+  body("date").optional().isISO8601().withMessage("Format de date invalide"),
+
   body("notes")
     .optional()
     .trim()
@@ -227,6 +625,39 @@ const validateTransaction = [
   handleValidationErrors,
 ]
 
+// Validations pour le rapprochement d'un compte
+const validateReconcile = [
+  body("correct").optional().isBoolean().withMessage("correct doit être un booléen").toBoolean(),
+
+  body("openingBalance").optional().isFloat().withMessage("Le solde d'ouverture doit être un nombre"),
+
+  handleValidationErrors,
+]
+
+// Validations pour les cours de change saisis par l'utilisateur
+const validateExchangeRate = [
+  param("currency")
+    .isIn(["USD"])
+    .withMessage("Seul le cours du dollar (USD) peut être saisi : EUR et CFA ont une parité fixe"),
+
+  body("rate").isFloat({ gt: 0 }).withMessage("Le taux doit être un nombre positif (francs CFA pour une unité)"),
+
+  body("effectiveDate").optional().isISO8601().withMessage("Format de date d'effet invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la conversion d'un montant
+const validateConversion = [
+  query("amount").isFloat().withMessage("Le montant doit être un nombre"),
+
+  query("from").isIn(["CFA", "EUR", "USD"]).withMessage("Devise d'origine non valide"),
+
+  query("to").optional().isIn(["CFA", "EUR", "USD"]).withMessage("Devise cible non valide"),
+
+  handleValidationErrors,
+]
+
 // Validations pour les budgets
 const validateBudget = [
   body("categoryId").isMongoId().withMessage("ID de catégorie invalide"),
@@ -257,6 +688,10 @@ const validateBudget = [
     .isFloat({ min: 0, max: 100 })
     .withMessage("Le seuil d'alerte doit être entre 0 et 100"),
 
+  body("rollover").optional().isBoolean().withMessage("rollover doit être un booléen"),
+
+  body("autoRenew").optional().isBoolean().withMessage("autoRenew doit être un booléen"),
+
   body("description")
     .optional()
     .trim()
@@ -319,6 +754,142 @@ const validateGoal = [
     .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
     .withMessage("Format de couleur invalide"),
 
+  body("status")
+    .optional()
+    .isIn(["active", "completed", "paused", "cancelled"])
+    .withMessage("Statut d'objectif non valide"),
+
+  body("sourceAccountId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("ID de compte source invalide"),
+
+  body("savingsAccountId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("ID de compte d'épargne invalide"),
+
+  body("autoSave.enabled").optional().isBoolean().withMessage("autoSave.enabled doit être un booléen"),
+
+  body("autoSave.amount")
+    .if(body("autoSave.enabled").equals("true"))
+    .isFloat({ min: 0.01 })
+    .withMessage("Le montant d'épargne automatique doit être supérieur à 0"),
+
+  body("autoSave.frequency")
+    .optional()
+    .isIn(["daily", "weekly", "monthly"])
+    .withMessage("Fréquence d'épargne automatique non valide"),
+
+  body("autoSave.nextDate").optional().isISO8601().withMessage("Format de date d'épargne automatique invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour un jalon d'objectif
+const validateMilestone = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Le nom du jalon doit contenir entre 1 et 100 caractères"),
+
+  body("amount").isFloat({ min: 0.01 }).withMessage("Le montant du jalon doit être supérieur à 0"),
+
+  body("reward")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("La récompense ne peut pas dépasser 200 caractères"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la modification d'un jalon
+const validateMilestoneUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Le nom du jalon doit contenir entre 1 et 100 caractères"),
+
+  body("amount").optional().isFloat({ min: 0.01 }).withMessage("Le montant du jalon doit être supérieur à 0"),
+
+  body("reward")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("La récompense ne peut pas dépasser 200 caractères"),
+
+  handleValidationErrors,
+]
+
+// Validations pour une contribution à un objectif
+const validateGoalContribution = [
+  body("amount").isFloat({ min: 0.01 }).withMessage("Le montant doit être supérieur à 0"),
+
+  body("note").optional().trim().isLength({ max: 500 }).withMessage("La note ne peut pas dépasser 500 caractères"),
+
+  body("date").optional().isISO8601().withMessage("Format de date invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour un retrait sur un objectif
+const validateGoalWithdrawal = [
+  body("amount").isFloat({ min: 0.01 }).withMessage("Le montant doit être supérieur à 0"),
+
+  body("reason")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Le motif du retrait doit contenir entre 1 et 200 caractères"),
+
+  body("note").optional().trim().isLength({ max: 500 }).withMessage("La note ne peut pas dépasser 500 caractères"),
+
+  body("date").optional().isISO8601().withMessage("Format de date invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la correction d'une contribution
+const validateContributionUpdate = [
+  body("amount").optional().isFloat({ min: 0.01 }).withMessage("Le montant doit être supérieur à 0"),
+
+  body("reason").optional().trim().isLength({ max: 200 }).withMessage("Le motif ne peut pas dépasser 200 caractères"),
+
+  body("note").optional().trim().isLength({ max: 500 }).withMessage("La note ne peut pas dépasser 500 caractères"),
+
+  body("date").optional().isISO8601().withMessage("Format de date invalide"),
+
+  handleValidationErrors,
+]
+
+// Validations pour la projection d'un objectif (simulation facultative)
+const validateGoalProjection = [
+  query("monthlyContribution")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Le versement mensuel doit être un nombre positif"),
+
+  query("targetDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Format de date cible invalide")
+    .custom((targetDate) => {
+      if (new Date(targetDate) <= new Date()) {
+        throw new Error("La date cible doit être dans le futur")
+      }
+      return true
+    }),
+
+  query("months").optional().isInt({ min: 1, max: 24 }).withMessage("L'historique doit couvrir entre 1 et 24 mois"),
+
+  handleValidationErrors,
+]
+
+// Validations pour l'inscription d'un appareil aux notifications push
+const validatePushToken = [
+  body("token").isString().trim().isLength({ min: 10, max: 500 }).withMessage("Jeton d'appareil invalide"),
+
   handleValidationErrors,
 ]
 
@@ -433,11 +1004,41 @@ const validateProfileUpdate = [
 module.exports = {
   validateSignup,
   validateLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateAccountDeletion,
+  validatePhoneCodeRequest,
+  validatePhoneCode,
+  validatePhoneLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorReauth,
   validateAccount,
+  validateCategory,
+  validateCategoryOverride,
+  validateCategoryReorder,
   validateTransaction,
+  validateRecurringUpdate,
+  validateImport,
+  validateExport,
+  validateSmsParse,
+  validateTransfer,
+  validateReconcile,
+  validateExchangeRate,
+  validateConversion,
   validateBudget,
   validateGoal,
+  validateGoalContribution,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateGoalProjection,
+  validateGoalWithdrawal,
+  validateContributionUpdate,
   validatePagination,
+  validatePushToken,
   validateMongoId,
   validateDateRange,
   validateProfileUpdate,
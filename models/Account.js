@@ -1,5 +1,8 @@
 const mongoose = require("mongoose")
 
+// Opérateurs de portefeuilles mobile money
+const MOBILE_MONEY_PROVIDERS = ["Wave", "Orange Money", "Free Money"]
+
 const accountSchema = new mongoose.Schema(
   {
     userId: {
@@ -27,13 +30,16 @@ const accountSchema = new mongoose.Schema(
         "Banque Atlantique",
         "BNDE",
         "Crédit du Sénégal",
+        "Wave",
+        "Orange Money",
+        "Free Money",
         "Autre",
       ],
     },
     type: {
       type: String,
       required: [true, "Le type de compte est requis"],
-      enum: ["checking", "savings", "credit", "investment"],
+      enum: ["checking", "savings", "credit", "investment", "mobile_money"],
       default: "checking",
     },
     balance: {
@@ -42,11 +48,17 @@ const accountSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Le solde ne peut pas être négatif"],
     },
+    // Solde à l'ouverture du compte, point de départ du recalcul du solde à partir des transactions.
+    // Absent sur les comptes créés avant son introduction : il doit alors être renseigné avant toute correction.
+    openingBalance: {
+      type: Number,
+    },
     currency: {
       type: String,
       default: "CFA",
       enum: ["CFA", "EUR", "USD"],
     },
+    // Pour un portefeuille mobile money, le numéro de téléphone associé
     accountNumber: {
       type: String,
       trim: true,
@@ -90,6 +102,7 @@ accountSchema.virtual("typeLabel").get(function () {
     savings: "Épargne",
     credit: "Crédit",
     investment: "Investissement",
+    mobile_money: "Mobile Money",
   }
   return types[this.type] || this.type
 })
@@ -102,6 +115,28 @@ accountSchema.virtual("formattedBalance").get(function () {
   }).format(this.balance)
 })
 
+// Un portefeuille mobile money est forcément tenu par un opérateur mobile money, et inversement
+accountSchema.pre("validate", function (next) {
+  const isMobileProvider = MOBILE_MONEY_PROVIDERS.includes(this.bank)
+  if (isMobileProvider !== (this.type === "mobile_money")) {
+    this.invalidate(
+      "type",
+      isMobileProvider
+        ? `Un compte ${this.bank} doit être de type mobile_money`
+        : "Un compte mobile_money doit être tenu par Wave, Orange Money ou Free Money",
+    )
+  }
+  next()
+})
+
+// Middleware pour mémoriser le solde d'ouverture à la création du compte
+accountSchema.pre("save", function (next) {
+  if (this.isNew && !this.isModified("openingBalance")) {
+    this.openingBalance = this.balance
+  }
+  next()
+})
+
 // Middleware pour valider le solde avant sauvegarde
 accountSchema.pre("save", function (next) {
   if (this.type === "credit" && this.balance < 0) {
@@ -155,4 +190,187 @@ accountSchema.statics.getAccountStats = async function (userId) {
   return stats
 }
 
+// Expression d'agrégation donnant la variation de solde d'un compte pour une transaction
+const balanceChangeExpression = (accountId) => ({
+  $switch: {
+    branches: [
+      { case: { $eq: ["$transferAccountId", accountId] }, then: { $ifNull: ["$transferAmount", "$amount"] } },
+      { case: { $eq: ["$type", "income"] }, then: "$amount" },
+    ],
+    default: { $multiply: ["$amount", -1] },
+  },
+})
+
+// Méthode statique pour obtenir les entrées et sorties d'un compte sur une période
+accountSchema.statics.getAccountFlows = async (accountId, startDate, endDate) => {
+  const Transaction = mongoose.model("Transaction")
+
+  const dateFilter = {}
+  if (startDate) dateFilter.$gte = new Date(startDate)
+  if (endDate) dateFilter.$lte = new Date(endDate)
+
+  const matchStage = {
+    $or: [{ accountId }, { transferAccountId: accountId }],
+    status: "completed",
+  }
+  if (startDate || endDate) {
+    matchStage.date = dateFilter
+  }
+
+  const result = await Transaction.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: null,
+        income: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$type", "income"] }, { $eq: ["$accountId", accountId] }] }, "$amount", 0] },
+        },
+        expenses: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$type", "expense"] }, { $eq: ["$accountId", accountId] }] }, "$amount", 0] },
+        },
+        transfersIn: {
+          $sum: {
+            $cond: [{ $eq: ["$transferAccountId", accountId] }, { $ifNull: ["$transferAmount", "$amount"] }, 0],
+          },
+        },
+        transfersOut: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ["$type", "transfer"] }, { $eq: ["$accountId", accountId] }] }, "$amount", 0],
+          },
+        },
+        transactionCount: { $sum: 1 },
+      },
+    },
+  ])
+
+  const flows = result[0] || { income: 0, expenses: 0, transfersIn: 0, transfersOut: 0, transactionCount: 0 }
+  delete flows._id
+
+  flows.inflow = flows.income + flows.transfersIn
+  flows.outflow = flows.expenses + flows.transfersOut
+  flows.net = flows.inflow - flows.outflow
+
+  return flows
+}
+
+// Méthode pour reconstituer l'historique du solde (solde de fin de journée) à partir du solde actuel
+accountSchema.methods.getBalanceHistory = async function (startDate, endDate = new Date()) {
+  const Transaction = mongoose.model("Transaction")
+
+  const dailyChanges = await Transaction.aggregate([
+    {
+      $match: {
+        $or: [{ accountId: this._id }, { transferAccountId: this._id }],
+        status: "completed",
+        date: { $gte: new Date(startDate) },
+      },
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+        change: { $sum: balanceChangeExpression(this._id) },
+      },
+    },
+    { $sort: { _id: -1 } },
+  ])
+
+  // Remonter le temps depuis le solde actuel
+  const history = []
+  const lastDay = new Date(endDate).toISOString().split("T")[0]
+  let balance = this.balance
+
+  for (const day of dailyChanges) {
+    if (day._id <= lastDay) {
+      history.push({ date: day._id, balance, change: day.change })
+    }
+    balance -= day.change
+  }
+
+  history.reverse()
+
+  return {
+    openingBalance: balance,
+    history,
+  }
+}
+
+// Méthode pour recalculer le solde à partir du solde d'ouverture et des transactions effectuées
+accountSchema.methods.computeLedgerBalance = async function () {
+  const Transaction = mongoose.model("Transaction")
+
+  const result = await Transaction.aggregate([
+    {
+      $match: {
+        $or: [{ accountId: this._id }, { transferAccountId: this._id }],
+        status: "completed",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: balanceChangeExpression(this._id) },
+        count: { $sum: 1 },
+      },
+    },
+  ])
+
+  return {
+    openingBalance: this.openingBalance ?? null,
+    hasOpeningBalance: this.openingBalance != null,
+    transactionsTotal: result[0]?.total || 0,
+    transactionCount: result[0]?.count || 0,
+    computedBalance: Math.round(((this.openingBalance || 0) + (result[0]?.total || 0)) * 100) / 100,
+  }
+}
+
+// Méthode pour rapprocher le solde enregistré du solde recalculé, et le corriger si demandé
+accountSchema.methods.reconcile = async function ({ correct = false, source = "api", performedBy = null } = {}) {
+  const Reconciliation = mongoose.model("Reconciliation")
+
+  const ledger = await this.computeLedgerBalance()
+
+  // Sans solde d'ouverture connu, le recalcul partirait de 0 et la correction effacerait le solde de départ réel
+  if (correct && !ledger.hasOpeningBalance) {
+    throw Object.assign(
+      new Error("Solde d'ouverture inconnu pour ce compte : renseignez-le (openingBalance) avant de corriger le solde"),
+      { status: 400 },
+    )
+  }
+
+  const storedBalance = this.balance
+  const discrepancy = Math.round((ledger.computedBalance - storedBalance) * 100) / 100
+  const corrected = correct && discrepancy !== 0
+
+  if (corrected) {
+    // Incrément plutôt qu'affectation : une transaction enregistrée entre-temps n'est pas écrasée
+    await this.constructor.updateOne({ _id: this._id }, { $inc: { balance: discrepancy } })
+    this.balance = storedBalance + discrepancy
+  }
+
+  const reconciliation = await Reconciliation.create({
+    userId: this.userId,
+    accountId: this._id,
+    storedBalance,
+    computedBalance: ledger.computedBalance,
+    openingBalance: ledger.openingBalance,
+    transactionCount: ledger.transactionCount,
+    discrepancy,
+    corrected,
+    source,
+    performedBy,
+  })
+
+  return {
+    accountId: this._id,
+    accountName: this.name,
+    storedBalance,
+    ...ledger,
+    discrepancy,
+    isBalanced: discrepancy === 0,
+    corrected,
+    balance: this.balance,
+    reconciliationId: reconciliation._id,
+  }
+}
+
 module.exports = mongoose.model("Account", accountSchema)
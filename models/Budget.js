@@ -1,5 +1,29 @@
 const mongoose = require("mongoose")
 
+// Durée de chaque période, en mois (la période hebdomadaire est traitée à part)
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12,
+}
+
+// Avancer une date d'une période, en restant sur le dernier jour du mois si besoin (31 janvier -> 28 février)
+const addPeriod = (date, period, count = 1) => {
+  const result = new Date(date)
+
+  if (period === "weekly") {
+    result.setUTCDate(result.getUTCDate() + 7 * count)
+    return result
+  }
+
+  const day = result.getUTCDate()
+  result.setUTCDate(1)
+  result.setUTCMonth(result.getUTCMonth() + PERIOD_MONTHS[period] * count)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+  result.setUTCDate(Math.min(day, lastDay))
+  return result
+}
+
 const budgetSchema = new mongoose.Schema(
   {
     userId: {
@@ -69,7 +93,13 @@ const budgetSchema = new mongoose.Schema(
       lastSent: {
         type: Date,
       },
+      // Statut du budget lors de la dernière alerte ("warning" ou "exceeded")
+      lastStatus: {
+        type: String,
+        enum: ["warning", "exceeded"],
+      },
     },
+    // Reliquat reporté de la période précédente (négatif en cas de dépassement)
     rollover: {
       enabled: {
         type: Boolean,
@@ -80,6 +110,19 @@ const budgetSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    // Renouvellement automatique à la fin de la période
+    autoRenew: {
+      type: Boolean,
+      default: true,
+    },
+    previousBudgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Budget",
+      default: null,
+    },
+    renewedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -94,18 +137,26 @@ budgetSchema.index({ categoryId: 1 })
 budgetSchema.index({ userId: 1, isActive: 1 })
 budgetSchema.index({ startDate: 1, endDate: 1 })
 budgetSchema.index({ userId: 1, period: 1 })
+budgetSchema.index({ isActive: 1, autoRenew: 1, endDate: 1 })
+budgetSchema.index({ previousBudgetId: 1 })
 
 // Index unique pour éviter les doublons
 budgetSchema.index({ userId: 1, categoryId: 1, startDate: 1 }, { unique: true })
 
+// Virtual pour le montant disponible sur la période (montant du budget + report éventuel)
+budgetSchema.virtual("available").get(function () {
+  return Math.max(0, this.amount + (this.rollover?.amount || 0))
+})
+
 // Virtual pour le pourcentage utilisé
 budgetSchema.virtual("percentageUsed").get(function () {
-  return this.amount > 0 ? Math.round((this.spent / this.amount) * 100) : 0
+  if (this.available > 0) return Math.round((this.spent / this.available) * 100)
+  return this.spent > 0 ? 100 : 0
 })
 
 // Virtual pour le montant restant
 budgetSchema.virtual("remaining").get(function () {
-  return Math.max(0, this.amount - this.spent)
+  return Math.max(0, this.available - this.spent)
 })
 
 // Virtual pour le statut du budget
@@ -151,12 +202,21 @@ budgetSchema.pre("save", function (next) {
 // Méthode pour mettre à jour le montant dépensé
 budgetSchema.methods.updateSpent = async function () {
   const Transaction = mongoose.model("Transaction")
+  const Category = mongoose.model("Category")
+
+  // Les dépenses des sous-catégories sont comptées dans le budget de la catégorie parente
+  const subcategories = await Category.find({ parentCategory: this.categoryId }).select("_id")
+  const categoryIds = [this.categoryId, ...subcategories.map((subcategory) => subcategory._id)]
+
+  // Le budget est exprimé dans la devise de l'utilisateur
+  const user = await mongoose.model("User").findById(this.userId).select("preferences.currency")
+  const converter = await mongoose.model("ExchangeRate").createConverter(this.userId, user?.preferences?.currency)
 
   const result = await Transaction.aggregate([
     {
       $match: {
         userId: this.userId,
-        categoryId: this.categoryId,
+        categoryId: { $in: categoryIds },
         type: "expense",
         status: "completed",
         date: {
@@ -168,7 +228,7 @@ budgetSchema.methods.updateSpent = async function () {
     {
       $group: {
         _id: null,
-        total: { $sum: "$amount" },
+        total: { $sum: converter.expression() },
       },
     },
   ])
@@ -177,6 +237,129 @@ budgetSchema.methods.updateSpent = async function () {
   return await this.save()
 }
 
+// Étapes d'agrégation calculant le montant dépensé d'un budget (mêmes règles que updateSpent).
+// `amount` est l'expression du montant à sommer, convertie dans la devise de l'utilisateur.
+budgetSchema.statics.spentLookupStages = (amount = "$amount") => [
+  {
+    $lookup: {
+      from: "categories",
+      localField: "categoryId",
+      foreignField: "parentCategory",
+      as: "subcategories",
+    },
+  },
+  {
+    $lookup: {
+      from: "transactions",
+      let: {
+        categoryIds: { $concatArrays: [["$categoryId"], "$subcategories._id"] },
+        startDate: "$startDate",
+        endDate: "$endDate",
+        userId: "$userId",
+      },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $in: ["$categoryId", "$$categoryIds"] },
+                { $eq: ["$userId", "$$userId"] },
+                { $eq: ["$type", "expense"] },
+                { $eq: ["$status", "completed"] },
+                { $gte: ["$date", "$$startDate"] },
+                { $lte: ["$date", "$$endDate"] },
+              ],
+            },
+          },
+        },
+        { $group: { _id: null, total: { $sum: amount } } },
+      ],
+      as: "spentResult",
+    },
+  },
+  {
+    $addFields: {
+      spent: { $ifNull: [{ $arrayElemAt: ["$spentResult.total", 0] }, 0] },
+      available: { $max: [0, { $add: ["$amount", { $ifNull: ["$rollover.amount", 0] }] }] },
+    },
+  },
+  { $project: { spentResult: 0, subcategories: 0 } },
+]
+
+// Méthode pour clôturer une période terminée et créer la suivante (puis les suivantes si plusieurs sont échues).
+// Retourne le nombre de budgets créés ; relancer le renouvellement ne crée pas de doublon.
+budgetSchema.methods.renew = async function (now = new Date()) {
+  const Budget = this.constructor
+  let current = this
+  let createdCount = 0
+
+  while (current.endDate < now) {
+    // Figer le montant dépensé de la période close
+    await current.updateSpent()
+
+    // La période suivante reprend la durée de la précédente et l'écart entre fin et début suivant
+    const startDate = addPeriod(current.startDate, current.period)
+    const endDate = new Date(addPeriod(startDate, current.period).getTime() - (startDate - current.endDate))
+    const carried = current.rollover.enabled
+      ? Math.round((current.amount + (current.rollover.amount || 0) - current.spent) * 100) / 100
+      : 0
+
+    // L'index unique (userId, categoryId, startDate) garantit qu'une période n'est créée qu'une fois
+    const key = { userId: current.userId, categoryId: current.categoryId, startDate }
+    let next = await Budget.findOne(key)
+    if (!next) {
+      try {
+        next = await Budget.create({
+          ...key,
+          name: current.name,
+          amount: current.amount,
+          period: current.period,
+          endDate,
+          alertThreshold: current.alertThreshold,
+          description: current.description,
+          color: current.color,
+          notifications: { enabled: current.notifications.enabled },
+          rollover: { enabled: current.rollover.enabled, amount: carried },
+          autoRenew: current.autoRenew,
+          previousBudgetId: current._id,
+        })
+        createdCount++
+      } catch (error) {
+        if (error.code !== 11000) throw error
+        next = await Budget.findOne(key)
+      }
+    }
+
+    await Budget.updateOne({ _id: current._id }, { $set: { isActive: false, renewedAt: now } })
+
+    // Une période suivante désactivée ou sans renouvellement interrompt la chaîne
+    if (!next.isActive || !next.autoRenew) break
+    current = next
+  }
+
+  if (current !== this) {
+    await current.updateSpent()
+  }
+
+  return createdCount
+}
+
+// Méthode statique pour renouveler tous les budgets dont la période est terminée
+budgetSchema.statics.renewExpiredBudgets = async function (now = new Date()) {
+  const expiredBudgets = await this.find({ isActive: true, autoRenew: true, endDate: { $lt: now } })
+  let createdCount = 0
+
+  for (const budget of expiredBudgets) {
+    try {
+      createdCount += await budget.renew(now)
+    } catch (error) {
+      console.error(`Erreur lors du renouvellement du budget ${budget._id}:`, error)
+    }
+  }
+
+  return createdCount
+}
+
 // Méthode pour vérifier si une alerte doit être envoyée
 budgetSchema.methods.shouldSendAlert = function () {
   if (!this.notifications.enabled) return false
@@ -184,6 +367,9 @@ budgetSchema.methods.shouldSendAlert = function () {
   const percentage = this.percentageUsed
   if (percentage < this.alertThreshold) return false
 
+  // Un dépassement qui suit un simple avertissement est signalé sans attendre
+  if (this.status === "exceeded" && this.notifications.lastStatus !== "exceeded") return true
+
   // Vérifier si une alerte a déjà été envoyée récemment (dans les dernières 24h)
   if (this.notifications.lastSent) {
     const daysSinceLastAlert = (Date.now() - this.notifications.lastSent) / (1000 * 60 * 60 * 24)
@@ -193,6 +379,16 @@ budgetSchema.methods.shouldSendAlert = function () {
   return true
 }
 
+// Méthode pour mémoriser l'envoi d'une alerte
+budgetSchema.methods.markAlertSent = async function (now = new Date()) {
+  this.notifications.lastSent = now
+  this.notifications.lastStatus = this.status
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { "notifications.lastSent": now, "notifications.lastStatus": this.notifications.lastStatus } },
+  )
+}
+
 // Méthode statique pour obtenir les budgets actifs d'un utilisateur
 budgetSchema.statics.getActiveBudgets = async function (userId) {
   const now = new Date()
@@ -75,8 +75,8 @@ categorySchema.virtual("subcategories", {
   foreignField: "parentCategory",
 })
 
-// Méthode statique pour obtenir les catégories d'un utilisateur
-categorySchema.statics.getUserCategories = async function (userId, type = null) {
+// Méthode statique pour obtenir les catégories d'un utilisateur (personnalisations incluses)
+categorySchema.statics.getUserCategories = async function (userId, type = null, { includeHidden = false } = {}) {
   const query = {
     $or: [{ userId: userId }, { isDefault: true }],
     isActive: true,
@@ -86,9 +86,67 @@ categorySchema.statics.getUserCategories = async function (userId, type = null)
     query.type = type
   }
 
-  return await this.find(query).sort({ order: 1, name: 1 })
+  const categories = await this.find(query).sort({ order: 1, name: 1 })
+  const overrides = await this.getUserOverrides(userId)
+
+  return categories
+    .map((category) => this.applyOverride(category, overrides.get(category._id.toString())))
+    .filter((category) => includeHidden || !category.isHidden)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name, "fr"))
+}
+
+// Méthode statique pour obtenir les personnalisations des catégories par défaut d'un utilisateur
+categorySchema.statics.getUserOverrides = async (userId) => {
+  const CategoryOverride = mongoose.model("CategoryOverride")
+  const overrides = await CategoryOverride.find({ userId })
+  return new Map(overrides.map((override) => [override.categoryId.toString(), override]))
+}
+
+// Méthode statique pour appliquer une personnalisation à une catégorie (document ou objet)
+categorySchema.statics.applyOverride = (category, override) => {
+  const result = category.toJSON ? category.toJSON() : { ...category }
+  result.isHidden = false
+
+  if (!override) return result
+
+  if (override.name) result.name = override.name
+  if (override.color) result.color = override.color
+  if (override.icon) result.icon = override.icon
+  if (override.order !== undefined && override.order !== null) result.order = override.order
+  result.isHidden = override.isHidden
+  result.isCustomized = true
+
+  return result
 }
 
+// Étapes d'agrégation appliquant les personnalisations de l'utilisateur à une catégorie jointe (ex: "$category")
+categorySchema.statics.overrideStages = (userId, field = "category") => [
+  {
+    $lookup: {
+      from: "categoryoverrides",
+      let: { categoryId: `$${field}._id` },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [{ $eq: ["$categoryId", "$$categoryId"] }, { $eq: ["$userId", userId] }],
+            },
+          },
+        },
+      ],
+      as: "categoryOverride",
+    },
+  },
+  {
+    $addFields: {
+      [`${field}.name`]: { $ifNull: [{ $arrayElemAt: ["$categoryOverride.name", 0] }, `$${field}.name`] },
+      [`${field}.color`]: { $ifNull: [{ $arrayElemAt: ["$categoryOverride.color", 0] }, `$${field}.color`] },
+      [`${field}.icon`]: { $ifNull: [{ $arrayElemAt: ["$categoryOverride.icon", 0] }, `$${field}.icon`] },
+    },
+  },
+  { $project: { categoryOverride: 0 } },
+]
+
 // Méthode statique pour créer les catégories par défaut
 categorySchema.statics.createDefaultCategories = async function () {
   const defaultCategories = [
@@ -108,6 +166,8 @@ categorySchema.statics.createDefaultCategories = async function () {
     { name: "Shopping", type: "expense", color: "#84CC16", icon: "ShoppingBag", isDefault: true },
     { name: "Factures", type: "expense", color: "#6366F1", icon: "Receipt", isDefault: true },
     { name: "Autres dépenses", type: "expense", color: "#64748B", icon: "MoreHorizontal", isDefault: true },
+    { name: "Transferts", type: "expense", color: "#94A3B8", icon: "ArrowLeftRight", isDefault: true },
+    { name: "Épargne", type: "expense", color: "#10B981", icon: "PiggyBank", isDefault: true },
   ]
 
   for (const category of defaultCategories) {
@@ -120,17 +180,71 @@ categorySchema.statics.createDefaultCategories = async function () {
   console.log("✅ Catégories par défaut créées")
 }
 
-// Méthode pour vérifier si une catégorie peut être supprimée
+// Méthode statique pour obtenir la catégorie par défaut des transferts entre comptes
+categorySchema.statics.getTransferCategory = async function () {
+  return await this.findOneAndUpdate(
+    { name: "Transferts", type: "expense", isDefault: true },
+    { $setOnInsert: { name: "Transferts", type: "expense", color: "#94A3B8", icon: "ArrowLeftRight", isDefault: true } },
+    { upsert: true, new: true },
+  )
+}
+
+// Méthode statique pour obtenir la catégorie par défaut de l'épargne mise de côté hors des comptes suivis
+// ("expense" pour les versements, "income" pour l'argent repris lors d'un retrait)
+categorySchema.statics.getSavingsCategory = async function (type = "expense") {
+  return await this.findOneAndUpdate(
+    { name: "Épargne", type, isDefault: true },
+    { $setOnInsert: { name: "Épargne", type, color: "#10B981", icon: "PiggyBank", isDefault: true } },
+    { upsert: true, new: true },
+  )
+}
+
+// Méthode pour vérifier si une catégorie peut être supprimée sans réaffectation
 categorySchema.methods.canBeDeleted = async function () {
   if (this.isDefault) {
     return false
   }
 
-  // Vérifier s'il y a des transactions liées
+  // Vérifier s'il y a des transactions ou des budgets liés
   const Transaction = mongoose.model("Transaction")
-  const transactionCount = await Transaction.countDocuments({ categoryId: this._id })
+  const Budget = mongoose.model("Budget")
+  const [transactionCount, budgetCount] = await Promise.all([
+    Transaction.countDocuments({ categoryId: this._id }),
+    Budget.countDocuments({ categoryId: this._id }),
+  ])
+
+  return transactionCount === 0 && budgetCount === 0
+}
+
+// Méthode pour obtenir l'ID de la catégorie et de ses sous-catégories
+categorySchema.methods.getCategoryIdsWithSubcategories = async function () {
+  const subcategories = await this.constructor.find({ parentCategory: this._id }).select("_id")
+  return [this._id, ...subcategories.map((subcategory) => subcategory._id)]
+}
+
+// Méthode statique pour construire l'arbre catégories / sous-catégories
+categorySchema.statics.buildTree = (categories) => {
+  const byParent = new Map()
+
+  for (const category of categories) {
+    const parentId = category.parentCategory ? category.parentCategory.toString() : null
+    if (!byParent.has(parentId)) byParent.set(parentId, [])
+    byParent.get(parentId).push(category)
+  }
+
+  const visibleIds = new Set(categories.map((category) => category._id.toString()))
+
+  // Une sous-catégorie dont le parent n'est pas visible est affichée à la racine
+  const roots = categories.filter(
+    (category) => !category.parentCategory || !visibleIds.has(category.parentCategory.toString()),
+  )
 
-  return transactionCount === 0
+  return roots.map((category) => ({
+    ...(category.toJSON ? category.toJSON() : category),
+    subcategories: (byParent.get(category._id.toString()) || []).map((subcategory) =>
+      subcategory.toJSON ? subcategory.toJSON() : subcategory,
+    ),
+  }))
 }
 
 module.exports = mongoose.model("Category", categorySchema)
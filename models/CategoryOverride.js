@@ -0,0 +1,44 @@
+const mongoose = require("mongoose")
+
+// Personnalisation d'une catégorie par défaut pour un utilisateur (sans modifier la catégorie globale)
+const categoryOverrideSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID utilisateur est requis"],
+    },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: [true, "L'ID de la catégorie est requis"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+    },
+    color: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, "Format de couleur invalide"],
+    },
+    icon: {
+      type: String,
+    },
+    order: {
+      type: Number,
+    },
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Une seule personnalisation par utilisateur et par catégorie
+categoryOverrideSchema.index({ userId: 1, categoryId: 1 }, { unique: true })
+
+module.exports = mongoose.model("CategoryOverride", categoryOverrideSchema)
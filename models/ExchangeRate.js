@@ -0,0 +1,108 @@
+const mongoose = require("mongoose")
+
+const CURRENCIES = ["CFA", "EUR", "USD"]
+
+// Parités fixes, exprimées en francs CFA pour une unité : elles priment sur la table
+const FIXED_RATES = {
+  CFA: 1,
+  EUR: 655.957,
+}
+
+// Cours d'une devise en francs CFA, à partir d'une date d'effet.
+// Sans userId, le cours est global (chargé depuis un fichier) ; avec, il est saisi par l'utilisateur et prime.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    currency: {
+      type: String,
+      required: [true, "La devise est requise"],
+      enum: CURRENCIES.filter((currency) => !FIXED_RATES[currency]),
+    },
+    rate: {
+      type: Number,
+      required: [true, "Le taux est requis"],
+      min: [0.000001, "Le taux doit être positif"],
+    },
+    effectiveDate: {
+      type: Date,
+      required: [true, "La date d'effet est requise"],
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "file"],
+      default: "manual",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index pour améliorer les performances
+exchangeRateSchema.index({ userId: 1, currency: 1, effectiveDate: -1 }, { unique: true })
+
+// Méthode statique pour obtenir le cours (en CFA) de chaque devise connue à une date donnée
+exchangeRateSchema.statics.getRates = async function (userId, date = new Date()) {
+  const entries = await this.find({
+    effectiveDate: { $lte: date },
+    $or: [{ userId: null }, { userId }],
+  }).sort({ effectiveDate: -1 })
+
+  const rates = { ...FIXED_RATES }
+  for (const currency of CURRENCIES.filter((code) => !FIXED_RATES[code])) {
+    const own = entries.find((entry) => entry.currency === currency && entry.userId)
+    const global = entries.find((entry) => entry.currency === currency && !entry.userId)
+    const entry = own || global
+    if (entry) rates[currency] = entry.rate
+  }
+
+  return rates
+}
+
+// Méthode statique pour obtenir le taux de conversion d'une devise vers une autre (null si inconnu)
+exchangeRateSchema.statics.getRate = async function (userId, from, to, date = new Date()) {
+  if (from === to) return 1
+  const rates = await this.getRates(userId, date)
+  return rates[from] && rates[to] ? rates[from] / rates[to] : null
+}
+
+// Méthode statique pour préparer la conversion de montants vers la devise de l'utilisateur.
+// Une devise sans cours connu n'est pas convertie et figure dans `missingRates`.
+exchangeRateSchema.statics.createConverter = async function (userId, currency = "CFA", date = new Date()) {
+  const rates = await this.getRates(userId, date)
+  const missingRates = CURRENCIES.filter((code) => !rates[code])
+  const factor = (from) => (rates[from] && rates[currency] ? rates[from] / rates[currency] : 1)
+
+  return {
+    currency,
+    convert: (amount, from = "CFA") => Math.round(amount * factor(from) * 100) / 100,
+    // Expression d'agrégation convertissant `amount` selon la devise lue dans `from`
+    expression: (amount = "$amount", from = "$currency") => ({
+      $round: [
+        {
+          $multiply: [
+            amount,
+            {
+              $switch: {
+                branches: CURRENCIES.map((code) => ({ case: { $eq: [from, code] }, then: factor(code) })),
+                default: 1,
+              },
+            },
+          ],
+        },
+        2,
+      ],
+    }),
+    summary: () => ({ currency, rates, missingRates }),
+  }
+}
+
+exchangeRateSchema.statics.CURRENCIES = CURRENCIES
+exchangeRateSchema.statics.FIXED_RATES = FIXED_RATES
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema)
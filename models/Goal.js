@@ -1,5 +1,12 @@
 const mongoose = require("mongoose")
 
+// Erreur métier avec un code HTTP (solde insuffisant, compte introuvable...)
+const goalError = (message, status = 400) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
 const goalSchema = new mongoose.Schema(
   {
     userId: {
@@ -67,6 +74,18 @@ const goalSchema = new mongoose.Schema(
       type: String,
       default: "Target",
     },
+    // Compte débité par les contributions : sans compte lié, les contributions ne font que suivre la progression
+    sourceAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Compte d'épargne crédité ; sans lui, l'argent quitte les comptes suivis (dépense « Épargne »)
+    savingsAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
     autoSave: {
       enabled: {
         type: Boolean,
@@ -84,6 +103,11 @@ const goalSchema = new mongoose.Schema(
       nextDate: {
         type: Date,
       },
+      // Dernier échec de l'épargne automatique (solde insuffisant...), effacé au prochain succès
+      lastFailure: {
+        date: Date,
+        reason: String,
+      },
     },
     milestones: [
       {
@@ -112,10 +136,14 @@ const goalSchema = new mongoose.Schema(
     ],
     contributions: [
       {
+        // Négatif pour un retrait
         amount: {
           type: Number,
           required: true,
-          min: [0.01, "Le montant de la contribution doit être supérieur à 0"],
+          validate: {
+            validator: (amount) => amount !== 0,
+            message: "Le montant de la contribution ne peut pas être nul",
+          },
         },
         date: {
           type: Date,
@@ -125,11 +153,22 @@ const goalSchema = new mongoose.Schema(
           type: String,
           maxlength: [500, "La note ne peut pas dépasser 500 caractères"],
         },
+        // Motif d'un retrait (dépense imprévue, urgence médicale...)
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Le motif ne peut pas dépasser 200 caractères"],
+        },
         source: {
           type: String,
-          enum: ["manual", "auto_save", "bonus", "transfer"],
+          enum: ["manual", "auto_save", "bonus", "transfer", "withdrawal"],
           default: "manual",
         },
+        // Transaction qui a déplacé l'argent depuis le compte source
+        transactionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Transaction",
+        },
       },
     ],
     notifications: {
@@ -159,6 +198,7 @@ goalSchema.index({ userId: 1 })
 goalSchema.index({ status: 1 })
 goalSchema.index({ userId: 1, status: 1 })
 goalSchema.index({ targetDate: 1 })
+goalSchema.index({ "contributions.transactionId": 1 }, { sparse: true })
 goalSchema.index({ category: 1 })
 goalSchema.index({ priority: 1 })
 
@@ -232,14 +272,22 @@ goalSchema.virtual("formattedCurrentAmount").get(function () {
   }).format(this.currentAmount)
 })
 
-// Middleware pour valider la date cible
+// Middleware pour valider la date cible (un objectif en retard peut toujours recevoir des contributions)
 goalSchema.pre("save", function (next) {
-  if (this.targetDate <= new Date()) {
+  if (this.isModified("targetDate") && this.targetDate <= new Date()) {
     return next(new Error("La date cible doit être dans le futur"))
   }
   next()
 })
 
+// Middleware pour planifier la première épargne automatique
+goalSchema.pre("save", function (next) {
+  if (this.autoSave?.enabled && !this.autoSave.nextDate) {
+    this.autoSave.nextDate = new Date()
+  }
+  next()
+})
+
 // Middleware pour mettre à jour le statut automatiquement
 goalSchema.pre("save", function (next) {
   if (this.currentAmount >= this.targetAmount && this.status === "active") {
@@ -248,28 +296,425 @@ goalSchema.pre("save", function (next) {
   next()
 })
 
-// Méthode pour ajouter une contribution
-goalSchema.methods.addContribution = async function (amount, note = "", source = "manual") {
+// Middleware pour vérifier que les comptes liés appartiennent à l'utilisateur
+goalSchema.pre("validate", async function (next) {
+  if (this.autoSave?.enabled && this.isModified("autoSave") && !this.sourceAccountId) {
+    return next(goalError("Un compte source est requis pour l'épargne automatique"))
+  }
+  if (!this.isModified("sourceAccountId") && !this.isModified("savingsAccountId")) return next()
+
+  if (this.savingsAccountId && !this.sourceAccountId) {
+    return next(goalError("Un compte source est requis pour alimenter le compte d'épargne"))
+  }
+  if (this.sourceAccountId && this.savingsAccountId && this.sourceAccountId.equals(this.savingsAccountId)) {
+    return next(goalError("Le compte source et le compte d'épargne ne peuvent pas être identiques"))
+  }
+
+  const accountIds = [this.sourceAccountId, this.savingsAccountId].filter(Boolean)
+  if (accountIds.length === 0) return next()
+
+  const count = await mongoose.model("Account").countDocuments({
+    _id: { $in: accountIds },
+    userId: this.userId,
+    isActive: true,
+  })
+  if (count !== accountIds.length) {
+    return next(goalError("Compte lié non trouvé", 404))
+  }
+  next()
+})
+
+// Vérifier qu'un compte (hors crédit) peut être débité du montant demandé (lu dans `session` s'il y en a une)
+const ensureBalance = async (accountId, userId, amount, label = "Compte source", session = null) => {
+  const account = await mongoose.model("Account").findOne({ _id: accountId, userId }).session(session)
+  if (!account || !account.isActive) throw goalError(`${label} non trouvé`, 404)
+  if (account.type !== "credit" && account.balance < amount) {
+    throw goalError(`Solde insuffisant sur le ${label.toLowerCase()}`)
+  }
+  return account
+}
+
+// Méthode pour mettre à jour les jalons et le statut après une variation du montant épargné.
+// Un retrait peut faire repasser un objectif atteint en "active" et annuler des jalons.
+// Les jalons nouvellement atteints sont annoncés après l'enregistrement (événement "milestoneReached"),
+// sauf avec `silent` (jalon créé ou modifié alors que le montant est déjà atteint).
+goalSchema.methods.refreshProgress = function ({ now = new Date(), silent = false } = {}) {
+  this.milestones.forEach((milestone) => {
+    const achieved = this.currentAmount >= milestone.amount
+    if (achieved && !milestone.achieved) {
+      milestone.achieved = true
+      milestone.achievedDate = now
+      if (!silent) {
+        this.$locals.reachedMilestones = [...(this.$locals.reachedMilestones || []), milestone]
+      }
+    } else if (!achieved && milestone.achieved) {
+      milestone.achieved = false
+      milestone.achievedDate = undefined
+    }
+  })
+
+  if (this.status === "completed" && this.currentAmount < this.targetAmount) {
+    this.status = "active"
+  }
+  return this
+}
+
+// Annoncer les jalons atteints une fois l'objectif enregistré (voir services/goalMilestones.js)
+goalSchema.post("save", function (goal) {
+  const reached = goal.$locals.reachedMilestones
+  if (!reached?.length) return
+
+  goal.$locals.reachedMilestones = []
+  for (const milestone of reached) {
+    goal.constructor.emit("milestoneReached", { goal, milestone })
+  }
+})
+
+// Méthode pour enregistrer une contribution en mémoire (montant épargné, jalons) ; retourne la contribution
+goalSchema.methods.recordContribution = function ({
+  amount,
+  note = "",
+  reason,
+  source = "manual",
+  date = new Date(),
+  transactionId,
+}) {
   this.contributions.push({
     amount,
     note,
+    reason,
     source,
-    date: new Date(),
+    date,
+    transactionId,
   })
 
   this.currentAmount += amount
+  this.refreshProgress()
 
-  // Vérifier les jalons
-  this.milestones.forEach((milestone) => {
-    if (!milestone.achieved && this.currentAmount >= milestone.amount) {
-      milestone.achieved = true
-      milestone.achievedDate = new Date()
+  return this.contributions[this.contributions.length - 1]
+}
+
+// Méthode pour ajouter une contribution (sans mouvement d'argent, voir contribute)
+goalSchema.methods.addContribution = async function (
+  amount,
+  note = "",
+  source = "manual",
+  { date = new Date(), transactionId } = {},
+) {
+  this.recordContribution({ amount, note, source, date, transactionId })
+  return await this.save()
+}
+
+// Méthode pour débiter le compte source du montant d'une contribution : transfert vers le compte d'épargne
+// s'il est lié, sinon dépense « Épargne ». Le solde est vérifié dans les deux cas.
+goalSchema.methods.moveFunds = async function (amount, { date = new Date(), note, session } = {}) {
+  const Transaction = mongoose.model("Transaction")
+  const description = `Épargne : ${this.name}`
+
+  if (this.savingsAccountId) {
+    return await Transaction.createTransfer({
+      userId: this.userId,
+      fromAccountId: this.sourceAccountId,
+      toAccountId: this.savingsAccountId,
+      amount,
+      description,
+      date,
+      notes: note,
+      session,
+    })
+  }
+
+  const account = await ensureBalance(this.sourceAccountId, this.userId, amount, "Compte source", session)
+  const category = await mongoose.model("Category").getSavingsCategory()
+  return await Transaction.createWithBalance(
+    {
+      userId: this.userId,
+      accountId: account._id,
+      categoryId: category._id,
+      type: "expense",
+      amount,
+      currency: account.currency,
+      description,
+      date,
+      paymentMethod: "transfer",
+      notes: note,
+    },
+    { session },
+  )
+}
+
+// Méthode pour contribuer à l'objectif : l'argent quitte le compte source (s'il est lié) et la contribution
+// est enregistrée avec l'identifiant de la transaction, dans une même transaction MongoDB (tout ou rien).
+// Avec `session`, l'objectif doit avoir été lu dans ce même essai de la transaction de l'appelant.
+goalSchema.methods.contribute = async function (
+  amount,
+  { note = "", source = "manual", date = new Date(), session } = {},
+) {
+  if (this.status !== "active") {
+    throw goalError("Seul un objectif actif peut recevoir des contributions")
+  }
+
+  // Préparée une seule fois : seules les écritures sont rejouées en cas de nouvel essai de la transaction
+  const contribution = this.recordContribution({ amount, note, source, date })
+
+  return await mongoose.model("Transaction").runInTransaction(
+    async (activeSession) => {
+      if (this.sourceAccountId) {
+        const transaction = await this.moveFunds(amount, { date, note, session: activeSession })
+        contribution.transactionId = transaction._id
+      }
+      return await this.save({ session: activeSession })
+    },
+    { session },
+  )
+}
+
+// Méthode pour rendre au compte source l'argent d'un retrait (symétrique de moveFunds) : transfert depuis
+// le compte d'épargne s'il est lié, sinon revenu « Épargne » sur le compte source. Sans compte lié, rien ne bouge.
+goalSchema.methods.returnFunds = async function (amount, { date = new Date(), reason, session } = {}) {
+  const Transaction = mongoose.model("Transaction")
+  const description = `Retrait épargne : ${this.name}`
+
+  if (this.savingsAccountId) {
+    return await Transaction.createTransfer({
+      userId: this.userId,
+      fromAccountId: this.savingsAccountId,
+      toAccountId: this.sourceAccountId,
+      amount,
+      description,
+      date,
+      notes: reason,
+      session,
+    })
+  }
+  if (!this.sourceAccountId) return null
+
+  const account = await mongoose
+    .model("Account")
+    .findOne({ _id: this.sourceAccountId, userId: this.userId, isActive: true })
+    .session(session)
+  if (!account) throw goalError("Compte source non trouvé", 404)
+
+  const category = await mongoose.model("Category").getSavingsCategory("income")
+  return await Transaction.createWithBalance(
+    {
+      userId: this.userId,
+      accountId: account._id,
+      categoryId: category._id,
+      type: "income",
+      amount,
+      currency: account.currency,
+      description,
+      date,
+      paymentMethod: "transfer",
+      notes: reason,
+    },
+    { session },
+  )
+}
+
+// Méthode pour obtenir le montant épargné qui a réellement quitté un compte : contributions liées à une
+// transaction, net des retraits déjà rendus. Les contributions saisies sans compte lié n'ont rien débité.
+goalSchema.methods.getFundedAmount = function () {
+  const funded = this.contributions
+    .filter((contribution) => contribution.transactionId)
+    .reduce((sum, contribution) => sum + contribution.amount, 0)
+  return Math.max(0, Math.round(funded * 100) / 100)
+}
+
+// Méthode pour retirer de l'argent de l'objectif, dans une même transaction MongoDB. Seule la part réellement
+// prélevée sur un compte y revient (voir returnFunds) ; le reste est enregistré comme un retrait sans transaction.
+goalSchema.methods.withdraw = async function (amount, { reason, note = "", date = new Date() } = {}) {
+  if (amount > this.currentAmount) {
+    throw goalError("Le retrait dépasse le montant épargné pour cet objectif")
+  }
+
+  // Préparé une seule fois : seules les écritures sont rejouées en cas de nouvel essai de la transaction
+  const returned = this.sourceAccountId ? Math.min(amount, this.getFundedAmount()) : 0
+  const unlinked = Math.round((amount - returned) * 100) / 100
+  const entry = { reason, note, source: "withdrawal", date }
+  const linked = returned > 0 ? this.recordContribution({ ...entry, amount: -returned }) : null
+  if (unlinked > 0) this.recordContribution({ ...entry, amount: -unlinked })
+
+  return await mongoose.model("Transaction").runInTransaction(async (session) => {
+    if (linked) {
+      const transaction = await this.returnFunds(returned, { date, reason, session })
+      if (transaction) linked.transactionId = transaction._id
+    }
+    return await this.save({ session })
+  })
+}
+
+// Trouver une contribution de l'objectif, ou lever une erreur 404
+const findContribution = (goal, contributionId) => {
+  const contribution = goal.contributions.id(contributionId)
+  if (!contribution) throw goalError("Contribution non trouvée", 404)
+  return contribution
+}
+
+// Méthode pour corriger une contribution saisie par erreur. La transaction liée est modifiée dans la même
+// transaction MongoDB que l'objectif ; le sens (versement ou retrait) ne peut pas changer.
+goalSchema.methods.updateContribution = async function (contributionId, { amount, note, reason, date }) {
+  const Transaction = mongoose.model("Transaction")
+  const contribution = findContribution(this, contributionId)
+  const isWithdrawal = contribution.amount < 0
+
+  const previousAmount = contribution.amount
+  const newAmount = amount === undefined ? previousAmount : (isWithdrawal ? -1 : 1) * Math.abs(amount)
+  const delta = newAmount - previousAmount
+  if (this.currentAmount + delta < 0) {
+    throw goalError("La modification rendrait le montant épargné négatif")
+  }
+  // Un retrait rendu à un compte ne peut pas dépasser ce qui a été prélevé sur les comptes
+  if (isWithdrawal && contribution.transactionId && -delta > this.getFundedAmount()) {
+    throw goalError("Le retrait dépasse le montant prélevé sur les comptes pour cet objectif")
+  }
+
+  // Préparé une seule fois : seules les écritures sont rejouées en cas de nouvel essai de la transaction
+  contribution.amount = newAmount
+  if (note !== undefined) contribution.note = note
+  if (reason !== undefined) contribution.reason = reason
+  if (date) contribution.date = date
+  this.currentAmount += delta
+  this.refreshProgress()
+
+  return await Transaction.runInTransaction(async (session) => {
+    const transaction = contribution.transactionId
+      ? await Transaction.findOne({ _id: contribution.transactionId, userId: this.userId }).session(session)
+      : null
+
+    if (transaction) {
+      // Le compte débité par la transaction doit couvrir l'augmentation (un revenu ne débite rien)
+      const increase = Math.abs(newAmount) - Math.abs(previousAmount)
+      if (increase > 0 && transaction.type !== "income") {
+        await ensureBalance(transaction.accountId, this.userId, increase, "Compte débité", session)
+      }
+
+      const changes = { amount: Math.abs(newAmount) }
+      if (transaction.type === "transfer") {
+        changes.transferAmount = Math.round(Math.abs(newAmount) * (transaction.exchangeRate || 1) * 100) / 100
+      }
+      if (date) changes.date = date
+      await transaction.updateWithBalance(changes, { session })
+    }
+
+    return await this.save({ session })
+  })
+}
+
+// Méthode pour supprimer une contribution : la transaction liée est supprimée et les soldes rétablis,
+// dans la même transaction MongoDB que l'objectif
+goalSchema.methods.removeContribution = async function (contributionId) {
+  const Transaction = mongoose.model("Transaction")
+  const contribution = findContribution(this, contributionId)
+  if (this.currentAmount - contribution.amount < 0) {
+    throw goalError("La suppression rendrait le montant épargné négatif")
+  }
+
+  // Préparé une seule fois : seules les écritures sont rejouées en cas de nouvel essai de la transaction
+  const { transactionId } = contribution
+  this.currentAmount -= contribution.amount
+  contribution.deleteOne()
+  this.refreshProgress()
+
+  return await Transaction.runInTransaction(async (session) => {
+    if (transactionId) {
+      const transaction = await Transaction.findOne({ _id: transactionId, userId: this.userId }).session(session)
+      if (transaction) await transaction.deleteWithBalance({ session })
     }
+
+    return await this.save({ session })
   })
+}
+
+// Méthode pour obtenir l'historique des contributions (les plus récentes d'abord), filtré par période et par sens
+goalSchema.methods.getContributions = function ({ startDate, endDate, type, limit = 20, offset = 0 } = {}) {
+  const filtered = this.contributions
+    .filter((contribution) => {
+      if (startDate && contribution.date < startDate) return false
+      if (endDate && contribution.date > endDate) return false
+      if (type === "deposit" && contribution.amount < 0) return false
+      if (type === "withdrawal" && contribution.amount > 0) return false
+      return true
+    })
+    .sort((a, b) => b.date - a.date)
+
+  const totals = filtered.reduce(
+    (sum, contribution) => {
+      if (contribution.amount > 0) sum.deposits += contribution.amount
+      else sum.withdrawals += -contribution.amount
+      return sum
+    },
+    { deposits: 0, withdrawals: 0 },
+  )
+
+  return {
+    contributions: filtered.slice(offset, offset + limit),
+    total: filtered.length,
+    totals: { ...totals, net: totals.deposits - totals.withdrawals },
+  }
+}
+
+// Pourcentages proposés pour les jalons automatiques
+const SUGGESTED_MILESTONE_PERCENTAGES = [25, 50, 75]
+
+// Vérifier qu'un jalon reste dans les limites de l'objectif
+const checkMilestoneAmount = (goal, amount) => {
+  if (amount > goal.targetAmount) {
+    throw goalError("Le montant du jalon ne peut pas dépasser le montant cible")
+  }
+}
+
+// Méthode pour proposer des jalons à 25, 50 et 75 % du montant cible (hors montants déjà couverts)
+goalSchema.methods.suggestMilestones = function () {
+  return SUGGESTED_MILESTONE_PERCENTAGES.map((percentage) => ({
+    name: `${percentage} % de l'objectif`,
+    amount: Math.round((this.targetAmount * percentage) / 100),
+    percentage,
+  })).filter(
+    (suggestion) =>
+      suggestion.amount > 0 && !this.milestones.some((milestone) => milestone.amount === suggestion.amount),
+  )
+}
+
+// Méthode pour ajouter des jalons ; un jalon déjà dépassé est marqué atteint sans être annoncé
+goalSchema.methods.addMilestones = async function (milestones) {
+  for (const { name, amount, reward } of milestones) {
+    checkMilestoneAmount(this, amount)
+    this.milestones.push({ name, amount, reward })
+  }
+  this.milestones.sort((a, b) => a.amount - b.amount)
+  this.refreshProgress({ silent: true })
 
   return await this.save()
 }
 
+// Méthode pour modifier un jalon
+goalSchema.methods.updateMilestone = async function (milestoneId, { name, amount, reward }) {
+  const milestone = this.milestones.id(milestoneId)
+  if (!milestone) throw goalError("Jalon non trouvé", 404)
+
+  if (name !== undefined) milestone.name = name
+  if (reward !== undefined) milestone.reward = reward
+  if (amount !== undefined) {
+    checkMilestoneAmount(this, amount)
+    milestone.amount = amount
+    this.milestones.sort((a, b) => a.amount - b.amount)
+  }
+  this.refreshProgress({ silent: true })
+
+  return await this.save()
+}
+
+// Méthode pour supprimer un jalon
+goalSchema.methods.removeMilestone = async function (milestoneId) {
+  const milestone = this.milestones.id(milestoneId)
+  if (!milestone) throw goalError("Jalon non trouvé", 404)
+
+  milestone.deleteOne()
+  return await this.save()
+}
+
 // Méthode pour calculer la prochaine épargne automatique
 goalSchema.methods.calculateNextAutoSave = function () {
   if (!this.autoSave.enabled) return null
@@ -292,6 +737,11 @@ goalSchema.methods.calculateNextAutoSave = function () {
   return nextDate
 }
 
+// Méthode statique pour trouver l'objectif dont une contribution est liée à une transaction
+goalSchema.statics.findByContributionTransaction = function (transactionId, userId) {
+  return this.findOne({ userId, "contributions.transactionId": transactionId })
+}
+
 // Méthode statique pour obtenir les objectifs actifs d'un utilisateur
 goalSchema.statics.getActiveGoals = async function (userId) {
   return await this.find({
@@ -334,26 +784,67 @@ goalSchema.statics.getGoalStats = async function (userId) {
   return result
 }
 
-// Méthode statique pour traiter les épargnes automatiques
-goalSchema.statics.processAutoSaves = async function () {
-  const now = new Date()
+// Méthode statique pour traiter les épargnes automatiques.
+// Chaque échéance est réservée, débitée et enregistrée dans une même transaction MongoDB : une exécution
+// concurrente (ou rejouée après un arrêt) ne retrouve plus l'échéance et ne débite pas deux fois.
+goalSchema.statics.processAutoSaves = async function (now = new Date()) {
+  const Transaction = mongoose.model("Transaction")
   const goalsToProcess = await this.find({
     "autoSave.enabled": true,
     "autoSave.nextDate": { $lte: now },
     status: "active",
   })
 
-  for (const goal of goalsToProcess) {
+  let processedCount = 0
+  for (const dueGoal of goalsToProcess) {
+    const due = dueGoal.autoSave.nextDate
+
     try {
-      await goal.addContribution(goal.autoSave.amount, "Épargne automatique", "auto_save")
-      goal.autoSave.nextDate = goal.calculateNextAutoSave()
-      await goal.save()
+      const processed = await Transaction.runInTransaction(async (session) => {
+        // Relu à chaque essai : l'échéance a pu être traitée entre-temps
+        const goal = await this.findOne({
+          _id: dueGoal._id,
+          status: "active",
+          "autoSave.enabled": true,
+          "autoSave.nextDate": due,
+        }).session(session)
+        if (!goal) return false
+
+        goal.autoSave.nextDate = goal.calculateNextAutoSave()
+        goal.autoSave.lastFailure = null
+        await goal.contribute(goal.autoSave.amount, {
+          note: "Épargne automatique",
+          source: "auto_save",
+          date: due,
+          session,
+        })
+        return true
+      })
+      if (processed) processedCount++
     } catch (error) {
-      console.error(`Erreur lors de l'épargne automatique pour l'objectif ${goal._id}:`, error)
+      // Échéance manquée (solde insuffisant...) : on passe à la suivante et l'échec reste visible sur l'objectif
+      console.error(`Erreur lors de l'épargne automatique pour l'objectif ${dueGoal._id}:`, error.message)
+
+      try {
+        await this.updateOne(
+          { _id: dueGoal._id, "autoSave.nextDate": due },
+          {
+            $set: {
+              "autoSave.nextDate": dueGoal.calculateNextAutoSave(),
+              "autoSave.lastFailure": { date: now, reason: error.message },
+            },
+          },
+        )
+      } catch (updateError) {
+        console.error(
+          `Erreur lors de la planification de l'épargne automatique pour l'objectif ${dueGoal._id}:`,
+          updateError,
+        )
+      }
     }
   }
 
-  return goalsToProcess.length
+  return processedCount
 }
 
 module.exports = mongoose.model("Goal", goalSchema)
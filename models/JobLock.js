@@ -0,0 +1,75 @@
+const mongoose = require("mongoose")
+
+// Verrou d'une tâche planifiée : une seule instance du serveur l'exécute à la fois.
+// Le verrou expire de lui-même (lockedUntil) si l'instance qui le détient s'arrête brutalement ;
+// tant que la tâche tourne, l'instance le prolonge régulièrement (voir extend).
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Nom de la tâche
+    _id: {
+      type: String,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: () => new Date(0),
+    },
+    // Fin du dernier passage réussi, toutes instances confondues
+    lastSucceededAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Méthode statique pour prendre le verrou ; retourne false s'il est détenu, y compris par la même instance
+// (un déclenchement manuel pendant un passage planifié ne doit pas exécuter la tâche une seconde fois).
+// Avec `notSucceededSince`, le verrou est aussi refusé si une instance a déjà réussi la tâche depuis cette date :
+// plusieurs serveurs planifiant la même tâche ne l'exécutent ainsi qu'une fois par intervalle.
+jobLockSchema.statics.acquire = async function (job, owner, { ttlMs, now = new Date(), notSucceededSince } = {}) {
+  const conditions = [{ lockedUntil: { $lte: now } }]
+  if (notSucceededSince) {
+    conditions.push({ $or: [{ lastSucceededAt: null }, { lastSucceededAt: { $lte: notSucceededSince } }] })
+  }
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: job, $and: conditions },
+      { $set: { lockedBy: owner, lockedAt: now, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true },
+    )
+    return Boolean(lock)
+  } catch (error) {
+    // Le document existe et le filtre ne correspond pas : l'upsert tente un doublon, le verrou est pris
+    if (error.code === 11000) return false
+    throw error
+  }
+}
+
+// Méthode statique pour prolonger le verrou pendant l'exécution ; retourne false s'il a été perdu
+jobLockSchema.statics.extend = async function (job, owner, { ttlMs, now = new Date() } = {}) {
+  const result = await this.updateOne(
+    { _id: job, lockedBy: owner },
+    { $set: { lockedUntil: new Date(now.getTime() + ttlMs) } },
+  )
+  return result.modifiedCount > 0
+}
+
+// Méthode statique pour libérer le verrou (uniquement par l'instance qui le détient)
+jobLockSchema.statics.release = async function (job, owner, { succeeded = false, now = new Date() } = {}) {
+  await this.updateOne(
+    { _id: job, lockedBy: owner },
+    { $set: { lockedBy: null, lockedUntil: now, ...(succeeded ? { lastSucceededAt: now } : {}) } },
+  )
+}
+
+module.exports = mongoose.model("JobLock", jobLockSchema)
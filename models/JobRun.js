@@ -0,0 +1,57 @@
+const mongoose = require("mongoose")
+
+// Journal d'exécution des tâches planifiées (une entrée par passage)
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: [true, "Le nom de la tâche est requis"],
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed", "skipped"],
+      default: "running",
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual", "cli"],
+      default: "schedule",
+    },
+    // Instance du serveur (ou script) qui a exécuté la tâche
+    instanceId: {
+      type: String,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index pour améliorer les performances
+jobRunSchema.index({ job: 1, startedAt: -1 })
+// Le journal est purgé automatiquement après 90 jours
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+module.exports = mongoose.model("JobRun", jobRunSchema)
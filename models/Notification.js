@@ -0,0 +1,84 @@
+const mongoose = require("mongoose")
+
+// Notification adressée à un utilisateur : affichée dans la boîte de réception de l'application
+// et, selon ses préférences, envoyée par email, push ou SMS
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID utilisateur est requis"],
+    },
+    type: {
+      type: String,
+      required: [true, "Le type de notification est requis"],
+      enum: ["budget_warning", "budget_exceeded", "goal_reminder", "goal_milestone", "system"],
+    },
+    title: {
+      type: String,
+      required: [true, "Le titre est requis"],
+      trim: true,
+      maxlength: [200, "Le titre ne peut pas dépasser 200 caractères"],
+    },
+    message: {
+      type: String,
+      required: [true, "Le message est requis"],
+      maxlength: [1000, "Le message ne peut pas dépasser 1000 caractères"],
+    },
+    // Données liées (budget concerné, pourcentage atteint...) pour l'affichage côté client
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    // Résultat de l'envoi sur chaque canal externe
+    deliveries: [
+      {
+        channel: {
+          type: String,
+          enum: ["email", "push", "sms"],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["sent", "failed", "skipped"],
+          required: true,
+        },
+        error: String,
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index pour améliorer les performances
+notificationSchema.index({ userId: 1, createdAt: -1 })
+notificationSchema.index({ userId: 1, isRead: 1 })
+
+// Méthode pour marquer la notification comme lue
+notificationSchema.methods.markAsRead = async function () {
+  if (this.isRead) return this
+  this.isRead = true
+  this.readAt = new Date()
+  return await this.save()
+}
+
+// Méthode statique pour marquer toutes les notifications d'un utilisateur comme lues
+notificationSchema.statics.markAllAsRead = async function (userId) {
+  const result = await this.updateMany({ userId, isRead: false }, { $set: { isRead: true, readAt: new Date() } })
+  return result.modifiedCount
+}
+
+module.exports = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose")
+
+// Trace d'audit de chaque rapprochement de solde (et de sa correction éventuelle)
+const reconciliationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID utilisateur est requis"],
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "L'ID du compte est requis"],
+    },
+    storedBalance: {
+      type: Number,
+      required: true,
+    },
+    computedBalance: {
+      type: Number,
+      required: true,
+    },
+    openingBalance: {
+      type: Number,
+      default: 0,
+    },
+    transactionCount: {
+      type: Number,
+      default: 0,
+    },
+    discrepancy: {
+      type: Number,
+      required: true,
+    },
+    corrected: {
+      type: Boolean,
+      default: false,
+    },
+    source: {
+      type: String,
+      enum: ["api", "script"],
+      default: "api",
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index pour améliorer les performances
+reconciliationSchema.index({ accountId: 1, createdAt: -1 })
+reconciliationSchema.index({ userId: 1, createdAt: -1 })
+
+module.exports = mongoose.model("Reconciliation", reconciliationSchema)
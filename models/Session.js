@@ -0,0 +1,134 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Durée de vie d'une session (renouvelée à chaque rafraîchissement)
+const SESSION_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+// Nombre de jetons déjà utilisés conservés pour détecter leur réutilisation
+const USED_TOKENS_KEPT = 100
+
+// Erreur d'authentification avec un code HTTP
+const sessionError = (message, status = 401) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+const generateToken = () => crypto.randomBytes(48).toString("base64url")
+const sessionExpiry = (now) => new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+// Session de connexion d'un appareil : famille de jetons de rafraîchissement.
+// Seule l'empreinte SHA-256 des jetons est stockée ; chaque rafraîchissement remplace le jeton (rotation)
+// et la présentation d'un jeton déjà remplacé révoque toute la session (vol probable du jeton).
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'ID utilisateur est requis"],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    usedTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastRefreshedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "reuse_detected", "password_reset", "password_change", "account_closed"],
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index pour améliorer les performances
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true })
+sessionSchema.index({ usedTokenHashes: 1 })
+sessionSchema.index({ userId: 1, revokedAt: 1 })
+// Les sessions expirées sont purgées automatiquement
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Virtual pour savoir si la session peut encore être utilisée
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+// Méthode statique pour ouvrir une session ; retourne la session et le jeton de rafraîchissement en clair
+sessionSchema.statics.start = async function (userId, { userAgent, ip, now = new Date() } = {}) {
+  const refreshToken = generateToken()
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: sessionExpiry(now),
+    userAgent: userAgent?.slice(0, 500),
+    ip,
+  })
+  return { session, refreshToken }
+}
+
+// Méthode statique pour échanger un jeton de rafraîchissement contre un nouveau.
+// Un jeton déjà échangé révoque la session entière : l'appareil légitime devra se reconnecter.
+sessionSchema.statics.rotate = async function (refreshToken, { now = new Date() } = {}) {
+  const tokenHash = hashToken(refreshToken)
+  const nextToken = generateToken()
+
+  // Mise à jour conditionnelle : deux rafraîchissements simultanés ne peuvent pas réussir tous les deux
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), expiresAt: sessionExpiry(now), lastRefreshedAt: now },
+      $push: { usedTokenHashes: { $each: [tokenHash], $slice: -USED_TOKENS_KEPT } },
+    },
+    { new: true },
+  )
+  if (session) return { session, refreshToken: nextToken }
+
+  const reused = await this.findOne({ usedTokenHashes: tokenHash })
+  if (reused) {
+    if (!reused.revokedAt) await reused.revoke("reuse_detected", now)
+    console.warn(`⚠️  Réutilisation d'un jeton de rafraîchissement : session ${reused._id} révoquée`)
+    throw sessionError("Jeton de rafraîchissement déjà utilisé. Session révoquée, veuillez vous reconnecter.")
+  }
+
+  throw sessionError("Jeton de rafraîchissement invalide ou expiré")
+}
+
+// Méthode pour révoquer la session
+sessionSchema.methods.revoke = async function (reason = "logout", now = new Date()) {
+  this.revokedAt = now
+  this.revokedReason = reason
+  return await this.save()
+}
+
+// Méthode statique pour révoquer toutes les sessions d'un utilisateur (sauf éventuellement la session courante)
+sessionSchema.statics.revokeAll = async function (userId, reason = "logout_all", { except } = {}) {
+  const filter = { userId, revokedAt: null }
+  if (except) filter._id = { $ne: except }
+
+  const result = await this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } })
+  return result.modifiedCount
+}
+
+module.exports = mongoose.model("Session", sessionSchema)
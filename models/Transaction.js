@@ -22,10 +22,11 @@ const transactionSchema = new mongoose.Schema(
       required: [true, "Le type de transaction est requis"],
       enum: ["income", "expense", "transfer"],
     },
+    // Toujours positif : le sens (entrée ou sortie) est donné par le type
     amount: {
       type: Number,
       required: [true, "Le montant est requis"],
-      min: [0.01, "Le montant doit être supérieur à 0"],
+      min: [0.01, "Le montant doit être supérieur à 0 (le sens est donné par le type)"],
     },
     description: {
       type: String,
@@ -92,11 +93,56 @@ const transactionSchema = new mongoose.Schema(
         min: 1,
       },
       endDate: Date,
+      nextDate: Date,
+      isPaused: {
+        type: Boolean,
+        default: false,
+      },
+      skippedDates: [Date],
+      // Modifications appliquées aux occurrences futures uniquement
+      overrides: {
+        amount: {
+          type: Number,
+          min: [0.01, "Le montant doit être supérieur à 0"],
+        },
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [500, "La description ne peut pas dépasser 500 caractères"],
+        },
+        categoryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+        accountId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Account",
+        },
+        merchant: String,
+        notes: String,
+      },
+    },
+    // Identifiant de l'opération dans le relevé bancaire importé (FITID OFX, référence CSV)
+    importReference: {
+      type: String,
+      trim: true,
+    },
+    recurringParentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    occurrenceDate: {
+      type: Date,
     },
     transferAccountId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Account",
     },
+    // Montant crédité sur le compte de destination d'un transfert, dans la devise de ce compte
+    transferAmount: {
+      type: Number,
+      min: [0, "Le montant transféré doit être positif"],
+    },
     status: {
       type: String,
       enum: ["pending", "completed", "cancelled"],
@@ -123,6 +169,14 @@ transactionSchema.index({ type: 1 })
 transactionSchema.index({ userId: 1, date: -1 })
 transactionSchema.index({ userId: 1, type: 1 })
 transactionSchema.index({ userId: 1, accountId: 1, date: -1 })
+transactionSchema.index({ isRecurring: 1, "recurringPattern.nextDate": 1 })
+transactionSchema.index({ accountId: 1, importReference: 1 }, { sparse: true })
+
+// Index unique pour ne jamais générer deux fois la même occurrence
+transactionSchema.index(
+  { recurringParentId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringParentId: { $exists: true } } },
+)
 
 // Index pour la recherche textuelle
 transactionSchema.index({ description: "text", merchant: "text", notes: "text" })
@@ -148,6 +202,50 @@ transactionSchema.virtual("paymentMethodLabel").get(function () {
   return methods[this.paymentMethod] || this.paymentMethod
 })
 
+// Ajouter un intervalle à une date en conservant le jour d'ancrage (ex: loyer le 31 -> 30 avril)
+const addInterval = (date, frequency, interval = 1, anchorDay = date.getDate()) => {
+  const next = new Date(date)
+
+  switch (frequency) {
+    case "daily":
+      next.setDate(next.getDate() + interval)
+      break
+    case "weekly":
+      next.setDate(next.getDate() + 7 * interval)
+      break
+    case "monthly":
+    case "yearly": {
+      const months = frequency === "monthly" ? interval : 12 * interval
+      next.setDate(1)
+      next.setMonth(next.getMonth() + months)
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()
+      next.setDate(Math.min(anchorDay, lastDay))
+      break
+    }
+  }
+
+  return next
+}
+
+// Middleware pour initialiser la prochaine occurrence d'une transaction récurrente
+transactionSchema.pre("save", function (next) {
+  if (!this.isRecurring) return next()
+
+  if (!this.recurringPattern || !this.recurringPattern.frequency) {
+    return next(new Error("La fréquence est requise pour une transaction récurrente"))
+  }
+
+  if (!this.recurringPattern.interval) {
+    this.recurringPattern.interval = 1
+  }
+
+  if (!this.recurringPattern.nextDate) {
+    this.recurringPattern.nextDate = this.calculateNextOccurrence(this.date)
+  }
+
+  next()
+})
+
 // Middleware pour valider les transferts
 transactionSchema.pre("save", function (next) {
   if (this.type === "transfer" && !this.transferAccountId) {
@@ -161,35 +259,358 @@ transactionSchema.pre("save", function (next) {
   next()
 })
 
-// Middleware pour mettre à jour le solde du compte après une transaction
-transactionSchema.post("save", async (doc) => {
-  try {
-    const Account = mongoose.model("Account")
-    const account = await Account.findById(doc.accountId)
-
-    if (account) {
-      if (doc.type === "income") {
-        account.balance += doc.amount
-      } else if (doc.type === "expense") {
-        account.balance -= doc.amount
-      } else if (doc.type === "transfer") {
-        // Débit du compte source
-        account.balance -= doc.amount
-
-        // Crédit du compte destination
-        const destinationAccount = await Account.findById(doc.transferAccountId)
-        if (destinationAccount) {
-          destinationAccount.balance += doc.amount
-          await destinationAccount.save()
-        }
+// Exécuter une opération dans une transaction MongoDB (tout est écrit, ou rien).
+// `work` peut être rejoué en cas d'erreur transitoire : connection.transaction rétablit alors l'état
+// des documents sauvegardés (champs modifiés, isNew) pour que le nouvel essai les réécrive.
+// Avec `session`, l'opération rejoint la transaction de l'appelant (écritures liées sur d'autres modèles).
+const withSession = async (work, session) =>
+  session ? await work(session) : await mongoose.connection.transaction((newSession) => work(newSession))
+
+// Appliquer (direction = 1) ou annuler (direction = -1) des effets sur les soldes des comptes
+const applyBalanceEffects = async (effects, session, direction = 1) => {
+  const Account = mongoose.model("Account")
+
+  for (const effect of effects) {
+    await Account.updateOne({ _id: effect.accountId }, { $inc: { balance: direction * effect.amount } }, { session })
+  }
+}
+
+// Méthode pour obtenir les effets d'une transaction sur les soldes (seules les transactions effectuées comptent)
+transactionSchema.methods.getBalanceEffects = function () {
+  if (this.status !== "completed") return []
+
+  switch (this.type) {
+    case "income":
+      return [{ accountId: this.accountId, amount: this.amount }]
+    case "expense":
+      return [{ accountId: this.accountId, amount: -this.amount }]
+    case "transfer":
+      return [
+        { accountId: this.accountId, amount: -this.amount },
+        { accountId: this.transferAccountId, amount: this.transferAmount ?? this.amount },
+      ]
+    default:
+      return []
+  }
+}
+
+// Expression d'agrégation : le montant si la transaction est du type demandé, sinon `otherwise`.
+// À utiliser dans toutes les agrégations plutôt que de tester le signe du montant.
+// `amount` permet de sommer le montant converti (voir ExchangeRate.createConverter).
+transactionSchema.statics.amountOfType = (type, otherwise = 0, amount = "$amount") => ({
+  $cond: [{ $eq: ["$type", type] }, amount, otherwise],
+})
+
+// Méthode statique pour exécuter des écritures liées aux soldes dans une même transaction MongoDB.
+// Le callback peut être rejoué : les documents modifiés doivent y être relus à chaque essai.
+transactionSchema.statics.runInTransaction = async (work, { session } = {}) => await withSession(work, session)
+
+// Méthode statique pour créer une transaction et mettre à jour les soldes de façon atomique
+transactionSchema.statics.createWithBalance = async function (data, { session } = {}) {
+  return await withSession(async (activeSession) => {
+    const transaction = new this(data)
+    await transaction.save({ session: activeSession })
+    await applyBalanceEffects(transaction.getBalanceEffects(), activeSession)
+    return transaction
+  }, session)
+}
+
+// Méthode pour modifier une transaction : les anciens effets sont annulés puis les nouveaux appliqués
+// (changement de montant, de type ou de compte). Avec `session`, la transaction doit avoir été lue
+// dans ce même essai de la transaction de l'appelant.
+transactionSchema.methods.updateWithBalance = async function (changes, { session } = {}) {
+  // Calculés une seule fois : le callback de la transaction peut être rejoué, `this` porte alors déjà
+  // les nouvelles valeurs et les « anciens » effets seraient faux
+  const previousEffects = this.getBalanceEffects()
+  this.set(changes)
+
+  return await withSession(async (activeSession) => {
+    await this.save({ session: activeSession })
+
+    await applyBalanceEffects(previousEffects, activeSession, -1)
+    await applyBalanceEffects(this.getBalanceEffects(), activeSession)
+    return this
+  }, session)
+}
+
+// Méthode pour supprimer une transaction en remboursant ses effets sur les soldes
+transactionSchema.methods.deleteWithBalance = async function ({ session } = {}) {
+  return await withSession(async (activeSession) => {
+    await this.deleteOne({ session: activeSession })
+    await applyBalanceEffects(this.getBalanceEffects(), activeSession, -1)
+    return this
+  }, session)
+}
+
+// Méthode pour calculer l'occurrence suivant une date donnée
+transactionSchema.methods.calculateNextOccurrence = function (fromDate) {
+  const { frequency, interval = 1 } = this.recurringPattern
+  return addInterval(fromDate, frequency, interval, this.date.getDate())
+}
+
+// Méthode pour recalculer la prochaine échéance après un changement de rythme ou de date de fin, à partir de la
+// dernière échéance déjà passée (occurrence générée ou sautée, à défaut la date du modèle). Retourne null si elle
+// tombe après la date de fin.
+transactionSchema.methods.rescheduleNextDate = async function () {
+  const pattern = this.recurringPattern
+  const lastOccurrence = await this.constructor
+    .findOne({ recurringParentId: this._id })
+    .sort({ occurrenceDate: -1 })
+    .select("occurrenceDate")
+  const passed = [
+    this.date,
+    lastOccurrence?.occurrenceDate,
+    ...(pattern.skippedDates || []).filter((date) => !pattern.nextDate || date < pattern.nextDate),
+  ].filter(Boolean)
+
+  const nextDate = this.calculateNextOccurrence(new Date(Math.max(...passed.map((date) => date.getTime()))))
+  return pattern.endDate && nextDate > pattern.endDate ? null : nextDate
+}
+
+// Méthode pour savoir si une série récurrente est terminée à une date donnée
+transactionSchema.methods.isSeriesEnded = function () {
+  const { endDate, nextDate } = this.recurringPattern
+  if (!nextDate) return true
+  return Boolean(endDate && nextDate > endDate)
+}
+
+// Méthode pour calculer le montant crédité d'une occurrence de transfert entre devises :
+// un montant modifié pour les occurrences futures est converti au même taux que le modèle
+transactionSchema.methods.getOccurrenceTransferAmount = function (amount) {
+  if (this.transferAmount == null || !amount) return this.transferAmount
+  return Math.round(((this.transferAmount * amount) / this.amount) * 100) / 100
+}
+
+// Méthode pour générer les occurrences échues d'une transaction récurrente
+transactionSchema.methods.materializeOccurrences = async function (now = new Date()) {
+  const Transaction = this.constructor
+  const pattern = this.recurringPattern
+  const overrides = pattern.overrides || {}
+  const created = []
+
+  while (pattern.nextDate && pattern.nextDate <= now) {
+    const occurrenceDate = pattern.nextDate
+
+    if (pattern.endDate && occurrenceDate > pattern.endDate) {
+      pattern.nextDate = null
+      break
+    }
+
+    const isSkipped = (pattern.skippedDates || []).some((date) => date.getTime() === occurrenceDate.getTime())
+
+    if (!isSkipped) {
+      try {
+        const occurrence = await Transaction.createWithBalance({
+          userId: this.userId,
+          accountId: overrides.accountId || this.accountId,
+          categoryId: overrides.categoryId || this.categoryId,
+          type: this.type,
+          amount: overrides.amount || this.amount,
+          description: overrides.description || this.description,
+          date: occurrenceDate,
+          merchant: overrides.merchant || this.merchant,
+          paymentMethod: this.paymentMethod,
+          currency: this.currency,
+          exchangeRate: this.exchangeRate,
+          tags: this.tags,
+          transferAccountId: this.transferAccountId,
+          transferAmount: this.getOccurrenceTransferAmount(overrides.amount),
+          notes: overrides.notes || this.notes,
+          recurringParentId: this._id,
+          occurrenceDate,
+        })
+
+        created.push(occurrence)
+      } catch (error) {
+        // Occurrence déjà générée (redémarrage pendant le traitement) : on passe à la suivante
+        if (error.code !== 11000) throw error
       }
+    }
+
+    pattern.nextDate = this.calculateNextOccurrence(occurrenceDate)
+  }
+
+  // Seule la prochaine échéance du modèle change
+  await Transaction.updateOne({ _id: this._id }, { $set: { "recurringPattern.nextDate": pattern.nextDate } })
+  return created
+}
 
-      await account.save()
+// Méthode statique pour générer toutes les occurrences récurrentes échues
+transactionSchema.statics.processRecurringTransactions = async function (now = new Date()) {
+  const templates = await this.find({
+    isRecurring: true,
+    status: "completed",
+    "recurringPattern.isPaused": { $ne: true },
+    "recurringPattern.nextDate": { $lte: now },
+  })
+
+  let createdCount = 0
+
+  for (const template of templates) {
+    try {
+      const created = await template.materializeOccurrences(now)
+      createdCount += created.length
+    } catch (error) {
+      console.error(`Erreur lors de la génération de la transaction récurrente ${template._id}:`, error)
     }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour du solde:", error)
   }
-})
+
+  return createdCount
+}
+
+// Méthode statique pour enregistrer un lot de transactions importées sur un compte.
+// Le solde du compte est mis à jour une seule fois, avec le total net du lot.
+transactionSchema.statics.importBatch = async function (account, documents) {
+  const Account = mongoose.model("Account")
+
+  return await withSession(async (session) => {
+    const transactions = await this.insertMany(documents, { session })
+
+    const net = transactions.reduce((total, transaction) => {
+      const effect = transaction.getBalanceEffects().find((e) => e.accountId.equals(account._id))
+      return total + (effect ? effect.amount : 0)
+    }, 0)
+
+    await Account.updateOne({ _id: account._id }, { $inc: { balance: net } }, { session })
+
+    return { transactions, net }
+  })
+}
+
+// Méthode statique pour déplacer toutes les transactions d'un compte vers un autre.
+// Le solde restant suit les transactions afin que le total des comptes ne change pas.
+transactionSchema.statics.reassignAccount = async function (fromAccount, toAccount) {
+  const Account = mongoose.model("Account")
+
+  return await withSession(async (session) => {
+    // Les transferts entre les deux comptes deviendraient des transferts du compte vers lui-même : ils sont
+    // supprimés. Leur effet s'annule une fois le solde regroupé, les soldes ne sont donc pas touchés.
+    await this.deleteMany(
+      {
+        type: "transfer",
+        $or: [
+          { accountId: fromAccount._id, transferAccountId: toAccount._id },
+          { accountId: toAccount._id, transferAccountId: fromAccount._id },
+        ],
+      },
+      { session },
+    )
+
+    const moved = await this.updateMany(
+      { accountId: fromAccount._id },
+      { $set: { accountId: toAccount._id } },
+      { session },
+    )
+    await this.updateMany(
+      { transferAccountId: fromAccount._id },
+      { $set: { transferAccountId: toAccount._id } },
+      { session },
+    )
+
+    const source = await Account.findById(fromAccount._id).session(session)
+    await Account.updateOne({ _id: toAccount._id }, { $inc: { balance: source.balance } }, { session })
+    await Account.updateOne({ _id: fromAccount._id }, { $set: { balance: 0 } }, { session })
+
+    return moved.modifiedCount
+  })
+}
+
+// Créer une erreur portant le code HTTP à renvoyer par la route
+const transferError = (message, status = 400) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// Méthode statique pour trouver le taux d'un transfert entre deux comptes (1 dans la même devise).
+// Sans taux fourni, on applique le cours enregistré à la date du transfert (ou la parité fixe).
+transactionSchema.statics.resolveTransferRate = async function (
+  userId,
+  fromAccount,
+  toAccount,
+  { exchangeRate, date } = {},
+) {
+  if (fromAccount.currency === toAccount.currency) return 1
+
+  const rate = exchangeRate
+    ? Number.parseFloat(exchangeRate)
+    : await mongoose.model("ExchangeRate").getRate(userId, fromAccount.currency, toAccount.currency, date)
+  if (!rate || rate <= 0) {
+    throw transferError(
+      `Un taux de change ${fromAccount.currency} → ${toAccount.currency} est requis pour ce transfert`,
+    )
+  }
+  return rate
+}
+
+// Méthode statique pour créer un transfert entre deux comptes de l'utilisateur.
+// Les deux soldes et la transaction sont écrits dans une même transaction MongoDB.
+transactionSchema.statics.createTransfer = async function ({
+  userId,
+  fromAccountId,
+  toAccountId,
+  amount,
+  exchangeRate,
+  categoryId,
+  description,
+  date,
+  notes,
+  tags,
+  session,
+}) {
+  const Account = mongoose.model("Account")
+  const Category = mongoose.model("Category")
+
+  if (fromAccountId.toString() === toAccountId.toString()) {
+    throw transferError("Le compte source et destination ne peuvent pas être identiques")
+  }
+
+  const [fromAccount, toAccount] = await Promise.all([
+    Account.findOne({ _id: fromAccountId, userId, isActive: true }),
+    Account.findOne({ _id: toAccountId, userId, isActive: true }),
+  ])
+
+  if (!fromAccount) throw transferError("Compte source non trouvé", 404)
+  if (!toAccount) throw transferError("Compte de destination non trouvé", 404)
+
+  const rate = await this.resolveTransferRate(userId, fromAccount, toAccount, { exchangeRate, date })
+  const creditedAmount = Math.round(amount * rate * 100) / 100
+
+  if (!categoryId) {
+    categoryId = (await Category.getTransferCategory())._id
+  }
+
+  return await withSession(async (activeSession) => {
+    // Vérifier le solde dans la session : une écriture concurrente provoque un nouvel essai
+    if (fromAccount.type !== "credit") {
+      const source = await Account.findById(fromAccount._id).session(activeSession)
+      if (source.balance < amount) {
+        throw transferError("Solde insuffisant sur le compte source")
+      }
+    }
+
+    const transfer = new this({
+      userId,
+      accountId: fromAccount._id,
+      transferAccountId: toAccount._id,
+      categoryId,
+      type: "transfer",
+      amount,
+      transferAmount: creditedAmount,
+      currency: fromAccount.currency,
+      exchangeRate: rate,
+      description: description || `Transfert vers ${toAccount.name}`,
+      date: date || new Date(),
+      paymentMethod: "transfer",
+      notes,
+      tags,
+    })
+
+    await transfer.save({ session: activeSession })
+    await applyBalanceEffects(transfer.getBalanceEffects(), activeSession)
+    return transfer
+  }, session)
+}
 
 // Méthode statique pour obtenir les statistiques des transactions
 transactionSchema.statics.getTransactionStats = async function (userId, startDate, endDate) {
@@ -222,6 +643,48 @@ transactionSchema.statics.getTransactionStats = async function (userId, startDat
   return stats
 }
 
+// Méthode statique pour obtenir les revenus, dépenses et le solde net de chaque mois de la période.
+// Les mois sans transaction sont renvoyés à zéro ; `excludeCategoryIds` écarte par exemple l'épargne versée.
+transactionSchema.statics.getMonthlyCashFlow = async function (
+  userId,
+  { startDate, endDate, amount = "$amount", excludeCategoryIds = [] },
+) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        status: "completed",
+        type: { $in: ["income", "expense"] },
+        categoryId: { $nin: excludeCategoryIds },
+        date: { $gte: startDate, $lt: endDate },
+      },
+    },
+    {
+      $group: {
+        _id: { year: { $year: "$date" }, month: { $month: "$date" } },
+        income: { $sum: this.amountOfType("income", 0, amount) },
+        expenses: { $sum: this.amountOfType("expense", 0, amount) },
+      },
+    },
+  ])
+
+  const byMonth = new Map(rows.map((row) => [`${row._id.year}-${row._id.month}`, row]))
+  const months = []
+  for (const cursor = new Date(startDate); cursor < endDate; cursor.setMonth(cursor.getMonth() + 1)) {
+    const row = byMonth.get(`${cursor.getFullYear()}-${cursor.getMonth() + 1}`)
+    const income = row?.income || 0
+    const expenses = row?.expenses || 0
+    months.push({
+      month: `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, "0")}`,
+      income,
+      expenses,
+      net: Math.round((income - expenses) * 100) / 100,
+      hasData: Boolean(row),
+    })
+  }
+  return months
+}
+
 // Méthode statique pour obtenir les dépenses par catégorie
 transactionSchema.statics.getExpensesByCategory = async function (userId, startDate, endDate) {
   const matchStage = {
@@ -248,6 +711,7 @@ transactionSchema.statics.getExpensesByCategory = async function (userId, startD
       },
     },
     { $unwind: "$category" },
+    ...mongoose.model("Category").overrideStages(matchStage.userId),
     {
       $group: {
         _id: "$categoryId",
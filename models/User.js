@@ -1,5 +1,25 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+
+// Validité d'un lien de réinitialisation du mot de passe
+const PASSWORD_RESET_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+// Délai pendant lequel un compte fermé peut être réactivé avant la suppression de ses données
+const ACCOUNT_DELETION_GRACE_DAYS = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30
+
+// Collections contenant les données d'un utilisateur, effacées avec son compte
+const USER_DATA_MODELS = [
+  "Transaction",
+  "Reconciliation",
+  "Budget",
+  "Goal",
+  "Account",
+  "Category",
+  "CategoryOverride",
+  "ExchangeRate",
+  "Notification",
+  "Session",
+]
 
 const userSchema = new mongoose.Schema(
   {
@@ -81,6 +101,12 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Rôle d'accès : "admin" donne accès à l'administration (tâches planifiées...)
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     lastLogin: {
       type: Date,
     },
@@ -98,6 +124,7 @@ const userSchema = new mongoose.Schema(
       notifications: {
         email: { type: Boolean, default: true },
         push: { type: Boolean, default: true },
+        sms: { type: Boolean, default: false },
         budgetAlerts: { type: Boolean, default: true },
         goalReminders: { type: Boolean, default: true },
       },
@@ -115,10 +142,66 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Fermeture du compte demandée par l'utilisateur : les données sont effacées à deletionScheduledAt
+    deactivatedAt: {
+      type: Date,
+    },
+    deletionScheduledAt: {
+      type: Date,
+    },
+    // Demande de réinitialisation du mot de passe : seule l'empreinte du jeton est stockée
+    passwordReset: {
+      tokenHash: { type: String, select: false },
+      expiresAt: Date,
+    },
+    // Envois de l'email de vérification, pour limiter les renvois
+    emailVerification: {
+      sentAt: Date,
+      windowStartedAt: Date,
+      sentCount: { type: Number, default: 0 },
+    },
     phoneVerified: {
       type: Boolean,
       default: false,
     },
+    phoneVerifiedAt: {
+      type: Date,
+    },
+    // Dernier code envoyé par SMS (vérification du numéro ou connexion) : seule l'empreinte du code est stockée
+    phoneOtp: {
+      codeHash: { type: String, select: false },
+      purpose: { type: String, enum: ["verify_phone", "login"] },
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      sentAt: Date,
+      windowStartedAt: Date,
+      sentCount: { type: Number, default: 0 },
+    },
+    // Double authentification par application (TOTP) : secret chiffré, codes de secours hachés
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false, default: undefined },
+      // Dernier pas de temps accepté, pour refuser la réutilisation d'un code
+      lastUsedStep: Number,
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: Date,
+    },
+    // Jetons des appareils inscrits aux notifications push
+    pushTokens: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -126,6 +209,9 @@ const userSchema = new mongoose.Schema(
       virtuals: true,
       transform: (doc, ret) => {
         delete ret.password
+        delete ret.passwordReset
+        delete ret.phoneOtp
+        if (ret.twoFactor) ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt }
         return ret
       },
     },
@@ -133,6 +219,9 @@ const userSchema = new mongoose.Schema(
       virtuals: true,
       transform: (doc, ret) => {
         delete ret.password
+        delete ret.passwordReset
+        delete ret.phoneOtp
+        if (ret.twoFactor) ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt }
         return ret
       },
     },
@@ -145,6 +234,7 @@ userSchema.index({ createdAt: -1 })
 userSchema.index({ city: 1 })
 userSchema.index({ profession: 1 })
 userSchema.index({ isActive: 1 })
+userSchema.index({ deletionScheduledAt: 1 }, { sparse: true })
 
 // Virtual pour le nom complet
 userSchema.virtual("fullName").get(function () {
@@ -188,6 +278,90 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 }
 
+// Méthode pour créer un jeton de réinitialisation du mot de passe (à usage unique) ; retourne le jeton en clair
+userSchema.methods.createPasswordResetToken = function (now = new Date()) {
+  const token = crypto.randomBytes(32).toString("base64url")
+  this.passwordReset = {
+    tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+    expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+  }
+  return token
+}
+
+// Méthode statique pour consommer un jeton de réinitialisation encore valide et retourner son utilisateur.
+// Le jeton est retiré dans la même opération : deux requêtes simultanées ne peuvent pas l'utiliser toutes les deux.
+userSchema.statics.consumePasswordResetToken = function (token, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      "passwordReset.tokenHash": crypto.createHash("sha256").update(token).digest("hex"),
+      "passwordReset.expiresAt": { $gt: now },
+    },
+    { $unset: { passwordReset: 1 } },
+    { new: true },
+  )
+}
+
+// Méthode pour changer le mot de passe (haché par le middleware pre-save) et invalider le jeton de réinitialisation
+userSchema.methods.setPassword = async function (password, now = new Date()) {
+  this.password = password
+  this.passwordChangedAt = now
+  this.passwordReset = undefined
+  return await this.save()
+}
+
+// Méthode pour fermer le compte : il reste réactivable pendant le délai de grâce
+userSchema.methods.deactivate = async function (now = new Date()) {
+  this.isActive = false
+  this.deactivatedAt = now
+  this.deletionScheduledAt = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  return await this.save()
+}
+
+// Méthode pour savoir si un compte fermé peut encore être réactivé par une connexion
+userSchema.methods.canReactivate = function (now = new Date()) {
+  return !this.isActive && Boolean(this.deletionScheduledAt) && this.deletionScheduledAt > now
+}
+
+// Méthode pour réactiver un compte fermé pendant le délai de grâce
+userSchema.methods.reactivate = async function () {
+  this.isActive = true
+  this.deactivatedAt = undefined
+  this.deletionScheduledAt = undefined
+  return await this.save()
+}
+
+// Méthode statique pour effacer définitivement un utilisateur et toutes ses données.
+// Les catégories par défaut sont partagées et ne sont pas touchées (seules les catégories personnalisées
+// portent un userId). Retourne le nombre de documents supprimés par collection.
+userSchema.statics.eraseWithData = async function (userId) {
+  const deleted = {}
+  for (const name of USER_DATA_MODELS) {
+    // require plutôt que mongoose.model : le script de tâches ne charge pas tous les modèles
+    const result = await require(`./${name}`).deleteMany({ userId })
+    deleted[name] = result.deletedCount
+  }
+
+  const result = await this.deleteOne({ _id: userId })
+  deleted.User = result.deletedCount
+  return deleted
+}
+
+// Méthode statique pour effacer les comptes fermés dont le délai de grâce est écoulé
+userSchema.statics.purgeDeactivated = async function (now = new Date()) {
+  const users = await this.find({ isActive: false, deletionScheduledAt: { $lte: now } }).select("_id")
+
+  let erased = 0
+  for (const user of users) {
+    try {
+      await this.eraseWithData(user._id)
+      erased++
+    } catch (error) {
+      console.error(`Erreur lors de l'effacement du compte ${user._id}:`, error)
+    }
+  }
+  return erased
+}
+
 // Méthode pour obtenir les données publiques de l'utilisateur
 userSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject()
@@ -200,6 +374,15 @@ userSchema.methods.canLogin = function () {
   return this.isActive && !this.isDeleted
 }
 
+// Méthode statique pour mettre un numéro sénégalais au format international (+221XXXXXXXXX)
+userSchema.statics.normalizePhone = (phone) => `+221${String(phone).trim().replace(/^(\+221|00221)/, "")}`
+
+// Méthode statique pour trouver par numéro de téléphone, quel que soit le format enregistré
+userSchema.statics.findByPhone = function (phone) {
+  const digits = this.normalizePhone(phone).slice(4)
+  return this.findOne({ phone: { $in: [`+221${digits}`, `00221${digits}`, digits] } })
+}
+
 // Méthode statique pour trouver par email
 userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() })
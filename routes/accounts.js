@@ -1,9 +1,40 @@
 const express = require("express")
 const Account = require("../models/Account")
+const Transaction = require("../models/Transaction")
+const Reconciliation = require("../models/Reconciliation")
 const { auth } = require("../middleware/auth");
+const {
+  validateAccount,
+  validateTransfer,
+  validateReconcile,
+  validateMongoId,
+  validateDateRange,
+} = require("../middleware/validation")
 
 const router = express.Router()
 
+// Vérifier le compte de destination d'une réaffectation
+const findReassignTarget = async (req, account) => {
+  const { reassignTo } = req.body
+
+  if (!reassignTo) return null
+
+  if (reassignTo === account._id.toString()) {
+    return { error: "Le compte de destination doit être différent du compte source" }
+  }
+
+  const target = await Account.findOne({ _id: reassignTo, userId: req.user._id, isActive: true })
+  if (!target) {
+    return { error: "Compte de destination non trouvé" }
+  }
+
+  if (target.currency !== account.currency) {
+    return { error: "Le compte de destination doit être dans la même devise" }
+  }
+
+  return { target }
+}
+
 // @route   GET /api/accounts
 // @desc    Obtenir les comptes de l'utilisateur
 // @access  Private
@@ -34,9 +65,9 @@ router.get("/", auth, async (req, res) => {
 // @route   POST /api/accounts
 // @desc    Créer un nouveau compte
 // @access  Private
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, validateAccount, async (req, res) => {
   try {
-    const { name, bank, type, balance = 0, accountNumber, description } = req.body
+    const { name, bank, type, balance = 0, currency, accountNumber, description, color, icon } = req.body
 
     const account = new Account({
       userId: req.user._id,
@@ -44,8 +75,11 @@ router.post("/", auth, async (req, res) => {
       bank,
       type,
       balance: Number.parseFloat(balance),
+      currency,
       accountNumber,
       description,
+      color,
+      icon,
     })
 
     await account.save()
@@ -64,4 +98,453 @@ router.post("/", auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/accounts/transfer
+// @desc    Transférer de l'argent entre deux comptes de l'utilisateur
+// @access  Private
+router.post("/transfer", auth, validateTransfer, async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, amount, exchangeRate, categoryId, description, date, notes, tags } = req.body
+
+    const transfer = await Transaction.createTransfer({
+      userId: req.user._id,
+      fromAccountId,
+      toAccountId,
+      amount: Number.parseFloat(amount),
+      exchangeRate,
+      categoryId,
+      description,
+      date,
+      notes,
+      tags,
+    })
+
+    const populatedTransfer = await Transaction.findById(transfer._id)
+      .populate("accountId", "name bank type currency balance")
+      .populate("transferAccountId", "name bank type currency balance")
+
+    res.status(201).json({
+      success: true,
+      message: "Transfert effectué avec succès",
+      data: populatedTransfer,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
+    console.error("Erreur lors du transfert:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du transfert",
+    })
+  }
+})
+
+// @route   GET /api/accounts/:id
+// @desc    Obtenir un compte spécifique
+// @access  Private
+router.get("/:id", auth, validateMongoId(), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const transactionCount = await Transaction.countDocuments({
+      $or: [{ accountId: account._id }, { transferAccountId: account._id }],
+    })
+
+    res.json({
+      success: true,
+      data: {
+        ...account.toJSON(),
+        transactionCount,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du compte",
+    })
+  }
+})
+
+// @route   PUT /api/accounts/:id
+// @desc    Mettre à jour un compte (le solde évolue uniquement via les transactions)
+// @access  Private
+router.put("/:id", auth, validateMongoId(), validateAccount, async (req, res) => {
+  try {
+    const { name, bank, type, currency, accountNumber, description, color, icon } = req.body
+
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    // Changer la devise ne convertit rien : refusé dès que le compte a un solde ou des transactions
+    if (currency && currency !== account.currency) {
+      const transactionCount = await Transaction.countDocuments({
+        $or: [{ accountId: account._id }, { transferAccountId: account._id }],
+      })
+      if (transactionCount > 0 || account.balance !== 0) {
+        return res.status(400).json({
+          success: false,
+          error: "La devise d'un compte avec un solde ou des transactions ne peut pas être modifiée",
+          message: "Créez un compte dans la nouvelle devise et transférez-y le solde.",
+          data: { transactionCount },
+        })
+      }
+    }
+
+    account.name = name
+    account.bank = bank
+    account.type = type
+    if (currency) account.currency = currency
+    if (accountNumber !== undefined) account.accountNumber = accountNumber
+    if (description !== undefined) account.description = description
+    if (color) account.color = color
+    if (icon) account.icon = icon
+
+    await account.save()
+
+    res.json({
+      success: true,
+      message: "Compte mis à jour avec succès",
+      data: account,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la mise à jour du compte",
+    })
+  }
+})
+
+// @route   POST /api/accounts/:id/archive
+// @desc    Archiver un compte (isActive=false), en réaffectant éventuellement ses transactions
+// @access  Private
+router.post("/:id/archive", auth, validateMongoId(), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id, isActive: true })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const reassign = await findReassignTarget(req, account)
+    if (reassign?.error) {
+      return res.status(400).json({
+        success: false,
+        error: reassign.error,
+      })
+    }
+
+    // Un compte avec un solde ne peut pas être archivé sans réaffectation : l'argent disparaîtrait des totaux
+    if (!reassign && account.balance !== 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Le solde du compte n'est pas nul",
+        message: "Indiquez un compte de destination (reassignTo) pour y déplacer les transactions et le solde.",
+      })
+    }
+
+    let reassignedCount = 0
+    if (reassign) {
+      reassignedCount = await Transaction.reassignAccount(account, reassign.target)
+    }
+
+    await Account.updateOne({ _id: account._id }, { $set: { isActive: false } })
+
+    res.json({
+      success: true,
+      message: "Compte archivé avec succès",
+      data: { reassignedCount },
+    })
+  } catch (error) {
+    console.error("Erreur lors de l'archivage du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'archivage du compte",
+    })
+  }
+})
+
+// @route   POST /api/accounts/:id/restore
+// @desc    Réactiver un compte archivé
+// @access  Private
+router.post("/:id/restore", auth, validateMongoId(), async (req, res) => {
+  try {
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, isActive: false },
+      { $set: { isActive: true } },
+      { new: true },
+    )
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte archivé non trouvé",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Compte réactivé avec succès",
+      data: account,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la réactivation du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la réactivation du compte",
+    })
+  }
+})
+
+// @route   DELETE /api/accounts/:id
+// @desc    Supprimer définitivement un compte sans transactions ni solde (ou après réaffectation avec reassignTo)
+// @access  Private
+router.delete("/:id", auth, validateMongoId(), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const reassign = await findReassignTarget(req, account)
+    if (reassign?.error) {
+      return res.status(400).json({
+        success: false,
+        error: reassign.error,
+      })
+    }
+
+    const transactionCount = await Transaction.countDocuments({
+      $or: [{ accountId: account._id }, { transferAccountId: account._id }],
+    })
+
+    if (transactionCount > 0 && !reassign) {
+      return res.status(400).json({
+        success: false,
+        error: "Ce compte contient des transactions",
+        message: "Archivez le compte ou indiquez un compte de destination (reassignTo) pour ses transactions.",
+        data: { transactionCount },
+      })
+    }
+
+    // Même sans transactions (solde initial), le solde ne doit pas disparaître des totaux
+    if (!reassign && account.balance !== 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Le solde du compte n'est pas nul",
+        message: "Indiquez un compte de destination (reassignTo) pour y déplacer le solde.",
+      })
+    }
+
+    let reassignedCount = 0
+    if (reassign) {
+      reassignedCount = await Transaction.reassignAccount(account, reassign.target)
+    }
+
+    await Account.deleteOne({ _id: account._id })
+
+    res.json({
+      success: true,
+      message: "Compte supprimé avec succès",
+      data: { reassignedCount },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suppression du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression du compte",
+    })
+  }
+})
+
+// @route   GET /api/accounts/:id/summary
+// @desc    Obtenir les entrées et sorties d'un compte sur une période
+// @access  Private
+router.get("/:id/summary", auth, validateMongoId(), validateDateRange, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query
+
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const flows = await Account.getAccountFlows(account._id, startDate, endDate)
+
+    res.json({
+      success: true,
+      data: {
+        account: {
+          _id: account._id,
+          name: account.name,
+          bank: account.bank,
+          type: account.type,
+          balance: account.balance,
+          currency: account.currency,
+        },
+        ...flows,
+      },
+      period: { startDate: startDate || null, endDate: endDate || null },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération du résumé du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du résumé du compte",
+    })
+  }
+})
+
+// @route   GET /api/accounts/:id/balance-history
+// @desc    Obtenir l'historique du solde d'un compte (30 derniers jours par défaut)
+// @access  Private
+router.get("/:id/balance-history", auth, validateMongoId(), validateDateRange, async (req, res) => {
+  try {
+    const { endDate } = req.query
+    let { startDate } = req.query
+
+    if (!startDate) {
+      startDate = new Date()
+      startDate.setDate(startDate.getDate() - 30)
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const balanceHistory = await account.getBalanceHistory(startDate, endDate ? new Date(endDate) : new Date())
+
+    res.json({
+      success: true,
+      data: {
+        currentBalance: account.balance,
+        ...balanceHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'historique du solde:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de l'historique du solde",
+    })
+  }
+})
+
+// @route   POST /api/accounts/:id/reconcile
+// @desc    Recalculer le solde à partir des transactions et le corriger si demandé (correct=true)
+// @access  Private
+router.post("/:id/reconcile", auth, validateMongoId(), validateReconcile, async (req, res) => {
+  try {
+    const { correct = false, openingBalance } = req.body
+
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    // Le solde d'ouverture fourni n'est enregistré que lors d'une correction
+    if (openingBalance !== undefined) {
+      account.openingBalance = Number.parseFloat(openingBalance)
+      if (correct) {
+        await Account.updateOne({ _id: account._id }, { $set: { openingBalance: account.openingBalance } })
+      }
+    }
+
+    const report = await account.reconcile({
+      correct,
+      source: "api",
+      performedBy: req.user._id,
+    })
+
+    res.json({
+      success: true,
+      message: report.corrected
+        ? "Solde corrigé avec succès"
+        : report.isBalanced
+          ? "Le solde est cohérent avec les transactions"
+          : "Écart détecté entre le solde et les transactions",
+      data: report,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors du rapprochement du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du rapprochement du compte",
+    })
+  }
+})
+
+// @route   GET /api/accounts/:id/reconciliations
+// @desc    Obtenir l'historique des rapprochements d'un compte
+// @access  Private
+router.get("/:id/reconciliations", auth, validateMongoId(), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const reconciliations = await Reconciliation.find({ accountId: account._id }).sort({ createdAt: -1 }).limit(50)
+
+    res.json({
+      success: true,
+      data: reconciliations,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des rapprochements:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des rapprochements",
+    })
+  }
+})
+
 module.exports = router
@@ -0,0 +1,94 @@
+const express = require("express")
+const { auth, authorize } = require("../middleware/auth");
+const { validatePagination } = require("../middleware/validation")
+const { getJobScheduler } = require("../services/jobs")
+
+const router = express.Router()
+
+// Toutes les routes d'administration sont réservées aux administrateurs
+router.use(auth, authorize("admin"))
+
+// @route   GET /api/admin/jobs
+// @desc    Obtenir l'état des tâches planifiées (verrou, dernier passage, prochaine exécution)
+// @access  Private (admin)
+router.get("/jobs", async (req, res) => {
+  try {
+    const scheduler = getJobScheduler()
+    const jobs = await scheduler.getStatus()
+
+    res.json({
+      success: true,
+      data: {
+        instanceId: scheduler.instanceId,
+        jobs,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des tâches planifiées:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des tâches planifiées",
+    })
+  }
+})
+
+// @route   GET /api/admin/jobs/:name/runs
+// @desc    Obtenir le journal d'exécution d'une tâche
+// @access  Private (admin)
+router.get("/jobs/:name/runs", validatePagination, async (req, res) => {
+  try {
+    const runs = await getJobScheduler().getRuns(req.params.name, {
+      limit: Number.parseInt(req.query.limit) || 20,
+    })
+
+    res.json({
+      success: true,
+      data: runs,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors de la récupération du journal d'exécution:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du journal d'exécution",
+    })
+  }
+})
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Déclencher manuellement une tâche
+// @access  Private (admin)
+router.post("/jobs/:name/run", async (req, res) => {
+  try {
+    const run = await getJobScheduler().runJob(req.params.name, {
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    })
+
+    // 409 si une autre exécution détient le verrou
+    res.status(run.status === "skipped" ? 409 : 200).json({
+      success: run.status !== "skipped" && run.status !== "failed",
+      data: run,
+      ...(run.error ? { error: run.error } : {}),
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors du déclenchement de la tâche:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du déclenchement de la tâche",
+    })
+  }
+})
+
+module.exports = router
@@ -1,6 +1,8 @@
 const express = require("express")
 const Transaction = require("../models/Transaction")
 const Budget = require("../models/Budget")
+const Category = require("../models/Category")
+const ExchangeRate = require("../models/ExchangeRate")
 const { auth } = require("../middleware/auth");
 
 const router = express.Router()
@@ -10,7 +12,7 @@ const router = express.Router()
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
-    const { period = "6months" } = req.query
+    const { period = "6months", rollup = "false" } = req.query
 
     // Calculer les dates selon la période
     const endDate = new Date()
@@ -31,11 +33,16 @@ router.get("/", auth, async (req, res) => {
         break
     }
 
+    // Tous les montants sont convertis dans la devise de l'utilisateur
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+    const convertedAmount = converter.expression()
+
     // Données mensuelles
     const monthlyData = await Transaction.aggregate([
       {
         $match: {
           userId: req.user._id,
+          status: "completed",
           date: { $gte: startDate, $lte: endDate },
         },
       },
@@ -45,12 +52,8 @@ router.get("/", auth, async (req, res) => {
             year: { $year: "$date" },
             month: { $month: "$date" },
           },
-          income: {
-            $sum: { $cond: [{ $gt: ["$amount", 0] }, "$amount", 0] },
-          },
-          expenses: {
-            $sum: { $cond: [{ $lt: ["$amount", 0] }, { $abs: "$amount" }, 0] },
-          },
+          income: { $sum: Transaction.amountOfType("income", 0, convertedAmount) },
+          expenses: { $sum: Transaction.amountOfType("expense", 0, convertedAmount) },
         },
       },
       {
@@ -80,7 +83,8 @@ router.get("/", auth, async (req, res) => {
       {
         $match: {
           userId: req.user._id,
-          amount: { $lt: 0 },
+          type: "expense",
+          status: "completed",
           date: { $gte: startDate, $lte: endDate },
         },
       },
@@ -95,12 +99,41 @@ router.get("/", auth, async (req, res) => {
       {
         $unwind: "$category",
       },
+      // Avec rollup=true, les dépenses des sous-catégories sont regroupées sur la catégorie parente
+      {
+        $group: {
+          _id: {
+            category: rollup === "true" ? { $ifNull: ["$category.parentCategory", "$categoryId"] } : "$categoryId",
+            currency: "$currency",
+          },
+          originalAmount: { $sum: "$amount" },
+          amount: { $sum: convertedAmount },
+        },
+      },
+      // Montant converti, avec le détail des montants d'origine par devise
       {
         $group: {
-          _id: "$categoryId",
-          category: { $first: "$category.name" },
-          color: { $first: "$category.color" },
-          amount: { $sum: { $abs: "$amount" } },
+          _id: "$_id.category",
+          amount: { $sum: "$amount" },
+          byCurrency: { $push: { currency: "$_id.currency", amount: "$originalAmount" } },
+        },
+      },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "_id",
+          foreignField: "_id",
+          as: "category",
+        },
+      },
+      {
+        $unwind: "$category",
+      },
+      ...Category.overrideStages(req.user._id),
+      {
+        $addFields: {
+          category: "$category.name",
+          color: "$category.color",
         },
       },
       {
@@ -113,7 +146,8 @@ router.get("/", auth, async (req, res) => {
                 $expr: {
                   $and: [
                     { $eq: ["$userId", "$$userId"] },
-                    { $lt: ["$amount", 0] },
+                    { $eq: ["$type", "expense"] },
+                    { $eq: ["$status", "completed"] },
                     { $gte: ["$date", "$$startDate"] },
                     { $lte: ["$date", "$$endDate"] },
                   ],
@@ -123,7 +157,7 @@ router.get("/", auth, async (req, res) => {
             {
               $group: {
                 _id: null,
-                total: { $sum: { $abs: "$amount" } },
+                total: { $sum: convertedAmount },
               },
             },
           ],
@@ -151,28 +185,39 @@ router.get("/", auth, async (req, res) => {
     ])
 
     // Statistiques générales
-    const stats = await Transaction.aggregate([
+    const [stats] = await Transaction.aggregate([
       {
         $match: {
           userId: req.user._id,
+          status: "completed",
           date: { $gte: startDate, $lte: endDate },
         },
       },
       {
-        $group: {
-          _id: null,
-          avgIncome: {
-            $avg: { $cond: [{ $gt: ["$amount", 0] }, "$amount", null] },
-          },
-          avgExpenses: {
-            $avg: { $cond: [{ $lt: ["$amount", 0] }, { $abs: "$amount" }, null] },
-          },
-          totalIncome: {
-            $sum: { $cond: [{ $gt: ["$amount", 0] }, "$amount", 0] },
-          },
-          totalExpenses: {
-            $sum: { $cond: [{ $lt: ["$amount", 0] }, { $abs: "$amount" }, 0] },
-          },
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                avgIncome: { $avg: Transaction.amountOfType("income", null, convertedAmount) },
+                avgExpenses: { $avg: Transaction.amountOfType("expense", null, convertedAmount) },
+                totalIncome: { $sum: Transaction.amountOfType("income", 0, convertedAmount) },
+                totalExpenses: { $sum: Transaction.amountOfType("expense", 0, convertedAmount) },
+              },
+            },
+          ],
+          // Montants d'origine, devise par devise
+          byCurrency: [
+            {
+              $group: {
+                _id: "$currency",
+                totalIncome: { $sum: Transaction.amountOfType("income") },
+                totalExpenses: { $sum: Transaction.amountOfType("expense") },
+              },
+            },
+            { $project: { _id: 0, currency: "$_id", totalIncome: 1, totalExpenses: 1 } },
+            { $sort: { currency: 1 } },
+          ],
         },
       },
     ])
@@ -199,44 +244,11 @@ router.get("/", auth, async (req, res) => {
       {
         $unwind: "$category",
       },
-      {
-        $lookup: {
-          from: "transactions",
-          let: { categoryId: "$categoryId", startDate: "$startDate", endDate: "$endDate", userId: "$userId" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$categoryId", "$$categoryId"] },
-                    { $eq: ["$userId", "$$userId"] },
-                    { $lt: ["$amount", 0] },
-                    { $gte: ["$date", "$$startDate"] },
-                    { $lte: ["$date", "$$endDate"] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "transactions",
-        },
-      },
-      {
-        $addFields: {
-          spent: {
-            $sum: {
-              $map: {
-                input: "$transactions",
-                as: "transaction",
-                in: { $abs: "$$transaction.amount" },
-              },
-            },
-          },
-        },
-      },
+      ...Category.overrideStages(req.user._id),
+      ...Budget.spentLookupStages(convertedAmount),
       {
         $match: {
-          $expr: { $gt: ["$spent", "$amount"] },
+          $expr: { $gt: ["$spent", "$available"] },
         },
       },
     ])
@@ -245,7 +257,7 @@ router.get("/", auth, async (req, res) => {
       insights.push({
         type: "warning",
         title: `Dépassement budget ${overrun.category.name}`,
-        description: `Vous avez dépassé votre budget ${overrun.category.name} de ${(overrun.spent - overrun.amount).toLocaleString()} CFA`,
+        description: `Vous avez dépassé votre budget ${overrun.category.name} de ${(overrun.spent - overrun.available).toLocaleString()} ${converter.currency}`,
         icon: "AlertTriangle",
         color: "text-orange-600",
       })
@@ -256,14 +268,20 @@ router.get("/", auth, async (req, res) => {
       data: {
         monthlyData,
         categoryExpenses,
-        stats: stats[0] || {
-          avgIncome: 0,
-          avgExpenses: 0,
-          totalIncome: 0,
-          totalExpenses: 0,
+        stats: {
+          ...(stats.totals[0] || {
+            avgIncome: 0,
+            avgExpenses: 0,
+            totalIncome: 0,
+            totalExpenses: 0,
+          }),
+          byCurrency: stats.byCurrency,
         },
         insights,
         period,
+        rollup: rollup === "true",
+        currency: converter.currency,
+        conversion: converter.summary(),
       },
     })
   } catch (error) {
@@ -1,12 +1,108 @@
 const express = require("express")
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
 const Account = require("../models/Account")
-const { validateSignup, validateLogin } = require("../middleware/validation")
+const Session = require("../models/Session")
+const {
+  validateSignup,
+  validateLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validateResetPassword,
+  validatePhoneCodeRequest,
+  validatePhoneCode,
+  validatePhoneLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorReauth,
+} = require("../middleware/validation")
 const { auth } = require("../middleware/auth")
+const {
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  phoneCodeIpLimiter,
+  phoneCodeNumberLimiter,
+  phoneLoginLimiter,
+  twoFactorLimiter,
+} = require("../middleware/rateLimit")
+const { issueTokens, refreshTokens } = require("../services/authTokens")
+const { sendVerificationEmail, confirmEmail } = require("../services/emailVerification")
+const { getMailer, frontendUrl } = require("../services/mailer")
+const { sendPhoneCode, verifyPhoneCode, confirmPhone } = require("../services/phoneVerification")
+const {
+  startEnrollment,
+  confirmEnrollment,
+  createLoginChallenge,
+  completeLoginChallenge,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+} = require("../services/twoFactor")
 
 const router = express.Router()
 
+// Réponse pour un compte désactivé (hors délai de grâce)
+const accountDisabled = (res) =>
+  res.status(401).json({
+    success: false,
+    error: "Compte désactivé",
+    message: "Votre compte a été désactivé. Contactez le support.",
+  })
+
+// Ouvrir la session d'un utilisateur entièrement authentifié et répondre avec les jetons
+const openSession = async (req, res, user, extra = {}) => {
+  // Un compte fermé par l'utilisateur est réactivé pendant le délai de grâce
+  const reactivated = user.canReactivate()
+  if (reactivated) {
+    await user.reactivate()
+  }
+
+  // Mettre à jour la dernière connexion
+  user.lastLogin = new Date()
+  await user.save()
+
+  // Ouvrir une session : jeton d'accès de courte durée et jeton de rafraîchissement
+  const tokens = await issueTokens(user, req)
+
+  res.json({
+    success: true,
+    message: reactivated ? "Connexion réussie. Votre compte a été réactivé." : "Connexion réussie",
+    ...extra,
+    ...tokens,
+    user: user.getPublicProfile(),
+  })
+}
+
+// Terminer une connexion dont les identifiants ont été vérifiés (email ou téléphone). Avec la double
+// authentification, les jetons ne sont remis qu'après le code (POST /api/auth/login/2fa).
+const completeLogin = async (req, res, user) => {
+  if (!user.isActive && !user.canReactivate()) {
+    return accountDisabled(res)
+  }
+
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: createLoginChallenge(user),
+      message: "Saisissez le code de votre application d'authentification ou un code de secours.",
+    })
+  }
+
+  await openSession(req, res, user)
+}
+
+// Réponse d'erreur d'un service (statut HTTP et informations de nouvel essai éventuelles)
+const sendServiceError = (res, error) => {
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter))
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+    ...(error.attemptsLeft !== undefined ? { attemptsLeft: error.attemptsLeft } : {}),
+  })
+}
+
 // @route   POST /api/auth/signup
 // @desc    Inscription d'un nouvel utilisateur
 // @access  Public
@@ -24,8 +120,8 @@ router.post("/signup", validateSignup, async (req, res) => {
       })
     }
 
-    // Vérifier si le téléphone existe déjà
-    const existingPhone = await User.findOne({ phone })
+    // Vérifier si le téléphone existe déjà (quel que soit le format enregistré)
+    const existingPhone = await User.findByPhone(phone)
     if (existingPhone) {
       return res.status(400).json({
         success: false,
@@ -55,6 +151,7 @@ router.post("/signup", validateSignup, async (req, res) => {
         bank: "BOA",
         type: "checking",
         balance: 0,
+        openingBalance: 0,
         color: "#3B82F6",
         icon: "CreditCard",
       },
@@ -64,33 +161,31 @@ router.post("/signup", validateSignup, async (req, res) => {
         bank: "SGBS",
         type: "savings",
         balance: 0,
+        openingBalance: 0,
         color: "#10B981",
         icon: "PiggyBank",
       },
     ]
 
+    // insertMany ne déclenche pas le middleware de sauvegarde : le solde d'ouverture est fourni explicitement
     await Account.insertMany(defaultAccounts)
 
-    // Générer le token JWT
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-      },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: process.env.JWT_EXPIRE || "7d",
-      },
-    )
+    // Ouvrir une session : jeton d'accès de courte durée et jeton de rafraîchissement
+    const tokens = await issueTokens(user, req)
 
     // Mettre à jour la dernière connexion
     user.lastLogin = new Date()
     await user.save()
 
+    // Envoyer l'email de vérification sans bloquer l'inscription (renvoi possible via /verify-email/resend)
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Erreur lors de l'envoi de l'email de vérification:", error),
+    )
+
     res.status(201).json({
       success: true,
       message: "Compte créé avec succès",
-      token,
+      ...tokens,
       user: user.getPublicProfile(),
     })
   } catch (error) {
@@ -141,39 +236,112 @@ router.post("/login", validateLogin, async (req, res) => {
       })
     }
 
-    // Vérifier si le compte est actif
-    if (!user.isActive) {
-      return res.status(401).json({
+    await completeLogin(req, res, user)
+  } catch (error) {
+    console.error("Erreur lors de la connexion:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la connexion",
+      message: "Une erreur interne est survenue. Veuillez réessayer.",
+    })
+  }
+})
+
+// @route   POST /api/auth/login/phone/send-code
+// @desc    Recevoir par SMS un code de connexion (réponse identique que le numéro soit connu ou non)
+// @access  Public
+router.post(
+  "/login/phone/send-code",
+  phoneCodeIpLimiter,
+  validatePhoneCodeRequest,
+  phoneCodeNumberLimiter,
+  async (req, res) => {
+    try {
+      // Seul un numéro vérifié permet de se connecter par code : un numéro saisi sans preuve de possession
+      // ne doit pas devenir un moyen d'accès au compte
+      const user = await User.findByPhone(req.body.phone)
+      if (user?.phoneVerified && (user.isActive || user.canReactivate())) {
+        try {
+          await sendPhoneCode(user, "login")
+        } catch (error) {
+          // Un refus du délai de renvoi ne doit pas révéler que le numéro existe
+          if (error.status !== 429) throw error
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Si ce numéro est associé à un compte, vous recevrez un code par SMS.",
+      })
+    } catch (error) {
+      console.error("Erreur lors de l'envoi du code de connexion:", error)
+      res.status(500).json({
         success: false,
-        error: "Compte désactivé",
-        message: "Votre compte a été désactivé. Contactez le support.",
+        error: "Erreur lors de l'envoi du code de connexion",
       })
     }
+  },
+)
 
-    // Mettre à jour la dernière connexion
-    user.lastLogin = new Date()
-    await user.save()
+// @route   POST /api/auth/login/phone
+// @desc    Connexion par numéro de téléphone et mot de passe, ou numéro de téléphone et code reçu par SMS
+// @access  Public
+router.post("/login/phone", phoneLoginLimiter, validatePhoneLogin, async (req, res) => {
+  try {
+    const { phone, password, code } = req.body
 
-    // Générer le token JWT
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-      },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: process.env.JWT_EXPIRE || "7d",
-      },
-    )
+    const user = await User.findByPhone(phone).select(code ? "+phoneOtp.codeHash" : "+password")
+    const invalidCredentials = {
+      success: false,
+      error: code ? "Numéro ou code incorrect" : "Numéro ou mot de passe incorrect",
+      message: "Vérifiez vos identifiants et réessayez.",
+    }
+    if (!user) {
+      return res.status(401).json(invalidCredentials)
+    }
 
-    res.json({
-      success: true,
-      message: "Connexion réussie",
-      token,
-      user: user.getPublicProfile(),
+    if (code) {
+      if (!user.phoneVerified) {
+        return res.status(401).json(invalidCredentials)
+      }
+      await verifyPhoneCode(user, "login", code)
+    } else if (!(await user.comparePassword(password))) {
+      return res.status(401).json(invalidCredentials)
+    }
+
+    await completeLogin(req, res, user)
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la connexion par téléphone:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la connexion",
+      message: "Une erreur interne est survenue. Veuillez réessayer.",
     })
+  }
+})
+
+// @route   POST /api/auth/login/2fa
+// @desc    Seconde étape de la connexion : code de l'application d'authentification ou code de secours
+// @access  Public (jeton de la première étape requis)
+router.post("/login/2fa", twoFactorLimiter, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { user, method, recoveryCodesLeft } = await completeLoginChallenge(req.body.twoFactorToken, req.body.code)
+
+    if (!user.isActive && !user.canReactivate()) {
+      return accountDisabled(res)
+    }
+
+    // Prévenir quand un code de secours a été consommé
+    const extra = method === "recovery_code" ? { recoveryCodeUsed: true, recoveryCodesLeft } : {}
+    await openSession(req, res, user, extra)
   } catch (error) {
-    console.error("Erreur lors de la connexion:", error)
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la double authentification:", error)
     res.status(500).json({
       success: false,
       error: "Erreur lors de la connexion",
@@ -202,12 +370,15 @@ router.get("/me", auth, async (req, res) => {
 })
 
 // @route   POST /api/auth/logout
-// @desc    Déconnexion (côté client principalement)
+// @desc    Déconnexion : révoque la session courante (jeton d'accès et jeton de rafraîchissement)
 // @access  Private
 router.post("/logout", auth, async (req, res) => {
   try {
-    // Dans une implémentation plus avancée, on pourrait blacklister le token
-    // ou maintenir une liste des tokens actifs
+    const session = await Session.findById(req.sessionId)
+    if (session && !session.revokedAt) {
+      await session.revoke("logout")
+    }
+
     res.json({
       success: true,
       message: "Déconnexion réussie",
@@ -222,29 +393,47 @@ router.post("/logout", auth, async (req, res) => {
   }
 })
 
-// @route   POST /api/auth/refresh
-// @desc    Rafraîchir le token JWT
+// @route   POST /api/auth/logout-all
+// @desc    Déconnexion de tous les appareils (la session courante comprise)
 // @access  Private
-router.post("/refresh", auth, async (req, res) => {
+router.post("/logout-all", auth, async (req, res) => {
   try {
-    const token = jwt.sign(
-      {
-        userId: req.user._id,
-        email: req.user.email,
-      },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: process.env.JWT_EXPIRE || "7d",
-      },
-    )
+    const revokedCount = await Session.revokeAll(req.user._id, "logout_all")
+
+    res.json({
+      success: true,
+      message: `${revokedCount} session(s) fermée(s)`,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la déconnexion de tous les appareils:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la déconnexion de tous les appareils",
+    })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Échanger le jeton de rafraîchissement contre une nouvelle paire de jetons (rotation)
+// @access  Public (jeton de rafraîchissement requis)
+router.post("/refresh", validateRefreshToken, async (req, res) => {
+  try {
+    const { user, ...tokens } = await refreshTokens(req.body.refreshToken)
 
     res.json({
       success: true,
       message: "Token rafraîchi avec succès",
-      token,
-      user: req.user.getPublicProfile(),
+      ...tokens,
+      user: user.getPublicProfile(),
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        message: "Veuillez vous reconnecter.",
+      })
+    }
     console.error("Erreur lors du rafraîchissement du token:", error)
     res.status(500).json({
       success: false,
@@ -255,16 +444,24 @@ router.post("/refresh", auth, async (req, res) => {
 })
 
 // @route   POST /api/auth/verify-email
-// @desc    Vérifier l'email (pour une future implémentation)
-// @access  Private
-router.post("/verify-email", auth, async (req, res) => {
+// @desc    Confirmer l'adresse email avec le jeton reçu par email
+// @access  Public (jeton de vérification requis)
+router.post("/verify-email", validateEmailVerification, async (req, res) => {
   try {
-    // Logique de vérification d'email à implémenter
+    const user = await confirmEmail(req.body.token)
+
     res.json({
       success: true,
-      message: "Fonctionnalité de vérification d'email à venir",
+      message: "Adresse email vérifiée avec succès",
+      user: user.getPublicProfile(),
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
     console.error("Erreur lors de la vérification d'email:", error)
     res.status(500).json({
       success: false,
@@ -273,40 +470,279 @@ router.post("/verify-email", auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/verify-email/resend
+// @desc    Renvoyer l'email de vérification (limité dans le temps)
+// @access  Private
+router.post("/verify-email/resend", auth, async (req, res) => {
+  try {
+    await sendVerificationEmail(req.user)
+
+    res.json({
+      success: true,
+      message: "Email de vérification envoyé",
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de l'envoi de l'email de vérification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'envoi de l'email de vérification",
+    })
+  }
+})
+
+// @route   POST /api/auth/phone/send-code
+// @desc    Envoyer par SMS un code de vérification du numéro de téléphone (limité dans le temps)
+// @access  Private
+router.post("/phone/send-code", auth, phoneCodeIpLimiter, async (req, res) => {
+  try {
+    await sendPhoneCode(req.user, "verify_phone")
+
+    res.json({
+      success: true,
+      message: "Code de vérification envoyé par SMS",
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de l'envoi du code de vérification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'envoi du code de vérification",
+    })
+  }
+})
+
+// @route   POST /api/auth/phone/verify
+// @desc    Confirmer le numéro de téléphone avec le code reçu par SMS
+// @access  Private
+router.post("/phone/verify", auth, validatePhoneCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+phoneOtp.codeHash")
+    await confirmPhone(user, req.body.code)
+
+    res.json({
+      success: true,
+      message: "Numéro de téléphone vérifié avec succès",
+      user: user.getPublicProfile(),
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la vérification du téléphone:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la vérification du téléphone",
+    })
+  }
+})
+
+// @route   GET /api/auth/2fa
+// @desc    État de la double authentification (activée, codes de secours restants)
+// @access  Private
+router.get("/2fa", auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getTwoFactorStatus(req.user._id),
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération de la double authentification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de la double authentification",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Commencer l'activation : secret et URI otpauth à scanner dans l'application d'authentification
+// @access  Private
+router.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await startEnrollment(req.user._id)
+
+    res.json({
+      success: true,
+      message: "Scannez le QR code puis confirmez avec le code affiché par l'application",
+      data: { secret, otpauthUri },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la configuration de la double authentification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la configuration de la double authentification",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Activer la double authentification avec un premier code ; retourne les codes de secours (une seule fois)
+// @access  Private
+router.post("/2fa/confirm", auth, twoFactorLimiter, validateTwoFactorCode, async (req, res) => {
+  try {
+    const { recoveryCodes } = await confirmEnrollment(req.user._id, req.body.code)
+
+    res.json({
+      success: true,
+      message: "Double authentification activée. Conservez vos codes de secours en lieu sûr.",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de l'activation de la double authentification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'activation de la double authentification",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Générer de nouveaux codes de secours (mot de passe et code requis) ; les anciens sont invalidés
+// @access  Private
+router.post("/2fa/recovery-codes", auth, twoFactorLimiter, validateTwoFactorReauth, async (req, res) => {
+  try {
+    const { password, code } = req.body
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id, { password, code })
+
+    res.json({
+      success: true,
+      message: "Nouveaux codes de secours générés",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la génération des codes de secours:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la génération des codes de secours",
+    })
+  }
+})
+
+// @route   DELETE /api/auth/2fa
+// @desc    Désactiver la double authentification (mot de passe et code requis)
+// @access  Private
+router.delete("/2fa", auth, twoFactorLimiter, validateTwoFactorReauth, async (req, res) => {
+  try {
+    const { password, code } = req.body
+    await disableTwoFactor(req.user._id, { password, code })
+
+    res.json({
+      success: true,
+      message: "Double authentification désactivée",
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error)
+    }
+    console.error("Erreur lors de la désactivation de la double authentification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la désactivation de la double authentification",
+    })
+  }
+})
+
 // @route   POST /api/auth/forgot-password
-// @desc    Demande de réinitialisation de mot de passe
+// @desc    Demande de réinitialisation de mot de passe (lien envoyé par email)
 // @access  Public
-router.post("/forgot-password", async (req, res) => {
+router.post(
+  "/forgot-password",
+  passwordResetIpLimiter,
+  validateForgotPassword,
+  passwordResetEmailLimiter,
+  async (req, res) => {
+    // Même réponse que l'email existe ou non, pour ne pas révéler les comptes existants
+    const genericResponse = {
+      success: true,
+      message: "Si cet email existe, vous recevrez un lien de réinitialisation.",
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email })
+      if (!user || !user.isActive) {
+        return res.json(genericResponse)
+      }
+
+      const token = user.createPasswordResetToken()
+      await user.save()
+
+      // Envoi sans attendre : ni une erreur ni le délai d'envoi ne doivent trahir l'existence du compte
+      getMailer()
+        .send({
+          to: user.email,
+          subject: "Réinitialisation de votre mot de passe MonBudget",
+          text:
+            `Bonjour ${user.firstName},\n\n` +
+            `Pour choisir un nouveau mot de passe, ouvrez ce lien :\n${frontendUrl("/reset-password", { token })}\n\n` +
+            "Ce lien n'est valable qu'une fois et expire rapidement. " +
+            "Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.\n\nL'équipe MonBudget",
+        })
+        .catch((error) => console.error("Erreur lors de l'envoi du lien de réinitialisation:", error))
+
+      res.json(genericResponse)
+    } catch (error) {
+      console.error("Erreur lors de la demande de réinitialisation:", error)
+      res.json(genericResponse)
+    }
+  },
+)
+
+// @route   POST /api/auth/reset-password
+// @desc    Choisir un nouveau mot de passe avec le jeton reçu par email ; toutes les sessions sont fermées
+// @access  Public (jeton de réinitialisation requis)
+router.post("/reset-password", passwordResetIpLimiter, validateResetPassword, async (req, res) => {
   try {
-    const { email } = req.body
+    const { token, password } = req.body
 
-    if (!email) {
+    // Le jeton est consommé avant le changement de mot de passe : il ne sert qu'une fois
+    const user = await User.consumePasswordResetToken(token)
+    if (!user) {
       return res.status(400).json({
         success: false,
-        error: "Email requis",
-        message: "Veuillez fournir votre adresse email.",
+        error: "Lien de réinitialisation invalide ou expiré",
+        message: "Veuillez refaire une demande de réinitialisation.",
       })
     }
 
-    const user = await User.findOne({ email })
-    if (!user) {
-      // Ne pas révéler si l'email existe ou non pour des raisons de sécurité
-      return res.json({
-        success: true,
-        message: "Si cet email existe, vous recevrez un lien de réinitialisation.",
+    await user.setPassword(password)
+    await Session.revokeAll(user._id, "password_reset")
+
+    // Prévenir l'utilisateur : s'il n'est pas à l'origine du changement, il doit réagir
+    getMailer()
+      .send({
+        to: user.email,
+        subject: "Votre mot de passe MonBudget a été modifié",
+        text:
+          `Bonjour ${user.firstName},\n\nLe mot de passe de votre compte vient d'être réinitialisé ` +
+          "et toutes vos sessions ont été fermées.\n" +
+          "Si vous n'êtes pas à l'origine de ce changement, contactez immédiatement le support.\n\n" +
+          "L'équipe MonBudget",
       })
-    }
+      .catch((error) => console.error("Erreur lors de l'envoi de la confirmation de réinitialisation:", error))
 
-    // Logique d'envoi d'email à implémenter
     res.json({
       success: true,
-      message: "Fonctionnalité de réinitialisation de mot de passe à venir",
+      message: "Mot de passe réinitialisé avec succès. Veuillez vous reconnecter.",
     })
   } catch (error) {
-    console.error("Erreur lors de la demande de réinitialisation:", error)
+    console.error("Erreur lors de la réinitialisation du mot de passe:", error)
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la demande de réinitialisation",
+      error: "Erreur lors de la réinitialisation du mot de passe",
     })
   }
 })
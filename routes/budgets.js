@@ -2,8 +2,9 @@ const express = require("express")
 const Budget = require("../models/Budget")
 const Category = require("../models/Category")
 const Transaction = require("../models/Transaction")
+const ExchangeRate = require("../models/ExchangeRate")
 const { auth } = require("../middleware/auth");
-const { validateBudget } = require("../middleware/validation")
+const { validateBudget, validateMongoId } = require("../middleware/validation")
 
 const router = express.Router()
 
@@ -22,6 +23,8 @@ router.get("/", auth, async (req, res) => {
       filter.period = period
     }
 
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+
     const budgets = await Budget.aggregate([
       { $match: filter },
       {
@@ -35,41 +38,8 @@ router.get("/", auth, async (req, res) => {
       {
         $unwind: "$category",
       },
-      {
-        $lookup: {
-          from: "transactions",
-          let: { categoryId: "$categoryId", startDate: "$startDate", endDate: "$endDate", userId: "$userId" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$categoryId", "$$categoryId"] },
-                    { $eq: ["$userId", "$$userId"] },
-                    { $gte: ["$date", "$$startDate"] },
-                    { $lte: ["$date", "$$endDate"] },
-                    { $lt: ["$amount", 0] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "transactions",
-        },
-      },
-      {
-        $addFields: {
-          spent: {
-            $sum: {
-              $map: {
-                input: "$transactions",
-                as: "transaction",
-                in: { $abs: "$$transaction.amount" },
-              },
-            },
-          },
-        },
-      },
+      ...Category.overrideStages(req.user._id),
+      ...Budget.spentLookupStages(converter.expression()),
       {
         $project: {
           _id: 1,
@@ -78,6 +48,10 @@ router.get("/", auth, async (req, res) => {
           startDate: 1,
           endDate: 1,
           spent: 1,
+          available: 1,
+          rollover: 1,
+          autoRenew: 1,
+          previousBudgetId: 1,
           isActive: 1,
           alertThreshold: 1,
           notes: 1,
@@ -111,7 +85,8 @@ router.get("/", auth, async (req, res) => {
 // @access  Private
 router.post("/", auth, validateBudget, async (req, res) => {
   try {
-    const { categoryId, amount, period, startDate, endDate, alertThreshold, notes } = req.body
+    const { categoryId, name, amount, period, startDate, endDate, alertThreshold, notes, rollover, autoRenew } =
+      req.body
 
     // Vérifier que la catégorie existe
     const category = await Category.findById(categoryId)
@@ -146,12 +121,15 @@ router.post("/", auth, validateBudget, async (req, res) => {
     const budget = new Budget({
       userId: req.user._id,
       categoryId,
+      name: name || `Budget ${category.name}`,
       amount: Number.parseFloat(amount),
       period,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
       alertThreshold: alertThreshold || 80,
       notes,
+      rollover: { enabled: rollover === true || rollover === "true" },
+      autoRenew: autoRenew === undefined ? true : autoRenew === true || autoRenew === "true",
     })
 
     await budget.save()
@@ -214,7 +192,7 @@ router.get("/:id", auth, async (req, res) => {
 // @access  Private
 router.put("/:id", auth, validateBudget, async (req, res) => {
   try {
-    const { amount, period, startDate, endDate, alertThreshold, notes, isActive } = req.body
+    const { name, amount, period, startDate, endDate, alertThreshold, notes, isActive, rollover, autoRenew } = req.body
 
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -235,9 +213,12 @@ router.put("/:id", auth, validateBudget, async (req, res) => {
     budget.endDate = new Date(endDate)
     budget.alertThreshold = alertThreshold || budget.alertThreshold
     budget.notes = notes
+    if (name) budget.name = name
     if (isActive !== undefined) {
       budget.isActive = isActive
     }
+    if (rollover !== undefined) budget.rollover.enabled = rollover === true || rollover === "true"
+    if (autoRenew !== undefined) budget.autoRenew = autoRenew === true || autoRenew === "true"
 
     await budget.save()
 
@@ -290,6 +271,104 @@ router.delete("/:id", auth, async (req, res) => {
   }
 })
 
+// @route   GET /api/budgets/:id/history
+// @desc    Obtenir l'historique des périodes d'un budget renouvelé (de la plus récente à la plus ancienne)
+// @access  Private
+router.get("/:id/history", auth, validateMongoId(), async (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit) || 12, 60)
+
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: "Budget non trouvé",
+      })
+    }
+
+    // Les périodes closes gardent le montant dépensé figé au renouvellement
+    if (budget.isActive) {
+      await budget.updateSpent()
+    }
+
+    // Remonter la chaîne des renouvellements dans les deux sens à partir du budget demandé
+    const [chain] = await Budget.aggregate([
+      { $match: { _id: budget._id } },
+      {
+        $graphLookup: {
+          from: "budgets",
+          startWith: "$previousBudgetId",
+          connectFromField: "previousBudgetId",
+          connectToField: "_id",
+          as: "previous",
+          maxDepth: limit,
+        },
+      },
+      {
+        $graphLookup: {
+          from: "budgets",
+          startWith: "$_id",
+          connectFromField: "_id",
+          connectToField: "previousBudgetId",
+          as: "next",
+          maxDepth: limit,
+        },
+      },
+    ])
+
+    const periods = [...chain.next, budget.toObject(), ...chain.previous]
+      .sort((a, b) => b.startDate - a.startDate)
+      .slice(0, limit)
+      .map((period) => {
+        const available = Math.max(0, period.amount + (period.rollover?.amount || 0))
+        return {
+          _id: period._id,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          amount: period.amount,
+          rolloverAmount: period.rollover?.amount || 0,
+          available,
+          spent: period.spent,
+          remaining: Math.round((available - period.spent) * 100) / 100,
+          percentageUsed: available > 0 ? Math.round((period.spent / available) * 100) : 0,
+          isActive: period.isActive,
+          isCurrent: period.isActive && period.startDate <= new Date() && period.endDate >= new Date(),
+        }
+      })
+
+    const closedPeriods = periods.filter((period) => !period.isActive)
+    const summary = {
+      periodsCount: periods.length,
+      exceededCount: closedPeriods.filter((period) => period.spent > period.available).length,
+      averageSpent: closedPeriods.length
+        ? Math.round(closedPeriods.reduce((sum, period) => sum + period.spent, 0) / closedPeriods.length)
+        : 0,
+    }
+
+    res.json({
+      success: true,
+      data: {
+        budgetId: budget._id,
+        name: budget.name,
+        period: budget.period,
+        rolloverEnabled: budget.rollover.enabled,
+        periods,
+        summary,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'historique du budget:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de l'historique du budget",
+    })
+  }
+})
+
 // @route   POST /api/budgets/:id/refresh
 // @desc    Actualiser le montant dépensé d'un budget
 // @access  Private
@@ -1,26 +1,65 @@
 const express = require("express")
 const Category = require("../models/Category")
+const CategoryOverride = require("../models/CategoryOverride")
+const Transaction = require("../models/Transaction")
+const Budget = require("../models/Budget")
 const { auth } = require("../middleware/auth");
+const {
+  validateCategory,
+  validateCategoryOverride,
+  validateCategoryReorder,
+  validateMongoId,
+} = require("../middleware/validation")
 
 const router = express.Router()
 
+// Filtre des catégories visibles par l'utilisateur (par défaut + personnelles)
+const visibleCategoriesFilter = (userId) => ({
+  $or: [{ isDefault: true }, { userId }],
+  isActive: true,
+})
+
+// Vérifier la catégorie parente : visible, même type, et un seul niveau de sous-catégories
+const checkParentCategory = async (req, parentId, type, category = null) => {
+  if (!parentId) return { parent: null }
+
+  if (category && category._id.equals(parentId)) {
+    return { error: "Une catégorie ne peut pas être sa propre catégorie parente" }
+  }
+
+  const parent = await Category.findOne({ _id: parentId, ...visibleCategoriesFilter(req.user._id) })
+  if (!parent) {
+    return { error: "Catégorie parente non trouvée", status: 404 }
+  }
+
+  if (parent.type !== type) {
+    return { error: "La catégorie parente doit être du même type" }
+  }
+
+  if (parent.parentCategory) {
+    return { error: "Une sous-catégorie ne peut pas avoir de sous-catégories" }
+  }
+
+  if (category) {
+    const subcategoryCount = await Category.countDocuments({ parentCategory: category._id })
+    if (subcategoryCount > 0) {
+      return { error: "Une catégorie ayant des sous-catégories ne peut pas devenir une sous-catégorie" }
+    }
+  }
+
+  return { parent }
+}
+
 // @route   GET /api/categories
 // @desc    Obtenir les catégories (par défaut + utilisateur)
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
-    const { type } = req.query
+    const { type, includeHidden = "false" } = req.query
 
-    const filter = {
-      $or: [{ isDefault: true }, { userId: req.user._id }],
-      isActive: true,
-    }
-
-    if (type) {
-      filter.type = type
-    }
-
-    const categories = await Category.find(filter).sort({ isDefault: -1, name: 1 })
+    const categories = await Category.getUserCategories(req.user._id, type, {
+      includeHidden: includeHidden === "true",
+    })
 
     res.json({
       success: true,
@@ -35,12 +74,93 @@ router.get("/", auth, async (req, res) => {
   }
 })
 
+// @route   GET /api/categories/tree
+// @desc    Obtenir les catégories avec leurs sous-catégories
+// @access  Private
+router.get("/tree", auth, async (req, res) => {
+  try {
+    const { type, includeHidden = "false" } = req.query
+
+    const categories = await Category.getUserCategories(req.user._id, type, {
+      includeHidden: includeHidden === "true",
+    })
+
+    res.json({
+      success: true,
+      data: Category.buildTree(categories),
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'arbre des catégories:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de l'arbre des catégories",
+    })
+  }
+})
+
+// @route   PUT /api/categories/reorder
+// @desc    Modifier l'ordre d'affichage des catégories (personnalisation pour les catégories par défaut)
+// @access  Private
+router.put("/reorder", auth, validateCategoryReorder, async (req, res) => {
+  try {
+    const { categories } = req.body
+
+    const defaultCategories = await Category.find({
+      _id: { $in: categories.map(({ id }) => id) },
+      isDefault: true,
+    }).select("_id")
+    const defaultIds = new Set(defaultCategories.map((category) => category._id.toString()))
+
+    const ownCategories = categories.filter(({ id }) => !defaultIds.has(id))
+    const overriddenCategories = categories.filter(({ id }) => defaultIds.has(id))
+
+    let updated = 0
+
+    if (ownCategories.length > 0) {
+      const result = await Category.bulkWrite(
+        ownCategories.map(({ id, order }) => ({
+          updateOne: {
+            filter: { _id: id, userId: req.user._id },
+            update: { $set: { order: Number.parseInt(order) } },
+          },
+        })),
+      )
+      updated += result.modifiedCount
+    }
+
+    if (overriddenCategories.length > 0) {
+      const result = await CategoryOverride.bulkWrite(
+        overriddenCategories.map(({ id, order }) => ({
+          updateOne: {
+            filter: { userId: req.user._id, categoryId: id },
+            update: { $set: { order: Number.parseInt(order) } },
+            upsert: true,
+          },
+        })),
+      )
+      updated += result.modifiedCount + result.upsertedCount
+    }
+
+    res.json({
+      success: true,
+      message: "Ordre des catégories mis à jour",
+      data: { updated },
+    })
+  } catch (error) {
+    console.error("Erreur lors du réordonnancement des catégories:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du réordonnancement des catégories",
+    })
+  }
+})
+
 // @route   POST /api/categories
 // @desc    Créer une nouvelle catégorie personnalisée
 // @access  Private
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, validateCategory, async (req, res) => {
   try {
-    const { name, type, color, icon, description } = req.body
+    const { name, type, color, icon, description, parentCategory, order } = req.body
 
     // Vérifier si une catégorie avec ce nom existe déjà pour cet utilisateur
     const existingCategory = await Category.findOne({
@@ -56,6 +176,14 @@ router.post("/", auth, async (req, res) => {
       })
     }
 
+    const parentCheck = await checkParentCategory(req, parentCategory, type)
+    if (parentCheck.error) {
+      return res.status(parentCheck.status || 400).json({
+        success: false,
+        error: parentCheck.error,
+      })
+    }
+
     const category = new Category({
       name,
       type,
@@ -63,6 +191,8 @@ router.post("/", auth, async (req, res) => {
       icon: icon || "Circle",
       description,
       userId: req.user._id,
+      parentCategory: parentCheck.parent ? parentCheck.parent._id : null,
+      order: order !== undefined ? Number.parseInt(order) : 0,
     })
 
     await category.save()
@@ -81,5 +211,286 @@ router.post("/", auth, async (req, res) => {
   }
 })
 
+// @route   PUT /api/categories/:id
+// @desc    Mettre à jour une catégorie personnalisée
+// @access  Private
+router.put("/:id", auth, validateMongoId(), validateCategory, async (req, res) => {
+  try {
+    const { name, type, color, icon, description, parentCategory, order } = req.body
+
+    const category = await Category.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Catégorie non trouvée",
+        message: "Les catégories par défaut ne peuvent pas être modifiées.",
+      })
+    }
+
+    // Changer de type rendrait les transactions existantes incohérentes
+    if (type !== category.type) {
+      const transactionCount = await Transaction.countDocuments({ categoryId: category._id })
+      if (transactionCount > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Le type d'une catégorie utilisée par des transactions ne peut pas être modifié",
+        })
+      }
+    }
+
+    const duplicate = await Category.findOne({
+      _id: { $ne: category._id },
+      name,
+      type,
+      userId: req.user._id,
+    })
+
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        error: "Une catégorie avec ce nom existe déjà",
+      })
+    }
+
+    const parentCheck = await checkParentCategory(req, parentCategory, type, category)
+    if (parentCheck.error) {
+      return res.status(parentCheck.status || 400).json({
+        success: false,
+        error: parentCheck.error,
+      })
+    }
+
+    category.name = name
+    category.type = type
+    category.color = color
+    if (icon) category.icon = icon
+    if (description !== undefined) category.description = description
+    if (parentCategory !== undefined) category.parentCategory = parentCheck.parent ? parentCheck.parent._id : null
+    if (order !== undefined) category.order = Number.parseInt(order)
+
+    await category.save()
+
+    res.json({
+      success: true,
+      message: "Catégorie mise à jour avec succès",
+      data: category,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour de la catégorie:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la mise à jour de la catégorie",
+    })
+  }
+})
+
+// @route   DELETE /api/categories/:id
+// @desc    Supprimer une catégorie personnalisée, en déplaçant ses transactions et budgets
+//          vers une catégorie de remplacement (replacementCategoryId) si nécessaire
+// @access  Private
+router.delete("/:id", auth, validateMongoId(), async (req, res) => {
+  try {
+    const replacementCategoryId = req.body.replacementCategoryId || req.query.replacementCategoryId
+
+    const category = await Category.findOne({
+      _id: req.params.id,
+      $or: [{ userId: req.user._id }, { isDefault: true }],
+    })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Catégorie non trouvée",
+      })
+    }
+
+    if (category.isDefault) {
+      return res.status(403).json({
+        success: false,
+        error: "Les catégories par défaut ne peuvent pas être supprimées",
+      })
+    }
+
+    const canBeDeleted = await category.canBeDeleted()
+
+    if (!canBeDeleted && !replacementCategoryId) {
+      const [transactionCount, budgetCount] = await Promise.all([
+        Transaction.countDocuments({ categoryId: category._id }),
+        Budget.countDocuments({ categoryId: category._id }),
+      ])
+
+      return res.status(400).json({
+        success: false,
+        error: "Cette catégorie est utilisée",
+        message: "Indiquez une catégorie de remplacement (replacementCategoryId) pour ses transactions et budgets.",
+        data: { transactionCount, budgetCount },
+      })
+    }
+
+    let moved = { transactions: 0, budgets: 0 }
+
+    if (!canBeDeleted) {
+      const replacement = await Category.findOne({
+        _id: replacementCategoryId,
+        ...visibleCategoriesFilter(req.user._id),
+      })
+
+      if (!replacement || replacement._id.equals(category._id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Catégorie de remplacement non trouvée",
+        })
+      }
+
+      if (replacement.type !== category.type) {
+        return res.status(400).json({
+          success: false,
+          error: "La catégorie de remplacement doit être du même type",
+        })
+      }
+
+      // Un seul budget par catégorie et date de début : refuser plutôt que d'écraser un budget existant
+      const budgets = await Budget.find({ categoryId: category._id })
+      const conflict = await Budget.findOne({
+        userId: req.user._id,
+        categoryId: replacement._id,
+        startDate: { $in: budgets.map((budget) => budget.startDate) },
+      })
+
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          error: "La catégorie de remplacement a déjà un budget sur la même période",
+          data: { conflictingBudgetId: conflict._id },
+        })
+      }
+
+      const transactionResult = await Transaction.updateMany(
+        { categoryId: category._id },
+        { $set: { categoryId: replacement._id } },
+      )
+      await Transaction.updateMany(
+        { "recurringPattern.overrides.categoryId": category._id },
+        { $set: { "recurringPattern.overrides.categoryId": replacement._id } },
+      )
+      const budgetResult = await Budget.updateMany(
+        { categoryId: category._id },
+        { $set: { categoryId: replacement._id } },
+      )
+
+      // Recalculer les budgets de la catégorie de remplacement
+      const replacementBudgets = await Budget.find({ userId: req.user._id, categoryId: replacement._id })
+      for (const budget of replacementBudgets) {
+        await budget.updateSpent()
+      }
+
+      moved = { transactions: transactionResult.modifiedCount, budgets: budgetResult.modifiedCount }
+    }
+
+    // Les sous-catégories remontent à la racine
+    await Category.updateMany({ parentCategory: category._id }, { $set: { parentCategory: null } })
+
+    await Category.deleteOne({ _id: category._id })
+
+    res.json({
+      success: true,
+      message: "Catégorie supprimée avec succès",
+      data: { moved },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suppression de la catégorie:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression de la catégorie",
+    })
+  }
+})
+
+// @route   PUT /api/categories/:id/override
+// @desc    Personnaliser une catégorie par défaut (masquer, renommer, changer couleur ou icône)
+// @access  Private
+router.put("/:id/override", auth, validateMongoId(), validateCategoryOverride, async (req, res) => {
+  try {
+    const { name, color, icon, order, isHidden } = req.body
+
+    const category = await Category.findOne({ _id: req.params.id, isDefault: true, isActive: true })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Catégorie par défaut non trouvée",
+        message: "Les catégories personnelles se modifient directement avec PUT /api/categories/:id.",
+      })
+    }
+
+    // Une valeur vide ou null rétablit la valeur par défaut du champ
+    const $set = {}
+    const $unset = {}
+    const fields = { name, color, icon, order: order === null || order === undefined ? order : Number.parseInt(order) }
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === undefined) continue
+      if (value === null || value === "") {
+        $unset[field] = ""
+      } else {
+        $set[field] = value
+      }
+    }
+
+    if (isHidden !== undefined) $set.isHidden = isHidden === true || isHidden === "true"
+
+    const update = { $set }
+    if (Object.keys($unset).length > 0) update.$unset = $unset
+
+    const override = await CategoryOverride.findOneAndUpdate(
+      { userId: req.user._id, categoryId: category._id },
+      update,
+      { upsert: true, new: true, runValidators: true },
+    )
+
+    res.json({
+      success: true,
+      message: "Catégorie personnalisée avec succès",
+      data: Category.applyOverride(category, override),
+    })
+  } catch (error) {
+    console.error("Erreur lors de la personnalisation de la catégorie:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la personnalisation de la catégorie",
+    })
+  }
+})
+
+// @route   DELETE /api/categories/:id/override
+// @desc    Rétablir une catégorie par défaut telle quelle
+// @access  Private
+router.delete("/:id/override", auth, validateMongoId(), async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, isDefault: true })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Catégorie par défaut non trouvée",
+      })
+    }
+
+    await CategoryOverride.deleteOne({ userId: req.user._id, categoryId: category._id })
+
+    res.json({
+      success: true,
+      message: "Personnalisation supprimée",
+      data: Category.applyOverride(category, null),
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suppression de la personnalisation:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression de la personnalisation",
+    })
+  }
+})
 
 module.exports = router
@@ -4,6 +4,8 @@ const Account = require("../models/Account")
 const Transaction = require("../models/Transaction")
 const Budget = require("../models/Budget")
 const Goal = require("../models/Goal")
+const Category = require("../models/Category")
+const ExchangeRate = require("../models/ExchangeRate")
 const { auth } = require("../middleware/auth");
 
 const router = express.Router()
@@ -13,9 +15,12 @@ const router = express.Router()
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
+    // Les totaux sont convertis dans la devise de l'utilisateur
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+
     // Récupérer les comptes de l'utilisateur
     const accounts = await Account.find({ userId: req.user._id, isActive: true })
-      .select("name bank type balance")
+      .select("name bank type balance currency")
       .sort({ createdAt: 1 })
 
     // Récupérer les transactions récentes (10 dernières)
@@ -24,7 +29,7 @@ router.get("/", auth, async (req, res) => {
       .populate("accountId", "name bank")
       .sort({ date: -1, createdAt: -1 })
       .limit(10)
-      .select("description amount date categoryId accountId")
+      .select("type description amount currency date categoryId accountId")
 
     // Récupérer les budgets actifs avec les dépenses
     const budgets = await Budget.aggregate([
@@ -47,46 +52,14 @@ router.get("/", auth, async (req, res) => {
       {
         $unwind: "$category",
       },
-      {
-        $lookup: {
-          from: "transactions",
-          let: { categoryId: "$categoryId", startDate: "$startDate", endDate: "$endDate", userId: "$userId" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$categoryId", "$$categoryId"] },
-                    { $eq: ["$userId", "$$userId"] },
-                    { $gte: ["$date", "$$startDate"] },
-                    { $lte: ["$date", "$$endDate"] },
-                    { $lt: ["$amount", 0] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "transactions",
-        },
-      },
-      {
-        $addFields: {
-          spent: {
-            $sum: {
-              $map: {
-                input: "$transactions",
-                as: "transaction",
-                in: { $abs: "$$transaction.amount" },
-              },
-            },
-          },
-        },
-      },
+      ...Category.overrideStages(req.user._id),
+      ...Budget.spentLookupStages(converter.expression()),
       {
         $project: {
           category: "$category.name",
           color: "$category.color",
           budget: "$amount",
+          available: 1,
           spent: 1,
           period: 1,
           startDate: 1,
@@ -102,7 +75,10 @@ router.get("/", auth, async (req, res) => {
       .select("title targetAmount currentAmount deadline category")
 
     // Calculer les statistiques
-    const totalBalance = accounts.reduce((sum, account) => sum + account.balance, 0)
+    const totalBalance = accounts.reduce(
+      (sum, account) => sum + converter.convert(account.balance, account.currency),
+      0,
+    )
 
     // Dépenses du mois en cours
     const startOfMonth = new Date()
@@ -113,14 +89,15 @@ router.get("/", auth, async (req, res) => {
       {
         $match: {
           userId: req.user._id,
+          type: "expense",
+          status: "completed",
           date: { $gte: startOfMonth },
-          amount: { $lt: 0 },
         },
       },
       {
         $group: {
           _id: null,
-          total: { $sum: { $abs: "$amount" } },
+          total: { $sum: converter.expression() },
         },
       },
     ])
@@ -130,21 +107,29 @@ router.get("/", auth, async (req, res) => {
     // Épargne (comptes d'épargne)
     const savings = accounts
       .filter((account) => account.type === "savings")
-      .reduce((sum, account) => sum + account.balance, 0)
+      .reduce((sum, account) => sum + converter.convert(account.balance, account.currency), 0)
 
     const stats = {
       totalBalance,
       monthlyExpenses,
       savings,
+      currency: converter.currency,
     }
 
-    // Formater les données pour le frontend
+    // Formater les données pour le frontend (avec les personnalisations de catégories)
+    const categoryOverrides = await Category.getUserOverrides(req.user._id)
     const formattedRecentTransactions = recentTransactions.map((transaction) => ({
       id: transaction._id,
+      type: transaction.type,
       description: transaction.description,
       amount: transaction.amount,
+      currency: transaction.currency,
+      convertedAmount: converter.convert(transaction.amount, transaction.currency),
       date: transaction.date.toISOString().split("T")[0],
-      category: transaction.categoryId?.name || "Non catégorisé",
+      category: transaction.categoryId
+        ? Category.applyOverride(transaction.categoryId, categoryOverrides.get(transaction.categoryId._id.toString()))
+            .name
+        : "Non catégorisé",
       account: transaction.accountId?.name || "Compte supprimé",
     }))
 
@@ -154,6 +139,8 @@ router.get("/", auth, async (req, res) => {
       bank: account.bank,
       type: account.type,
       balance: account.balance,
+      currency: account.currency,
+      convertedBalance: converter.convert(account.balance, account.currency),
     }))
 
     res.json({
@@ -165,6 +152,7 @@ router.get("/", auth, async (req, res) => {
         budgets,
         goals,
         stats,
+        conversion: converter.summary(),
       },
     })
   } catch (error) {
@@ -185,30 +173,30 @@ router.get("/quick-stats", auth, async (req, res) => {
     const startDate = new Date()
     startDate.setDate(startDate.getDate() - Number.parseInt(period))
 
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+    const convertedAmount = converter.expression()
+
     // Statistiques des transactions
     const transactionStats = await Transaction.aggregate([
       {
         $match: {
           userId: req.user._id,
+          status: "completed",
           date: { $gte: startDate },
         },
       },
       {
         $group: {
           _id: null,
-          totalIncome: {
-            $sum: { $cond: [{ $gt: ["$amount", 0] }, "$amount", 0] },
-          },
-          totalExpenses: {
-            $sum: { $cond: [{ $lt: ["$amount", 0] }, { $abs: "$amount" }, 0] },
-          },
+          totalIncome: { $sum: Transaction.amountOfType("income", 0, convertedAmount) },
+          totalExpenses: { $sum: Transaction.amountOfType("expense", 0, convertedAmount) },
           transactionCount: { $sum: 1 },
         },
       },
     ])
 
-    // Solde total des comptes
-    const accountStats = await Account.aggregate([
+    // Solde total des comptes, devise par devise puis converti
+    const balancesByCurrency = await Account.aggregate([
       {
         $match: {
           userId: req.user._id,
@@ -217,11 +205,13 @@ router.get("/quick-stats", auth, async (req, res) => {
       },
       {
         $group: {
-          _id: null,
+          _id: "$currency",
           totalBalance: { $sum: "$balance" },
           accountCount: { $sum: 1 },
         },
       },
+      { $project: { _id: 0, currency: "$_id", totalBalance: 1, accountCount: 1 } },
+      { $sort: { currency: 1 } },
     ])
 
     // Objectifs actifs
@@ -251,9 +241,13 @@ router.get("/quick-stats", auth, async (req, res) => {
         totalExpenses: 0,
         transactionCount: 0,
       },
-      accounts: accountStats[0] || {
-        totalBalance: 0,
-        accountCount: 0,
+      accounts: {
+        totalBalance: balancesByCurrency.reduce(
+          (sum, group) => sum + converter.convert(group.totalBalance, group.currency),
+          0,
+        ),
+        accountCount: balancesByCurrency.reduce((sum, group) => sum + group.accountCount, 0),
+        byCurrency: balancesByCurrency,
       },
       goals: goalStats[0] || {
         totalGoals: 0,
@@ -265,10 +259,12 @@ router.get("/quick-stats", auth, async (req, res) => {
 
     // Calculer le solde net
     stats.transactions.netAmount = stats.transactions.totalIncome - stats.transactions.totalExpenses
+    stats.currency = converter.currency
 
     res.json({
       success: true,
       data: stats,
+      conversion: converter.summary(),
       period: Number.parseInt(period),
     })
   } catch (error) {
@@ -0,0 +1,122 @@
+const express = require("express")
+const ExchangeRate = require("../models/ExchangeRate")
+const { auth } = require("../middleware/auth")
+const { validateExchangeRate, validateConversion } = require("../middleware/validation")
+
+const router = express.Router()
+
+// @route   GET /api/exchange-rates
+// @desc    Obtenir les cours de change appliqués à l'utilisateur (en francs CFA pour une unité)
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.getRates(req.user._id)
+
+    // Historique des cours saisis par l'utilisateur ou chargés depuis un fichier
+    const entries = await ExchangeRate.find({ $or: [{ userId: null }, { userId: req.user._id }] })
+      .sort({ currency: 1, effectiveDate: -1 })
+      .limit(100)
+
+    res.json({
+      success: true,
+      data: {
+        currency: req.user.preferences?.currency || "CFA",
+        rates,
+        fixedRates: ExchangeRate.FIXED_RATES,
+        entries,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des cours de change:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des cours de change",
+    })
+  }
+})
+
+// @route   GET /api/exchange-rates/convert
+// @desc    Convertir un montant d'une devise à une autre
+// @access  Private
+router.get("/convert", auth, validateConversion, async (req, res) => {
+  try {
+    const { amount, from, to = req.user.preferences?.currency || "CFA" } = req.query
+
+    const rate = await ExchangeRate.getRate(req.user._id, from, to)
+    if (!rate) {
+      return res.status(422).json({
+        success: false,
+        error: `Aucun cours de change connu pour ${from} → ${to}`,
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount: Number.parseFloat(amount),
+        from,
+        to,
+        rate,
+        convertedAmount: Math.round(Number.parseFloat(amount) * rate * 100) / 100,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la conversion:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la conversion",
+    })
+  }
+})
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Saisir son propre cours pour une devise (prime sur le cours chargé depuis un fichier)
+// @access  Private
+router.put("/:currency", auth, validateExchangeRate, async (req, res) => {
+  try {
+    const { rate, effectiveDate } = req.body
+    const date = effectiveDate ? new Date(effectiveDate) : new Date()
+    date.setUTCHours(0, 0, 0, 0)
+
+    const entry = await ExchangeRate.findOneAndUpdate(
+      { userId: req.user._id, currency: req.params.currency, effectiveDate: date },
+      { $set: { rate: Number.parseFloat(rate), source: "manual" } },
+      { upsert: true, new: true, runValidators: true },
+    )
+
+    res.json({
+      success: true,
+      message: "Cours de change enregistré avec succès",
+      data: entry,
+    })
+  } catch (error) {
+    console.error("Erreur lors de l'enregistrement du cours de change:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'enregistrement du cours de change",
+    })
+  }
+})
+
+// @route   DELETE /api/exchange-rates/:currency
+// @desc    Supprimer ses cours saisis pour une devise (retour au cours global)
+// @access  Private
+router.delete("/:currency", auth, async (req, res) => {
+  try {
+    const result = await ExchangeRate.deleteMany({ userId: req.user._id, currency: req.params.currency })
+
+    res.json({
+      success: true,
+      message: `${result.deletedCount} cours supprimé(s)`,
+      data: { rates: await ExchangeRate.getRates(req.user._id) },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suppression des cours de change:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression des cours de change",
+    })
+  }
+})
+
+module.exports = router
@@ -1,7 +1,19 @@
 const express = require("express")
 const Goal = require("../models/Goal")
+const { buildGoalProjection } = require("../services/goalProjection")
 const { auth } = require("../middleware/auth");
-const { validateGoal } = require("../middleware/validation")
+const {
+  validateGoal,
+  validateGoalContribution,
+  validateGoalWithdrawal,
+  validateContributionUpdate,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateGoalProjection,
+  validatePagination,
+  validateDateRange,
+  validateMongoId,
+} = require("../middleware/validation")
 
 const router = express.Router()
 
@@ -10,25 +22,23 @@ const router = express.Router()
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
-    const { isActive = true, category, status } = req.query
+    const { category, status } = req.query
 
     const filter = { userId: req.user._id }
 
-    if (isActive !== "all") {
-      filter.isActive = isActive === "true"
-    }
-
     if (category && category !== "all") {
       filter.category = category
     }
 
-    let goals = await Goal.find(filter).sort({ deadline: 1, createdAt: -1 })
-
-    // Filtrer par statut si spécifié
     if (status && status !== "all") {
-      goals = goals.filter((goal) => goal.status === status)
+      filter.status = status
     }
 
+    const goals = await Goal.find(filter)
+      .sort({ targetDate: 1, createdAt: -1 })
+      .populate("sourceAccountId", "name bank type")
+      .populate("savingsAccountId", "name bank type")
+
     res.json({
       success: true,
       data: goals,
@@ -48,28 +58,34 @@ router.get("/", auth, async (req, res) => {
 router.post("/", auth, validateGoal, async (req, res) => {
   try {
     const {
-      title,
+      name,
       description,
       targetAmount,
       currentAmount = 0,
-      deadline,
+      targetDate,
       category,
       priority = "medium",
-      linkedAccountId,
+      color,
+      icon,
+      sourceAccountId,
+      savingsAccountId,
       autoSave,
       milestones,
     } = req.body
 
     const goal = new Goal({
       userId: req.user._id,
-      title,
+      name,
       description,
       targetAmount: Number.parseFloat(targetAmount),
       currentAmount: Number.parseFloat(currentAmount),
-      deadline: new Date(deadline),
+      targetDate: new Date(targetDate),
       category,
       priority,
-      linkedAccountId,
+      color,
+      icon,
+      sourceAccountId: sourceAccountId || null,
+      savingsAccountId: savingsAccountId || null,
       autoSave,
       milestones: milestones || [],
     })
@@ -82,6 +98,12 @@ router.post("/", auth, validateGoal, async (req, res) => {
       data: goal,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
     console.error("Erreur lors de la création de l'objectif:", error)
     res.status(500).json({
       success: false,
@@ -98,7 +120,9 @@ router.get("/:id", auth, async (req, res) => {
     const goal = await Goal.findOne({
       _id: req.params.id,
       userId: req.user._id,
-    }).populate("linkedAccountId", "name bank type")
+    })
+      .populate("sourceAccountId", "name bank type balance currency")
+      .populate("savingsAccountId", "name bank type balance currency")
 
     if (!goal) {
       return res.status(404).json({
@@ -126,15 +150,17 @@ router.get("/:id", auth, async (req, res) => {
 router.put("/:id", auth, validateGoal, async (req, res) => {
   try {
     const {
-      title,
+      name,
       description,
       targetAmount,
-      currentAmount,
-      deadline,
+      targetDate,
       category,
       priority,
-      isActive,
-      linkedAccountId,
+      status,
+      color,
+      icon,
+      sourceAccountId,
+      savingsAccountId,
       autoSave,
       milestones,
     } = req.body
@@ -151,21 +177,20 @@ router.put("/:id", auth, validateGoal, async (req, res) => {
       })
     }
 
-    // Mettre à jour les champs
-    goal.title = title
+    // Mettre à jour les champs (le montant actuel n'évolue que par les contributions)
+    goal.name = name
     goal.description = description
     goal.targetAmount = Number.parseFloat(targetAmount)
-    goal.currentAmount = Number.parseFloat(currentAmount)
-    goal.deadline = new Date(deadline)
     goal.category = category
-    goal.priority = priority
-    goal.linkedAccountId = linkedAccountId
-    goal.autoSave = autoSave
-    goal.milestones = milestones || goal.milestones
-
-    if (isActive !== undefined) {
-      goal.isActive = isActive
-    }
+    if (new Date(targetDate).getTime() !== goal.targetDate.getTime()) goal.targetDate = new Date(targetDate)
+    if (priority !== undefined) goal.priority = priority
+    if (status !== undefined) goal.status = status
+    if (color !== undefined) goal.color = color
+    if (icon !== undefined) goal.icon = icon
+    if (sourceAccountId !== undefined) goal.sourceAccountId = sourceAccountId || null
+    if (savingsAccountId !== undefined) goal.savingsAccountId = savingsAccountId || null
+    if (autoSave !== undefined) goal.set("autoSave", autoSave, { merge: true })
+    if (milestones !== undefined) goal.milestones = milestones
 
     await goal.save()
 
@@ -175,6 +200,12 @@ router.put("/:id", auth, validateGoal, async (req, res) => {
       data: goal,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
     console.error("Erreur lors de la mise à jour de l'objectif:", error)
     res.status(500).json({
       success: false,
@@ -214,18 +245,55 @@ router.delete("/:id", auth, async (req, res) => {
 })
 
 // @route   POST /api/goals/:id/add-amount
-// @desc    Ajouter un montant à un objectif
+// @desc    Ajouter un montant à un objectif (débité du compte source s'il est lié)
 // @access  Private
-router.post("/:id/add-amount", auth, async (req, res) => {
+router.post("/:id/add-amount", auth, validateGoalContribution, async (req, res) => {
   try {
-    const { amount } = req.body
+    const { amount, note, date } = req.body
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    await goal.contribute(Number.parseFloat(amount), {
+      note,
+      date: date ? new Date(date) : new Date(),
+    })
+
+    res.json({
+      success: true,
+      message: "Montant ajouté avec succès",
+      data: goal,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: "Le montant doit être positif",
+        error: error.message,
       })
     }
+    console.error("Erreur lors de l'ajout du montant:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'ajout du montant",
+    })
+  }
+})
+
+// @route   POST /api/goals/:id/withdraw
+// @desc    Retirer de l'argent d'un objectif (repris du compte d'épargne lié s'il existe)
+// @access  Private
+router.post("/:id/withdraw", auth, validateGoalWithdrawal, async (req, res) => {
+  try {
+    const { amount, reason, note, date } = req.body
 
     const goal = await Goal.findOne({
       _id: req.params.id,
@@ -239,18 +307,446 @@ router.post("/:id/add-amount", auth, async (req, res) => {
       })
     }
 
-    await goal.addAmount(Number.parseFloat(amount))
+    await goal.withdraw(Number.parseFloat(amount), {
+      reason,
+      note,
+      date: date ? new Date(date) : new Date(),
+    })
 
     res.json({
       success: true,
-      message: "Montant ajouté avec succès",
+      message: "Retrait enregistré avec succès",
       data: goal,
     })
   } catch (error) {
-    console.error("Erreur lors de l'ajout du montant:", error)
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors du retrait:", error)
     res.status(500).json({
       success: false,
-      error: "Erreur lors de l'ajout du montant",
+      error: "Erreur lors du retrait",
+    })
+  }
+})
+
+// @route   GET /api/goals/:id/contributions
+// @desc    Obtenir l'historique des contributions d'un objectif (versements et retraits)
+// @access  Private
+router.get("/:id/contributions", auth, validatePagination, validateDateRange, async (req, res) => {
+  try {
+    const { startDate, endDate, type, limit = 20, offset = 0 } = req.query
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).populate("contributions.transactionId", "accountId transferAccountId type amount date")
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    const { contributions, total, totals } = goal.getContributions({
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      type,
+      limit: Number.parseInt(limit),
+      offset: Number.parseInt(offset),
+    })
+
+    res.json({
+      success: true,
+      data: contributions,
+      totals,
+      pagination: {
+        total,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+        hasMore: total > Number.parseInt(offset) + Number.parseInt(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des contributions:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des contributions",
+    })
+  }
+})
+
+// @route   PUT /api/goals/:id/contributions/:contributionId
+// @desc    Corriger une contribution (la transaction liée est ajustée)
+// @access  Private
+router.put(
+  "/:id/contributions/:contributionId",
+  auth,
+  validateMongoId("contributionId"),
+  validateContributionUpdate,
+  async (req, res) => {
+    try {
+      const { amount, note, reason, date } = req.body
+
+      const goal = await Goal.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      })
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          error: "Objectif non trouvé",
+        })
+      }
+
+      await goal.updateContribution(req.params.contributionId, {
+        amount: amount !== undefined ? Number.parseFloat(amount) : undefined,
+        note,
+        reason,
+        date: date ? new Date(date) : undefined,
+      })
+
+      res.json({
+        success: true,
+        message: "Contribution mise à jour avec succès",
+        data: goal,
+      })
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        })
+      }
+      console.error("Erreur lors de la mise à jour de la contribution:", error)
+      res.status(500).json({
+        success: false,
+        error: "Erreur lors de la mise à jour de la contribution",
+      })
+    }
+  },
+)
+
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @desc    Supprimer une contribution saisie par erreur (la transaction liée est supprimée)
+// @access  Private
+router.delete("/:id/contributions/:contributionId", auth, validateMongoId("contributionId"), async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    await goal.removeContribution(req.params.contributionId)
+
+    res.json({
+      success: true,
+      message: "Contribution supprimée avec succès",
+      data: goal,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors de la suppression de la contribution:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression de la contribution",
+    })
+  }
+})
+
+// @route   GET /api/goals/:id/milestones
+// @desc    Obtenir les jalons d'un objectif avec le montant restant pour chacun
+// @access  Private
+router.get("/:id/milestones", auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    const milestones = goal.milestones
+      .map((milestone) => ({
+        ...milestone.toObject(),
+        remainingAmount: Math.max(0, milestone.amount - goal.currentAmount),
+        percentage: Math.round((milestone.amount / goal.targetAmount) * 100),
+      }))
+      .sort((a, b) => a.amount - b.amount)
+
+    res.json({
+      success: true,
+      data: milestones,
+      nextMilestone: milestones.find((milestone) => !milestone.achieved) || null,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des jalons:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des jalons",
+    })
+  }
+})
+
+// @route   GET /api/goals/:id/milestones/suggestions
+// @desc    Proposer des jalons à 25, 50 et 75 % du montant cible
+// @access  Private
+router.get("/:id/milestones/suggestions", auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: goal.suggestMilestones(),
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suggestion des jalons:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suggestion des jalons",
+    })
+  }
+})
+
+// @route   POST /api/goals/:id/milestones/suggestions
+// @desc    Ajouter les jalons suggérés (25, 50 et 75 %) à un objectif
+// @access  Private
+router.post("/:id/milestones/suggestions", auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    const suggestions = goal.suggestMilestones()
+    await goal.addMilestones(suggestions)
+
+    res.status(201).json({
+      success: true,
+      message: `${suggestions.length} jalon(s) ajouté(s)`,
+      data: goal.milestones,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors de l'ajout des jalons suggérés:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'ajout des jalons suggérés",
+    })
+  }
+})
+
+// @route   POST /api/goals/:id/milestones
+// @desc    Ajouter un jalon à un objectif
+// @access  Private
+router.post("/:id/milestones", auth, validateMilestone, async (req, res) => {
+  try {
+    const { name, amount, reward } = req.body
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    await goal.addMilestones([{ name, amount: Number.parseFloat(amount), reward }])
+
+    res.status(201).json({
+      success: true,
+      message: "Jalon ajouté avec succès",
+      data: goal.milestones,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors de l'ajout du jalon:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'ajout du jalon",
+    })
+  }
+})
+
+// @route   PUT /api/goals/:id/milestones/:milestoneId
+// @desc    Modifier un jalon
+// @access  Private
+router.put(
+  "/:id/milestones/:milestoneId",
+  auth,
+  validateMongoId("milestoneId"),
+  validateMilestoneUpdate,
+  async (req, res) => {
+    try {
+      const { name, amount, reward } = req.body
+
+      const goal = await Goal.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      })
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          error: "Objectif non trouvé",
+        })
+      }
+
+      await goal.updateMilestone(req.params.milestoneId, {
+        name,
+        amount: amount !== undefined ? Number.parseFloat(amount) : undefined,
+        reward,
+      })
+
+      res.json({
+        success: true,
+        message: "Jalon mis à jour avec succès",
+        data: goal.milestones,
+      })
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        })
+      }
+      console.error("Erreur lors de la mise à jour du jalon:", error)
+      res.status(500).json({
+        success: false,
+        error: "Erreur lors de la mise à jour du jalon",
+      })
+    }
+  },
+)
+
+// @route   DELETE /api/goals/:id/milestones/:milestoneId
+// @desc    Supprimer un jalon
+// @access  Private
+router.delete("/:id/milestones/:milestoneId", auth, validateMongoId("milestoneId"), async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    await goal.removeMilestone(req.params.milestoneId)
+
+    res.json({
+      success: true,
+      message: "Jalon supprimé avec succès",
+      data: goal.milestones,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Erreur lors de la suppression du jalon:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression du jalon",
+    })
+  }
+})
+
+// @route   GET /api/goals/:id/projection
+// @desc    Projeter la date d'atteinte d'un objectif selon la capacité d'épargne réelle ;
+//          avec monthlyContribution et/ou targetDate, simuler l'effet sur tous les objectifs actifs
+// @access  Private
+router.get("/:id/projection", auth, validateGoalProjection, async (req, res) => {
+  try {
+    const { monthlyContribution, targetDate, months = 6 } = req.query
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Objectif non trouvé",
+      })
+    }
+
+    const projection = await buildGoalProjection(goal, {
+      user: req.user,
+      monthlyContribution: monthlyContribution !== undefined ? Number.parseFloat(monthlyContribution) : undefined,
+      targetDate: targetDate ? new Date(targetDate) : undefined,
+      months: Number.parseInt(months),
+    })
+
+    res.json({
+      success: true,
+      data: projection,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la projection de l'objectif:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la projection de l'objectif",
     })
   }
 })
@@ -0,0 +1,169 @@
+const express = require("express")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { auth } = require("../middleware/auth")
+const { validatePagination, validateMongoId, validatePushToken } = require("../middleware/validation")
+
+const router = express.Router()
+
+// @route   GET /api/notifications
+// @desc    Obtenir les notifications de l'utilisateur (boîte de réception)
+// @access  Private
+router.get("/", auth, validatePagination, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, unread } = req.query
+
+    const filter = { userId: req.user._id }
+    if (unread === "true") {
+      filter.isRead = false
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(Number.parseInt(offset))
+        .limit(Number.parseInt(limit))
+        .select("-deliveries"),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user._id, isRead: false }),
+    ])
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        total,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+        hasMore: total > Number.parseInt(offset) + Number.parseInt(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des notifications:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des notifications",
+    })
+  }
+})
+
+// @route   PUT /api/notifications/read-all
+// @desc    Marquer toutes les notifications comme lues
+// @access  Private
+router.put("/read-all", auth, async (req, res) => {
+  try {
+    const updatedCount = await Notification.markAllAsRead(req.user._id)
+
+    res.json({
+      success: true,
+      message: `${updatedCount} notification(s) marquée(s) comme lue(s)`,
+      data: { updatedCount },
+    })
+  } catch (error) {
+    console.error("Erreur lors du marquage des notifications:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du marquage des notifications",
+    })
+  }
+})
+
+// @route   POST /api/notifications/devices
+// @desc    Inscrire un appareil aux notifications push
+// @access  Private
+router.post("/devices", auth, validatePushToken, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { pushTokens: req.body.token } })
+
+    res.status(201).json({
+      success: true,
+      message: "Appareil inscrit aux notifications",
+    })
+  } catch (error) {
+    console.error("Erreur lors de l'inscription de l'appareil:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'inscription de l'appareil",
+    })
+  }
+})
+
+// @route   DELETE /api/notifications/devices/:token
+// @desc    Désinscrire un appareil des notifications push
+// @access  Private
+router.delete("/devices/:token", auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $pull: { pushTokens: req.params.token } })
+
+    res.json({
+      success: true,
+      message: "Appareil désinscrit des notifications",
+    })
+  } catch (error) {
+    console.error("Erreur lors de la désinscription de l'appareil:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la désinscription de l'appareil",
+    })
+  }
+})
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Marquer une notification comme lue
+// @access  Private
+router.put("/:id/read", auth, validateMongoId(), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification non trouvée",
+      })
+    }
+
+    await notification.markAsRead()
+
+    res.json({
+      success: true,
+      message: "Notification marquée comme lue",
+      data: notification,
+    })
+  } catch (error) {
+    console.error("Erreur lors du marquage de la notification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du marquage de la notification",
+    })
+  }
+})
+
+// @route   DELETE /api/notifications/:id
+// @desc    Supprimer une notification
+// @access  Private
+router.delete("/:id", auth, validateMongoId(), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user._id })
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification non trouvée",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Notification supprimée avec succès",
+    })
+  } catch (error) {
+    console.error("Erreur lors de la suppression de la notification:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression de la notification",
+    })
+  }
+})
+
+module.exports = router
@@ -1,96 +1,181 @@
 const express = require("express")
+const { once } = require("events")
+const mongoose = require("mongoose")
 const Transaction = require("../models/Transaction")
 const Account = require("../models/Account")
 const Category = require("../models/Category")
-const { auth } = require("../middleware/auth");
-const { validateTransaction } = require("../middleware/validation")
+const ExchangeRate = require("../models/ExchangeRate")
+const Goal = require("../models/Goal")
+const { auth, requireVerifiedEmail } = require("../middleware/auth");
+const { parseCsv, parseOfx } = require("../services/statementParsers")
+const { prepareImport } = require("../services/transactionImport")
+const { createExportWriter } = require("../services/transactionExport")
+const { parseSms } = require("../services/smsParsers")
+const { evaluateBudgetAlerts } = require("../services/budgetAlerts")
+const {
+  validateTransaction,
+  validateRecurringUpdate,
+  validateImport,
+  validateExport,
+  validateSmsParse,
+} = require("../middleware/validation")
 
 const router = express.Router()
 
-// @route   GET /api/transactions
-// @desc    Obtenir les transactions de l'utilisateur
-// @access  Private
-router.get("/", auth, async (req, res) => {
-  try {
-    const { category, search, limit = 50, offset = 0, startDate, endDate, accountId, type } = req.query
+// Construire le filtre et le pipeline de jointure à partir des filtres de la requête
+// (partagé par la liste paginée et l'export). Avec includeIncomingTransfers, le filtre par compte retient aussi
+// les transferts reçus par ce compte.
+const buildTransactionPipeline = (req, { includeIncomingTransfers = false } = {}) => {
+  const { category, search, startDate, endDate, accountId, type } = req.query
 
-    // Construire le filtre
-    const filter = { userId: req.user._id }
+  // Construire le filtre
+  const filter = { userId: req.user._id }
 
-    if (startDate && endDate) {
-      filter.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      }
+  if (startDate && endDate) {
+    filter.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate),
     }
+  }
 
-    if (accountId) {
-      filter.accountId = accountId
+  if (accountId && mongoose.Types.ObjectId.isValid(accountId)) {
+    const id = new mongoose.Types.ObjectId(accountId)
+    if (includeIncomingTransfers) {
+      filter.$or = [{ accountId: id }, { type: "transfer", transferAccountId: id }]
+    } else {
+      filter.accountId = id
     }
+  }
 
-    if (type) {
-      filter.amount = type === "income" ? { $gt: 0 } : { $lt: 0 }
-    }
+  if (type) {
+    filter.type = type
+  }
 
-    if (search) {
-      filter.description = { $regex: search, $options: "i" }
-    }
+  if (search) {
+    filter.description = { $regex: search, $options: "i" }
+  }
 
-    // Pipeline d'agrégation pour joindre les données
-    const pipeline = [
-      { $match: filter },
-      {
-        $lookup: {
-          from: "categories",
-          localField: "categoryId",
-          foreignField: "_id",
-          as: "category",
-        },
-      },
-      {
-        $lookup: {
-          from: "accounts",
-          localField: "accountId",
-          foreignField: "_id",
-          as: "account",
-        },
+  // Pipeline d'agrégation pour joindre les données
+  const pipeline = [
+    { $match: filter },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "categoryId",
+        foreignField: "_id",
+        as: "category",
       },
-      {
-        $unwind: "$category",
-      },
-      {
-        $unwind: "$account",
-      },
-      {
-        $match: category && category !== "all" ? { "category.name": category } : {},
+    },
+    {
+      $lookup: {
+        from: "accounts",
+        localField: "accountId",
+        foreignField: "_id",
+        as: "account",
       },
-      {
-        $project: {
-          _id: 1,
-          description: 1,
-          amount: 1,
-          date: 1,
-          notes: 1,
-          tags: 1,
-          createdAt: 1,
-          category: {
-            _id: "$category._id",
-            name: "$category.name",
-            color: "$category.color",
-            icon: "$category.icon",
-          },
-          account: {
-            _id: "$account._id",
-            name: "$account.name",
-            bank: "$account.bank",
-            type: "$account.type",
-          },
+    },
+    {
+      $unwind: "$category",
+    },
+    ...Category.overrideStages(req.user._id),
+    {
+      $unwind: "$account",
+    },
+    {
+      $match: category && category !== "all" ? { "category.name": category } : {},
+    },
+    {
+      $project: {
+        _id: 1,
+        type: 1,
+        description: 1,
+        amount: 1,
+        currency: 1,
+        date: 1,
+        status: 1,
+        merchant: 1,
+        paymentMethod: 1,
+        transferAccountId: 1,
+        transferAmount: 1,
+        notes: 1,
+        tags: 1,
+        createdAt: 1,
+        category: {
+          _id: "$category._id",
+          name: "$category.name",
+          color: "$category.color",
+          icon: "$category.icon",
+        },
+        account: {
+          _id: "$account._id",
+          name: "$account.name",
+          bank: "$account.bank",
+          type: "$account.type",
+          accountNumber: "$account.accountNumber",
+          currency: "$account.currency",
         },
       },
+    },
+  ]
+
+  return { filter, pipeline }
+}
+
+// Trouver une transaction récurrente (modèle de série) appartenant à l'utilisateur
+const findRecurringTemplate = (req) =>
+  Transaction.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    isRecurring: true,
+  })
+
+// Refuser de modifier ou supprimer ici la transaction d'une contribution à un objectif : le montant de l'objectif
+// ne suivrait pas. Retourne true si la réponse (409) a été envoyée.
+const rejectGoalContribution = async (res, transaction) => {
+  const goal = await Goal.findByContributionTransaction(transaction._id, transaction.userId)
+  if (!goal) return false
+
+  const contribution = goal.contributions.find((entry) => entry.transactionId?.equals(transaction._id))
+  res.status(409).json({
+    success: false,
+    error: `Cette transaction est liée à l'objectif « ${goal.name} »`,
+    message: "Modifiez ou supprimez la contribution depuis l'objectif pour garder son montant à jour.",
+    data: { goalId: goal._id, contributionId: contribution?._id || null },
+  })
+  return true
+}
+
+// Évaluer les alertes de budget après une dépense, sans retarder la réponse
+const checkBudgetAlerts = (transaction) => {
+  if (transaction.type !== "expense" || transaction.status !== "completed") return
+
+  evaluateBudgetAlerts({
+    userId: transaction.userId,
+    categoryId: transaction.categoryId,
+    date: transaction.date,
+  }).catch((error) => console.error("Erreur lors de l'évaluation des alertes de budget:", error))
+}
+
+// Statut lisible d'une série récurrente
+const getRecurringStatus = (template) => {
+  if (template.isSeriesEnded()) return "ended"
+  if (template.recurringPattern.isPaused) return "paused"
+  return "active"
+}
+
+// @route   GET /api/transactions
+// @desc    Obtenir les transactions de l'utilisateur
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query
+
+    const { filter, pipeline } = buildTransactionPipeline(req)
+    pipeline.push(
       { $sort: { date: -1, createdAt: -1 } },
       { $skip: Number.parseInt(offset) },
       { $limit: Number.parseInt(limit) },
-    ]
+    )
 
     const transactions = await Transaction.aggregate(pipeline)
 
@@ -116,12 +201,631 @@ router.get("/", auth, async (req, res) => {
   }
 })
 
+// @route   GET /api/transactions/recurring
+// @desc    Obtenir les transactions récurrentes de l'utilisateur
+// @access  Private
+router.get("/recurring", auth, async (req, res) => {
+  try {
+    const { status } = req.query
+
+    const templates = await Transaction.find({ userId: req.user._id, isRecurring: true })
+      .populate("categoryId", "name color icon")
+      .populate("accountId", "name bank type")
+      .sort({ "recurringPattern.nextDate": 1 })
+
+    let data = templates.map((template) => ({
+      ...template.toJSON(),
+      recurringStatus: getRecurringStatus(template),
+    }))
+
+    if (status && status !== "all") {
+      data = data.filter((template) => template.recurringStatus === status)
+    }
+
+    res.json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la récupération des transactions récurrentes:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des transactions récurrentes",
+    })
+  }
+})
+
+// @route   POST /api/transactions/recurring/:id/pause
+// @desc    Mettre en pause une série récurrente
+// @access  Private
+router.post("/recurring/:id/pause", auth, async (req, res) => {
+  try {
+    const template = await findRecurringTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction récurrente non trouvée",
+      })
+    }
+
+    await Transaction.updateOne({ _id: template._id }, { $set: { "recurringPattern.isPaused": true } })
+
+    res.json({
+      success: true,
+      message: "Transaction récurrente mise en pause",
+    })
+  } catch (error) {
+    console.error("Erreur lors de la mise en pause de la transaction récurrente:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la mise en pause de la transaction récurrente",
+    })
+  }
+})
+
+// @route   POST /api/transactions/recurring/:id/resume
+// @desc    Reprendre une série récurrente (les occurrences manquées pendant la pause ne sont pas générées)
+// @access  Private
+router.post("/recurring/:id/resume", auth, async (req, res) => {
+  try {
+    const template = await findRecurringTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction récurrente non trouvée",
+      })
+    }
+
+    const now = new Date()
+    let nextDate = template.recurringPattern.nextDate
+    while (nextDate && nextDate < now) {
+      nextDate = template.calculateNextOccurrence(nextDate)
+    }
+
+    await Transaction.updateOne(
+      { _id: template._id },
+      { $set: { "recurringPattern.isPaused": false, "recurringPattern.nextDate": nextDate } },
+    )
+
+    res.json({
+      success: true,
+      message: "Transaction récurrente reprise",
+      data: { nextDate },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la reprise de la transaction récurrente:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la reprise de la transaction récurrente",
+    })
+  }
+})
+
+// @route   POST /api/transactions/recurring/:id/skip
+// @desc    Sauter une occurrence (la prochaine par défaut, ou celle du jour indiqué)
+// @access  Private
+router.post("/recurring/:id/skip", auth, async (req, res) => {
+  try {
+    const { date } = req.body
+
+    const template = await findRecurringTemplate(req)
+
+    if (!template || template.isSeriesEnded()) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction récurrente non trouvée ou terminée",
+      })
+    }
+
+    let occurrenceDate = template.recurringPattern.nextDate
+
+    if (date) {
+      const requestedDay = new Date(date).toDateString()
+      let candidate = occurrenceDate
+      let steps = 0
+      while (candidate.toDateString() !== requestedDay && candidate < new Date(date) && steps < 400) {
+        candidate = template.calculateNextOccurrence(candidate)
+        steps++
+      }
+
+      if (candidate.toDateString() !== requestedDay) {
+        return res.status(400).json({
+          success: false,
+          error: "Aucune occurrence prévue à cette date",
+        })
+      }
+      occurrenceDate = candidate
+    }
+
+    await Transaction.updateOne({ _id: template._id }, { $addToSet: { "recurringPattern.skippedDates": occurrenceDate } })
+
+    res.json({
+      success: true,
+      message: "Occurrence ignorée",
+      data: { skippedDate: occurrenceDate },
+    })
+  } catch (error) {
+    console.error("Erreur lors du saut de l'occurrence:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du saut de l'occurrence",
+    })
+  }
+})
+
+// @route   PUT /api/transactions/recurring/:id
+// @desc    Modifier les occurrences futures d'une série récurrente
+// @access  Private
+router.put("/recurring/:id", auth, validateRecurringUpdate, async (req, res) => {
+  try {
+    const { amount, description, categoryId, accountId, merchant, notes, frequency, interval, endDate } = req.body
+
+    const template = await findRecurringTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction récurrente non trouvée",
+      })
+    }
+
+    if (accountId) {
+      const account = await Account.findOne({ _id: accountId, userId: req.user._id })
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: "Compte non trouvé",
+        })
+      }
+    }
+
+    if (categoryId) {
+      // Catégorie par défaut ou personnelle de l'utilisateur uniquement
+      const category = await Category.findOne({
+        _id: categoryId,
+        $or: [{ isDefault: true }, { userId: req.user._id }],
+      })
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: "Catégorie non trouvée",
+        })
+      }
+    }
+
+    const update = {}
+    if (amount !== undefined) update["recurringPattern.overrides.amount"] = Number.parseFloat(amount)
+    if (description !== undefined) update["recurringPattern.overrides.description"] = description
+    if (categoryId !== undefined) update["recurringPattern.overrides.categoryId"] = categoryId
+    if (accountId !== undefined) update["recurringPattern.overrides.accountId"] = accountId
+    if (merchant !== undefined) update["recurringPattern.overrides.merchant"] = merchant
+    if (notes !== undefined) update["recurringPattern.overrides.notes"] = notes
+    if (frequency !== undefined) update["recurringPattern.frequency"] = frequency
+    if (interval !== undefined) update["recurringPattern.interval"] = Number.parseInt(interval)
+    if (endDate !== undefined) update["recurringPattern.endDate"] = endDate ? new Date(endDate) : null
+
+    // Nouveau rythme ou nouvelle date de fin : la prochaine échéance est recalculée avec le nouveau calendrier
+    if (frequency !== undefined || interval !== undefined || endDate !== undefined) {
+      const pattern = template.recurringPattern
+      if (frequency !== undefined) pattern.frequency = frequency
+      if (interval !== undefined) pattern.interval = update["recurringPattern.interval"]
+      if (endDate !== undefined) pattern.endDate = update["recurringPattern.endDate"]
+      update["recurringPattern.nextDate"] = await template.rescheduleNextDate()
+    }
+
+    const updatedTemplate = await Transaction.findByIdAndUpdate(template._id, { $set: update }, {
+      new: true,
+      runValidators: true,
+    })
+      .populate("categoryId", "name color icon")
+      .populate("accountId", "name bank type")
+
+    res.json({
+      success: true,
+      message: "Occurrences futures mises à jour avec succès",
+      data: updatedTemplate,
+    })
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour de la transaction récurrente:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la mise à jour de la transaction récurrente",
+    })
+  }
+})
+
+// @route   POST /api/transactions/recurring/:id/end
+// @desc    Terminer une série récurrente (aujourd'hui ou à la date indiquée)
+// @access  Private
+router.post("/recurring/:id/end", auth, async (req, res) => {
+  try {
+    const endDate = req.body.endDate ? new Date(req.body.endDate) : new Date()
+
+    if (Number.isNaN(endDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: "Format de date de fin invalide",
+      })
+    }
+
+    const template = await findRecurringTemplate(req)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction récurrente non trouvée",
+      })
+    }
+
+    const update = { "recurringPattern.endDate": endDate }
+    if (template.recurringPattern.nextDate && template.recurringPattern.nextDate > endDate) {
+      update["recurringPattern.nextDate"] = null
+    }
+
+    await Transaction.updateOne({ _id: template._id }, { $set: update })
+
+    res.json({
+      success: true,
+      message: "Série récurrente terminée",
+      data: { endDate },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la fin de la série récurrente:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la fin de la série récurrente",
+    })
+  }
+})
+
+// @route   POST /api/transactions/import
+// @desc    Importer un relevé bancaire CSV ou OFX (aperçu par défaut, enregistrement avec dryRun=false)
+// @access  Private
+router.post("/import", auth, requireVerifiedEmail, validateImport, async (req, res) => {
+  try {
+    const {
+      accountId,
+      format,
+      content,
+      bank,
+      mapping,
+      dryRun = true,
+      includeDuplicates = false,
+      exclude = [],
+      categories = {},
+    } = req.body
+
+    const account = await Account.findOne({ _id: accountId, userId: req.user._id, isActive: true })
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    let parsed
+    try {
+      parsed = format === "ofx" ? parseOfx(content) : parseCsv(content, { bank: bank || account.bank, mapping })
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: "Relevé illisible",
+        message: parseError.message,
+      })
+    }
+
+    const preview = await prepareImport({ userId: req.user._id, account, rows: parsed.rows })
+
+    // Catégories choisies par l'utilisateur pour certaines lignes (index -> ID de catégorie)
+    const chosenCategoryIds = [...new Set(Object.values(categories))]
+    const chosenCategories = await Category.find({
+      _id: { $in: chosenCategoryIds },
+      $or: [{ isDefault: true }, { userId: req.user._id }],
+    })
+    const chosenById = new Map(chosenCategories.map((category) => [category._id.toString(), category]))
+
+    const excluded = new Set(exclude.map((index) => Number.parseInt(index)))
+    const selectedRows = preview
+      .map((row) => {
+        const chosen = chosenById.get(categories[row.index])
+        const categoryId = chosen && chosen.type === row.type ? chosen._id : row.suggestedCategory?._id
+        return { ...row, categoryId }
+      })
+      .filter((row) => !excluded.has(row.index) && (includeDuplicates || !row.isDuplicate) && row.categoryId)
+
+    const summary = {
+      totalRows: preview.length,
+      duplicates: preview.filter((row) => row.isDuplicate).length,
+      toImport: selectedRows.length,
+      unreadableLines: parsed.errors.length,
+      net: selectedRows.reduce((total, row) => total + (row.type === "income" ? row.amount : -row.amount), 0),
+    }
+
+    if (dryRun === true || dryRun === "true") {
+      return res.json({
+        success: true,
+        message: "Aperçu de l'import",
+        data: {
+          dryRun: true,
+          summary,
+          rows: preview,
+          errors: parsed.errors,
+        },
+      })
+    }
+
+    if (selectedRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Aucune opération à importer",
+        data: { summary },
+      })
+    }
+
+    const { transactions, net } = await Transaction.importBatch(
+      account,
+      selectedRows.map((row) => ({
+        userId: req.user._id,
+        accountId: account._id,
+        categoryId: row.categoryId,
+        type: row.type,
+        amount: row.amount,
+        description: row.description.slice(0, 500),
+        date: row.date,
+        currency: account.currency,
+        paymentMethod: "other",
+        importReference: row.reference || undefined,
+        notes: `Importé depuis un relevé ${format.toUpperCase()}`,
+      })),
+    )
+
+    // Une évaluation par catégorie suffit, sur l'opération la plus récente
+    const latestByCategory = new Map()
+    for (const transaction of transactions) {
+      const key = transaction.categoryId.toString()
+      if (!latestByCategory.has(key) || latestByCategory.get(key).date < transaction.date) {
+        latestByCategory.set(key, transaction)
+      }
+    }
+    latestByCategory.forEach(checkBudgetAlerts)
+
+    res.status(201).json({
+      success: true,
+      message: `${transactions.length} transaction(s) importée(s) avec succès`,
+      data: {
+        dryRun: false,
+        summary: { ...summary, imported: transactions.length, net },
+        transactionIds: transactions.map((transaction) => transaction._id),
+        errors: parsed.errors,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de l'import du relevé:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'import du relevé",
+    })
+  }
+})
+
+// @route   POST /api/transactions/parse-sms
+// @desc    Transformer des SMS de confirmation Wave / Orange Money / Free Money en brouillons de transactions
+// @access  Private
+router.post("/parse-sms", auth, validateSmsParse, async (req, res) => {
+  try {
+    const { messages, accountId } = req.body
+
+    // Compte imposé par l'utilisateur, sinon le portefeuille de l'opérateur détecté dans chaque SMS
+    let chosenAccount = null
+    if (accountId) {
+      chosenAccount = await Account.findOne({ _id: accountId, userId: req.user._id, isActive: true })
+      if (!chosenAccount) {
+        return res.status(404).json({
+          success: false,
+          error: "Compte non trouvé",
+        })
+      }
+    }
+
+    const wallets = await Account.find({ userId: req.user._id, type: "mobile_money", isActive: true })
+    const walletFor = (provider) => {
+      const candidates = wallets.filter((wallet) => wallet.bank === provider)
+      return candidates.length === 1 ? candidates[0] : null
+    }
+
+    const parsed = parseSms(messages)
+
+    // Les doublons se cherchent compte par compte
+    const groups = new Map()
+    for (const row of parsed.rows) {
+      const account = chosenAccount || walletFor(row.provider)
+      const key = account ? account._id.toString() : "none"
+      if (!groups.has(key)) groups.set(key, { account, rows: [] })
+      groups.get(key).rows.push(row)
+    }
+
+    const drafts = []
+    for (const { account, rows } of groups.values()) {
+      const preview = await prepareImport({ userId: req.user._id, account, rows })
+      for (const row of preview) {
+        drafts.push({
+          line: row.line,
+          provider: row.provider,
+          kind: row.kind,
+          accountId: account?._id || null,
+          accountName: account?.name || null,
+          type: row.type,
+          amount: row.amount,
+          fees: row.fees,
+          totalAmount: row.type === "expense" ? row.amount + row.fees : row.amount,
+          balanceAfter: row.balance,
+          counterparty: row.counterparty,
+          counterpartyPhone: row.counterpartyPhone,
+          reference: row.reference,
+          date: row.date,
+          description: row.description,
+          merchant: row.kind === "payment" ? row.counterparty : undefined,
+          paymentMethod: "mobile_money",
+          currency: account?.currency || "CFA",
+          suggestedCategory: row.suggestedCategory,
+          isDuplicate: row.isDuplicate,
+          duplicateOf: row.duplicateOf,
+        })
+      }
+    }
+    drafts.sort((a, b) => a.line - b.line)
+
+    res.json({
+      success: true,
+      message: `${drafts.length} SMS reconnu(s) sur ${drafts.length + parsed.errors.length}`,
+      data: {
+        drafts,
+        errors: parsed.errors,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur lors de la lecture des SMS:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la lecture des SMS",
+    })
+  }
+})
+
+// @route   GET /api/transactions/export
+// @desc    Exporter les transactions filtrées (CSV, JSON Lines ou OFX)
+// @access  Private
+router.get("/export", auth, requireVerifiedEmail, validateExport, async (req, res) => {
+  let cursor
+
+  try {
+    const format = req.query.format === "json" ? "jsonl" : req.query.format || "csv"
+
+    // Le relevé OFX décrit un compte : on le renseigne quand l'export est limité à un compte
+    let account = null
+    if (req.query.accountId) {
+      account = await Account.findOne({ _id: req.query.accountId, userId: req.user._id })
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: "Compte non trouvé",
+        })
+      }
+    }
+
+    // Montants formatés dans la devise de l'utilisateur, après conversion
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+
+    const writer = createExportWriter(format, {
+      currency: converter.currency,
+      convert: converter.convert,
+      account,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    })
+
+    const { pipeline } = buildTransactionPipeline(req, { includeIncomingTransfers: true })
+    pipeline.push({ $sort: { date: -1, createdAt: -1 } })
+    cursor = Transaction.aggregate(pipeline).cursor({ batchSize: 200 })
+
+    const filename = `transactions-${new Date().toISOString().split("T")[0]}.${writer.extension}`
+    res.setHeader("Content-Type", writer.contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+
+    // Attendre que le client reprenne la lecture, ou qu'il se déconnecte (sans quoi l'attente ne finirait jamais) ;
+    // une erreur de la réponse rejette l'attente
+    const waitForDrain = async () => {
+      const controller = new AbortController()
+      try {
+        await Promise.race([
+          once(res, "drain", { signal: controller.signal }),
+          once(res, "close", { signal: controller.signal }),
+        ])
+      } finally {
+        controller.abort()
+      }
+    }
+
+    // Écrire au fil du curseur en respectant la contre-pression du client
+    const write = async (chunk) => {
+      if (chunk && !res.destroyed && !res.write(chunk) && !res.destroyed) {
+        await waitForDrain()
+      }
+    }
+
+    await write(writer.header())
+    for await (const transaction of cursor) {
+      if (res.destroyed) break
+      await write(writer.row(transaction))
+    }
+    if (res.destroyed) return
+    await write(writer.footer())
+    res.end()
+  } catch (error) {
+    console.error("Erreur lors de l'export des transactions:", error)
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'export des transactions",
+    })
+  } finally {
+    if (cursor) await cursor.close().catch(() => {})
+  }
+})
+
 // @route   POST /api/transactions
 // @desc    Créer une nouvelle transaction
 // @access  Private
 router.post("/", auth, validateTransaction, async (req, res) => {
   try {
-    const { accountId, categoryId, description, amount, date, notes, tags } = req.body
+    const {
+      accountId,
+      categoryId,
+      type,
+      description,
+      amount,
+      date,
+      notes,
+      tags,
+      merchant,
+      paymentMethod,
+      importReference,
+      transferAccountId,
+      exchangeRate,
+      isRecurring,
+      recurringPattern,
+    } = req.body
+
+    // Les transferts débitent et créditent deux comptes : traitement dédié
+    if (type === "transfer" && !isRecurring) {
+      const transfer = await Transaction.createTransfer({
+        userId: req.user._id,
+        fromAccountId: accountId,
+        toAccountId: transferAccountId,
+        amount: Number.parseFloat(amount),
+        exchangeRate,
+        categoryId,
+        description,
+        date,
+        notes,
+        tags,
+      })
+
+      const populatedTransfer = await Transaction.findById(transfer._id)
+        .populate("categoryId", "name color icon")
+        .populate("accountId", "name bank type")
+        .populate("transferAccountId", "name bank type")
+
+      return res.status(201).json({
+        success: true,
+        message: "Transfert effectué avec succès",
+        data: populatedTransfer,
+      })
+    }
 
     // Vérifier que le compte appartient à l'utilisateur
     const account = await Account.findOne({ _id: accountId, userId: req.user._id })
@@ -132,6 +836,27 @@ router.post("/", auth, validateTransaction, async (req, res) => {
       })
     }
 
+    // Vérifier que le compte de destination d'un transfert récurrent appartient à l'utilisateur
+    let transferAmount
+    let transferRate
+    if (type === "transfer") {
+      const destinationAccount = await Account.findOne({ _id: transferAccountId, userId: req.user._id })
+      if (!destinationAccount) {
+        return res.status(404).json({
+          success: false,
+          error: "Compte de destination non trouvé",
+        })
+      }
+
+      if (destinationAccount.currency !== account.currency) {
+        transferRate = await Transaction.resolveTransferRate(req.user._id, account, destinationAccount, {
+          exchangeRate,
+          date,
+        })
+        transferAmount = Math.round(Number.parseFloat(amount) * transferRate * 100) / 100
+      }
+    }
+
     // Vérifier que la catégorie existe
     const category = await Category.findById(categoryId)
     if (!category) {
@@ -141,19 +866,35 @@ router.post("/", auth, validateTransaction, async (req, res) => {
       })
     }
 
-    // Créer la transaction
-    const transaction = new Transaction({
+    // Créer la transaction et mettre à jour le solde du compte
+    const transaction = await Transaction.createWithBalance({
       userId: req.user._id,
       accountId,
       categoryId,
+      type,
       description,
       amount: Number.parseFloat(amount),
+      currency: account.currency,
       date: date || new Date(),
       notes,
       tags,
+      merchant,
+      paymentMethod,
+      importReference,
+      transferAccountId: type === "transfer" ? transferAccountId : undefined,
+      transferAmount,
+      exchangeRate: transferAmount ? transferRate : undefined,
+      isRecurring: Boolean(isRecurring),
+      recurringPattern: isRecurring
+        ? {
+            frequency: recurringPattern.frequency,
+            interval: Number.parseInt(recurringPattern.interval) || 1,
+            endDate: recurringPattern.endDate ? new Date(recurringPattern.endDate) : undefined,
+          }
+        : undefined,
     })
 
-    await transaction.save()
+    checkBudgetAlerts(transaction)
 
     // Récupérer la transaction avec les données jointes
     const populatedTransaction = await Transaction.findById(transaction._id)
@@ -166,6 +907,13 @@ router.post("/", auth, validateTransaction, async (req, res) => {
       data: populatedTransaction,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
     console.error("Erreur lors de la création de la transaction:", error)
     res.status(500).json({
       success: false,
@@ -193,9 +941,18 @@ router.get("/:id", auth, async (req, res) => {
       })
     }
 
+    const data = transaction.toJSON()
+    if (transaction.categoryId) {
+      const categoryOverrides = await Category.getUserOverrides(req.user._id)
+      data.categoryId = Category.applyOverride(
+        transaction.categoryId,
+        categoryOverrides.get(transaction.categoryId._id.toString()),
+      )
+    }
+
     res.json({
       success: true,
-      data: transaction,
+      data,
     })
   } catch (error) {
     console.error("Erreur lors de la récupération de la transaction:", error)
@@ -211,7 +968,8 @@ router.get("/:id", auth, async (req, res) => {
 // @access  Private
 router.put("/:id", auth, validateTransaction, async (req, res) => {
   try {
-    const { accountId, categoryId, description, amount, date, notes, tags } = req.body
+    const { accountId, categoryId, type, description, amount, date, notes, tags, transferAccountId, exchangeRate } =
+      req.body
 
     // Trouver la transaction
     const transaction = await Transaction.findOne({
@@ -226,41 +984,61 @@ router.put("/:id", auth, validateTransaction, async (req, res) => {
       })
     }
 
-    // Vérifier le nouveau compte si changé
-    if (accountId !== transaction.accountId.toString()) {
-      const account = await Account.findOne({ _id: accountId, userId: req.user._id })
-      if (!account) {
+    if (await rejectGoalContribution(res, transaction)) return
+
+    // Vérifier le compte (il peut avoir changé)
+    const account = await Account.findOne({ _id: accountId, userId: req.user._id })
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Compte non trouvé",
+      })
+    }
+
+    const changes = {
+      accountId,
+      categoryId,
+      type,
+      description,
+      amount: Number.parseFloat(amount),
+      // La devise suit le compte, qui peut avoir changé
+      currency: account.currency,
+      date: date || transaction.date,
+      notes,
+      tags,
+      transferAccountId: undefined,
+      transferAmount: undefined,
+      exchangeRate: undefined,
+    }
+
+    if (type === "transfer") {
+      const destinationAccount = await Account.findOne({ _id: transferAccountId, userId: req.user._id })
+      if (!destinationAccount) {
         return res.status(404).json({
           success: false,
-          error: "Compte non trouvé",
+          error: "Compte de destination non trouvé",
         })
       }
 
-      // Ajuster les soldes des comptes
-      await Account.findByIdAndUpdate(transaction.accountId, {
-        $inc: { balance: -transaction.amount },
-      })
-      await Account.findByIdAndUpdate(accountId, {
-        $inc: { balance: Number.parseFloat(amount) },
-      })
-    } else if (amount !== transaction.amount) {
-      // Ajuster le solde si le montant a changé
-      const difference = Number.parseFloat(amount) - transaction.amount
-      await Account.findByIdAndUpdate(accountId, {
-        $inc: { balance: difference },
-      })
+      changes.transferAccountId = transferAccountId
+      if (destinationAccount.currency !== account.currency) {
+        // Même résolution qu'à la création ; le taux enregistré n'est repris que si les comptes n'ont pas changé
+        const sameAccounts =
+          transaction.type === "transfer" &&
+          transaction.accountId.equals(account._id) &&
+          transaction.transferAccountId?.equals(destinationAccount._id)
+        const rate = await Transaction.resolveTransferRate(req.user._id, account, destinationAccount, {
+          exchangeRate: exchangeRate || (sameAccounts ? transaction.exchangeRate : undefined),
+          date: changes.date,
+        })
+        changes.exchangeRate = rate
+        changes.transferAmount = Math.round(changes.amount * rate * 100) / 100
+      }
     }
 
-    // Mettre à jour la transaction
-    transaction.accountId = accountId
-    transaction.categoryId = categoryId
-    transaction.description = description
-    transaction.amount = Number.parseFloat(amount)
-    transaction.date = date || transaction.date
-    transaction.notes = notes
-    transaction.tags = tags
-
-    await transaction.save()
+    // Annuler l'ancien effet sur les soldes et appliquer le nouveau dans une même session
+    await transaction.updateWithBalance(changes)
+    checkBudgetAlerts(transaction)
 
     const updatedTransaction = await Transaction.findById(transaction._id)
       .populate("categoryId", "name color icon")
@@ -272,6 +1050,13 @@ router.put("/:id", auth, validateTransaction, async (req, res) => {
       data: updatedTransaction,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
     console.error("Erreur lors de la mise à jour de la transaction:", error)
     res.status(500).json({
       success: false,
@@ -281,11 +1066,11 @@ router.put("/:id", auth, validateTransaction, async (req, res) => {
 })
 
 // @route   DELETE /api/transactions/:id
-// @desc    Supprimer une transaction
+// @desc    Supprimer une transaction (son effet sur le solde est annulé)
 // @access  Private
 router.delete("/:id", auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOneAndDelete({
+    const transaction = await Transaction.findOne({
       _id: req.params.id,
       userId: req.user._id,
     })
@@ -297,6 +1082,10 @@ router.delete("/:id", auth, async (req, res) => {
       })
     }
 
+    if (await rejectGoalContribution(res, transaction)) return
+
+    await transaction.deleteWithBalance()
+
     res.json({
       success: true,
       message: "Transaction supprimée avec succès",
@@ -319,40 +1108,64 @@ router.get("/stats/summary", auth, async (req, res) => {
     const startDate = new Date()
     startDate.setDate(startDate.getDate() - Number.parseInt(period))
 
-    const stats = await Transaction.aggregate([
+    // Les totaux sont convertis dans la devise de l'utilisateur
+    const converter = await ExchangeRate.createConverter(req.user._id, req.user.preferences?.currency)
+    const convertedAmount = converter.expression()
+
+    const [stats] = await Transaction.aggregate([
       {
         $match: {
           userId: req.user._id,
+          status: "completed",
           date: { $gte: startDate },
         },
       },
       {
-        $group: {
-          _id: null,
-          totalIncome: {
-            $sum: { $cond: [{ $gt: ["$amount", 0] }, "$amount", 0] },
-          },
-          totalExpenses: {
-            $sum: { $cond: [{ $lt: ["$amount", 0] }, { $abs: "$amount" }, 0] },
-          },
-          transactionCount: { $sum: 1 },
-          avgTransaction: { $avg: "$amount" },
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalIncome: { $sum: Transaction.amountOfType("income", 0, convertedAmount) },
+                totalExpenses: { $sum: Transaction.amountOfType("expense", 0, convertedAmount) },
+                transactionCount: { $sum: 1 },
+                avgTransaction: { $avg: convertedAmount },
+              },
+            },
+          ],
+          // Montants d'origine, devise par devise
+          byCurrency: [
+            {
+              $group: {
+                _id: "$currency",
+                totalIncome: { $sum: Transaction.amountOfType("income") },
+                totalExpenses: { $sum: Transaction.amountOfType("expense") },
+                transactionCount: { $sum: 1 },
+              },
+            },
+            { $project: { _id: 0, currency: "$_id", totalIncome: 1, totalExpenses: 1, transactionCount: 1 } },
+            { $sort: { currency: 1 } },
+          ],
         },
       },
     ])
 
-    const result = stats[0] || {
+    const result = stats.totals[0] || {
       totalIncome: 0,
       totalExpenses: 0,
       transactionCount: 0,
       avgTransaction: 0,
     }
+    delete result._id
 
     result.netAmount = result.totalIncome - result.totalExpenses
+    result.currency = converter.currency
+    result.byCurrency = stats.byCurrency
 
     res.json({
       success: true,
       data: result,
+      conversion: converter.summary(),
       period: Number.parseInt(period),
     })
   } catch (error) {
@@ -1,9 +1,40 @@
 const express = require("express")
 const User = require("../models/User")
+const Session = require("../models/Session")
 const { auth } = require("../middleware/auth")
+const { validateChangePassword, validateAccountDeletion } = require("../middleware/validation")
+const { reauthenticate } = require("../services/twoFactor")
 
 const router = express.Router()
 
+// Vérifier le mot de passe avant une opération sensible, et le second facteur si la double authentification est
+// activée (sauf secondFactor=false) ; lève une erreur avec un statut HTTP sinon
+const confirmIdentity = async (userId, { password, code }, { secondFactor = true } = {}) => {
+  if (!password) {
+    throw Object.assign(new Error("Le mot de passe est requis"), { status: 400 })
+  }
+  const user = await User.findById(userId).select("+password")
+  if (secondFactor && user.twoFactor?.enabled) {
+    return await reauthenticate(userId, { password, code })
+  }
+  if (!(await user.comparePassword(password))) {
+    throw Object.assign(new Error("Mot de passe incorrect"), { status: 400 })
+  }
+  return user
+}
+
+// Réponse d'erreur de la vérification d'identité (délai d'attente et essais restants compris)
+const sendIdentityError = (res, error) => {
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter))
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+    ...(error.attemptsLeft !== undefined ? { attemptsLeft: error.attemptsLeft } : {}),
+    ...(error.twoFactorRequired ? { twoFactorRequired: true } : {}),
+  })
+}
+
 // @route   GET /api/users/profile
 // @desc    Obtenir le profil de l'utilisateur
 // @access  Private
@@ -23,17 +54,32 @@ router.get("/profile", auth, async (req, res) => {
 })
 
 // @route   PUT /api/users/profile
-// @desc    Mettre à jour le profil de l'utilisateur
+// @desc    Mettre à jour le profil de l'utilisateur (changer de numéro exige password, et code si 2FA activée)
 // @access  Private
 router.put("/profile", auth, async (req, res) => {
   try {
-    const { firstName, lastName, phone, city, profession, preferences } = req.body
+    const { firstName, lastName, phone, city, profession, preferences, password, code } = req.body
 
     const user = await User.findById(req.user._id)
 
     if (firstName) user.firstName = firstName
     if (lastName) user.lastName = lastName
-    if (phone) user.phone = phone
+    // Un nouveau numéro doit être libre et vérifié à nouveau. Il peut servir à se connecter :
+    // le changer exige le mot de passe, et le second facteur si la double authentification est activée.
+    if (phone && phone !== user.phone) {
+      await confirmIdentity(user._id, { password, code })
+
+      const existingPhone = await User.findByPhone(phone)
+      if (existingPhone && !existingPhone._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          error: "Un compte avec ce numéro de téléphone existe déjà",
+        })
+      }
+      user.phone = phone
+      user.phoneVerified = false
+      user.phoneVerifiedAt = undefined
+    }
     if (city) user.city = city
     if (profession) user.profession = profession
     if (preferences) user.preferences = { ...user.preferences, ...preferences }
@@ -46,6 +92,9 @@ router.put("/profile", auth, async (req, res) => {
       data: user.getPublicProfile(),
     })
   } catch (error) {
+    if (error.status) {
+      return sendIdentityError(res, error)
+    }
     console.error("Erreur lors de la mise à jour du profil:", error)
     res.status(500).json({
       success: false,
@@ -54,4 +103,79 @@ router.put("/profile", auth, async (req, res) => {
   }
 })
 
+// @route   PUT /api/users/password
+// @desc    Changer le mot de passe (mot de passe actuel, et code si la double authentification est activée) ;
+//          les autres sessions sont fermées
+// @access  Private
+router.put("/password", auth, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, code } = req.body
+
+    const user = await confirmIdentity(req.user._id, { password: currentPassword, code })
+
+    await user.setPassword(newPassword)
+    const revokedCount = await Session.revokeAll(user._id, "password_change", { except: req.sessionId })
+
+    res.json({
+      success: true,
+      message: "Mot de passe modifié avec succès",
+      data: { revokedSessions: revokedCount },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendIdentityError(res, error)
+    }
+    console.error("Erreur lors du changement de mot de passe:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du changement de mot de passe",
+    })
+  }
+})
+
+// @route   DELETE /api/users/me
+// @desc    Fermer le compte : désactivation réversible pendant le délai de grâce (par défaut),
+//          ou effacement immédiat et définitif de toutes les données avec permanent=true
+//          (code de double authentification requis si elle est activée)
+// @access  Private
+router.delete("/me", auth, validateAccountDeletion, async (req, res) => {
+  try {
+    const { password, permanent = false, code } = req.body
+
+    // La suppression définitive exige aussi le second facteur ; la fermeture, réversible, se contente du mot de passe
+    const user = await confirmIdentity(req.user._id, { password, code }, { secondFactor: permanent })
+
+    if (permanent) {
+      const deleted = await User.eraseWithData(user._id)
+
+      return res.json({
+        success: true,
+        message: "Compte et données supprimés définitivement",
+        data: { deleted },
+      })
+    }
+
+    await user.deactivate()
+    await Session.revokeAll(user._id, "account_closed")
+
+    res.json({
+      success: true,
+      message: "Compte fermé. Reconnectez-vous avant la date de suppression pour le réactiver.",
+      data: {
+        deactivatedAt: user.deactivatedAt,
+        deletionScheduledAt: user.deletionScheduledAt,
+      },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendIdentityError(res, error)
+    }
+    console.error("Erreur lors de la fermeture du compte:", error)
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la fermeture du compte",
+    })
+  }
+})
+
 module.exports = router
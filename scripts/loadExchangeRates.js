@@ -0,0 +1,115 @@
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+// Import des modèles
+const ExchangeRate = require("../models/ExchangeRate")
+
+// Connexion à MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log("✅ Connecté à MongoDB pour le chargement des cours de change")
+  } catch (error) {
+    console.error("❌ Erreur de connexion MongoDB:", error)
+    process.exit(1)
+  }
+}
+
+// Lire le fichier de cours (en francs CFA pour une unité). Formats acceptés :
+//   JSON : [{ "currency": "USD", "rate": 605.2, "date": "2026-10-01" }] ou { "USD": 605.2 }
+//   CSV  : lignes "devise;taux;date" (date facultative)
+const readRatesFile = (file) => {
+  const content = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "")
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const data = JSON.parse(content)
+    const entries = Array.isArray(data) ? data : Object.entries(data).map(([currency, rate]) => ({ currency, rate }))
+    return entries.map((entry) => ({
+      currency: entry.currency,
+      rate: Number(entry.rate),
+      date: entry.date || entry.effectiveDate,
+    }))
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#") && !/^devise|^currency/i.test(line))
+    .map((line) => {
+      const [currency, rate, date] = line.split(line.includes(";") ? ";" : ",").map((cell) => cell.trim())
+      return { currency, rate: Number((rate || "").replace(",", ".")), date }
+    })
+}
+
+// Charger les cours globaux (communs à tous les utilisateurs) depuis un fichier local
+// Usage : npm run rates:load -- <fichier> [--dry-run]   (ou EXCHANGE_RATES_FILE=<fichier>)
+const loadExchangeRates = async (file, { dryRun = false } = {}) => {
+  const report = { file, loaded: 0, skipped: [] }
+
+  for (const entry of readRatesFile(file)) {
+    if (ExchangeRate.FIXED_RATES[entry.currency]) {
+      report.skipped.push({ ...entry, reason: "parité fixe" })
+      continue
+    }
+    if (!ExchangeRate.CURRENCIES.includes(entry.currency) || !(entry.rate > 0)) {
+      report.skipped.push({ ...entry, reason: "devise ou taux invalide" })
+      continue
+    }
+
+    const effectiveDate = entry.date ? new Date(entry.date) : new Date()
+    if (Number.isNaN(effectiveDate.getTime())) {
+      report.skipped.push({ ...entry, reason: "date invalide" })
+      continue
+    }
+    effectiveDate.setUTCHours(0, 0, 0, 0)
+
+    if (!dryRun) {
+      await ExchangeRate.updateOne(
+        { userId: null, currency: entry.currency, effectiveDate },
+        { $set: { rate: entry.rate, source: "file" } },
+        { upsert: true },
+      )
+    }
+    report.loaded++
+  }
+
+  return report
+}
+
+// Fonction principale
+const run = async () => {
+  let exitCode = 0
+  const file = process.argv.slice(2).find((arg) => !arg.startsWith("--")) || process.env.EXCHANGE_RATES_FILE
+
+  if (!file) {
+    console.error("❌ Indiquez le fichier de cours : npm run rates:load -- <fichier>")
+    process.exit(1)
+  }
+
+  try {
+    await connectDB()
+
+    const dryRun = process.argv.includes("--dry-run")
+    const report = await loadExchangeRates(path.resolve(file), { dryRun })
+
+    console.log(`\n💱 Cours ${dryRun ? "à charger" : "chargés"}: ${report.loaded}`)
+    for (const entry of report.skipped) {
+      console.log(`  - ignoré: ${entry.currency} ${entry.rate} (${entry.reason})`)
+    }
+  } catch (error) {
+    console.error("❌ Erreur lors du chargement des cours de change:", error)
+    exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    process.exit(exitCode)
+  }
+}
+
+// Exécuter le chargement
+if (require.main === module) {
+  run()
+}
+
+module.exports = { loadExchangeRates }
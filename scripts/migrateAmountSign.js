@@ -0,0 +1,107 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+// Import des modèles
+const Transaction = require("../models/Transaction")
+const Budget = require("../models/Budget")
+require("../models/Category")
+require("../models/User")
+require("../models/ExchangeRate")
+
+// Connexion à MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log("✅ Connecté à MongoDB pour la migration")
+  } catch (error) {
+    console.error("❌ Erreur de connexion MongoDB:", error)
+    process.exit(1)
+  }
+}
+
+// Convention unique : montant toujours positif, le sens est porté par `type`.
+// Les anciens documents à montant négatif deviennent des dépenses (ou restent des transferts).
+const migrateAmounts = async ({ dryRun = false } = {}) => {
+  const negativeFilter = { amount: { $lt: 0 } }
+  const untypedFilter = { type: { $nin: ["income", "expense", "transfer"] } }
+
+  const negativeCount = await Transaction.countDocuments(negativeFilter)
+  const untypedCount = await Transaction.countDocuments(untypedFilter)
+
+  console.log(`🔎 Transactions à montant négatif: ${negativeCount}`)
+  console.log(`🔎 Transactions sans type valide: ${untypedCount}`)
+
+  if (dryRun) {
+    return { negativeCount, untypedCount, migrated: 0 }
+  }
+
+  // Mise à jour par pipeline : pas de chargement des documents en mémoire
+  const untyped = await Transaction.collection.updateMany(untypedFilter, [
+    { $set: { type: { $cond: [{ $lt: ["$amount", 0] }, "expense", "income"] } } },
+  ])
+
+  const negative = await Transaction.collection.updateMany(negativeFilter, [
+    {
+      $set: {
+        type: { $cond: [{ $eq: ["$type", "transfer"] }, "transfer", "expense"] },
+        amount: { $abs: "$amount" },
+      },
+    },
+  ])
+
+  return {
+    negativeCount,
+    untypedCount,
+    migrated: untyped.modifiedCount + negative.modifiedCount,
+  }
+}
+
+// Recalculer le montant dépensé de tous les budgets avec la convention unique
+const refreshBudgets = async () => {
+  const budgets = await Budget.find({})
+  let refreshed = 0
+
+  for (const budget of budgets) {
+    try {
+      await budget.updateSpent()
+      refreshed++
+    } catch (error) {
+      console.error(`❌ Erreur d'actualisation du budget ${budget._id}:`, error.message)
+    }
+  }
+
+  return refreshed
+}
+
+// Fonction principale
+// Usage : npm run migrate:amounts [-- --dry-run]
+const run = async () => {
+  let exitCode = 0
+
+  try {
+    await connectDB()
+
+    const dryRun = process.argv.includes("--dry-run")
+    const result = await migrateAmounts({ dryRun })
+
+    if (!dryRun) {
+      console.log(`✅ ${result.migrated} transaction(s) migrée(s)`)
+      const refreshed = await refreshBudgets()
+      console.log(`✅ ${refreshed} budget(s) actualisé(s)`)
+      console.log("ℹ️  Lancez `npm run reconcile` pour vérifier les soldes des comptes")
+    }
+  } catch (error) {
+    console.error("❌ Erreur lors de la migration:", error)
+    exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    process.exit(exitCode)
+  }
+}
+
+// Exécuter la migration
+if (require.main === module) {
+  run()
+}
+
+module.exports = { migrateAmounts }
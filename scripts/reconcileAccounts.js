@@ -0,0 +1,125 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+// Import des modèles
+const User = require("../models/User")
+const Account = require("../models/Account")
+require("../models/Transaction")
+require("../models/Reconciliation")
+
+// Connexion à MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    // Sur stderr pour garder une sortie --json exploitable
+    console.error("✅ Connecté à MongoDB pour le rapprochement")
+  } catch (error) {
+    console.error("❌ Erreur de connexion MongoDB:", error)
+    process.exit(1)
+  }
+}
+
+// Rapprocher tous les comptes de tous les utilisateurs
+// Usage : npm run reconcile [-- --fix] [-- --json]
+const reconcileAccounts = async ({ fix = false } = {}) => {
+  const report = {
+    date: new Date().toISOString(),
+    fix,
+    usersCount: 0,
+    accountsCount: 0,
+    unbalancedCount: 0,
+    correctedCount: 0,
+    skippedCount: 0,
+    totalDiscrepancy: 0,
+    accounts: [],
+  }
+
+  const users = await User.find({}).select("email firstName lastName")
+  report.usersCount = users.length
+
+  for (const user of users) {
+    const accounts = await Account.find({ userId: user._id })
+
+    for (const account of accounts) {
+      try {
+        // Comptes antérieurs au solde d'ouverture : rapprochés mais jamais corrigés, le solde de départ étant inconnu
+        const canFix = fix && account.openingBalance != null
+        const result = await account.reconcile({ correct: canFix, source: "script" })
+        report.accountsCount++
+
+        if (!result.isBalanced) {
+          const skipped = fix && !canFix
+          if (skipped) report.skippedCount++
+          report.unbalancedCount++
+          report.totalDiscrepancy += result.discrepancy
+          report.accounts.push({ user: user.email, ...result, skipped })
+        }
+
+        if (result.corrected) {
+          report.correctedCount++
+        }
+      } catch (error) {
+        console.error(`❌ Erreur de rapprochement du compte ${account._id} (${user.email}):`, error.message)
+      }
+    }
+  }
+
+  report.totalDiscrepancy = Math.round(report.totalDiscrepancy * 100) / 100
+  return report
+}
+
+// Afficher le rapport de façon lisible
+const printReport = (report) => {
+  console.log("\n📊 Rapport de rapprochement:")
+  console.log(`👥 Utilisateurs: ${report.usersCount}`)
+  console.log(`🏦 Comptes vérifiés: ${report.accountsCount}`)
+  console.log(`⚠️  Comptes avec écart: ${report.unbalancedCount}`)
+  console.log(`🛠️  Comptes corrigés: ${report.correctedCount}`)
+  if (report.skippedCount > 0) {
+    console.log(`⏭️  Comptes non corrigés (solde d'ouverture inconnu): ${report.skippedCount}`)
+  }
+  console.log(`💰 Écart total: ${report.totalDiscrepancy.toLocaleString()}`)
+
+  for (const account of report.accounts) {
+    console.log(
+      `  - ${account.user} | ${account.accountName} | enregistré: ${account.storedBalance} | recalculé: ${account.computedBalance} | écart: ${account.discrepancy}${account.corrected ? " (corrigé)" : ""}${account.skipped ? " (solde d'ouverture inconnu)" : ""}`,
+    )
+  }
+
+  if (!report.fix && report.unbalancedCount > 0) {
+    console.log("\nℹ️  Relancez avec --fix pour corriger les soldes")
+  }
+  if (report.skippedCount > 0) {
+    console.log("ℹ️  Renseignez leur solde d'ouverture via POST /api/accounts/:id/reconcile avant de les corriger")
+  }
+}
+
+// Fonction principale
+const run = async () => {
+  let exitCode = 0
+
+  try {
+    await connectDB()
+
+    const report = await reconcileAccounts({ fix: process.argv.includes("--fix") })
+
+    if (process.argv.includes("--json")) {
+      console.log(JSON.stringify(report, null, 2))
+    } else {
+      printReport(report)
+    }
+  } catch (error) {
+    console.error("❌ Erreur lors du rapprochement:", error)
+    exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    process.exit(exitCode)
+  }
+}
+
+// Exécuter le rapprochement
+if (require.main === module) {
+  run()
+}
+
+module.exports = { reconcileAccounts }
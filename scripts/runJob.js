@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const { getJobScheduler } = require("../services/jobs")
+const { watchGoalMilestones, flushMilestoneNotifications } = require("../services/goalMilestones")
+
+// Connexion à MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log("✅ Connecté à MongoDB")
+  } catch (error) {
+    console.error("❌ Erreur de connexion MongoDB:", error)
+    process.exit(1)
+  }
+}
+
+// Afficher les tâches disponibles
+const printJobs = (jobs) => {
+  console.log("\n📋 Tâches disponibles:")
+  for (const job of jobs) {
+    console.log(`  - ${job.name} (toutes les ${Math.round(job.intervalMs / 60000)} min) : ${job.description}`)
+  }
+}
+
+// Exécuter une ou plusieurs tâches, en respectant les verrous posés par les serveurs en cours d'exécution
+// Usage : npm run job -- <nom> | --all | --list
+const runJobs = async (names) => {
+  const scheduler = getJobScheduler()
+  const runs = []
+
+  for (const name of names) {
+    const run = await scheduler.runJob(name, { trigger: "cli" })
+    runs.push(run)
+
+    const icon = { succeeded: "✅", failed: "❌", skipped: "⏭️ " }[run.status]
+    console.log(`${icon} ${name} : ${run.status} (${run.durationMs} ms)`)
+    if (run.result) console.log(`   ${JSON.stringify(run.result)}`)
+    if (run.error) console.log(`   ${run.error}`)
+  }
+
+  return runs
+}
+
+// Fonction principale
+const run = async () => {
+  const args = process.argv.slice(2)
+  const { jobs } = getJobScheduler()
+
+  if (args.length === 0 || args.includes("--list")) {
+    printJobs(jobs)
+    process.exit(0)
+  }
+
+  const names = args.includes("--all") ? jobs.map((job) => job.name) : args.filter((arg) => !arg.startsWith("--"))
+  const unknown = names.filter((name) => !jobs.some((job) => job.name === name))
+  if (unknown.length > 0) {
+    console.error(`❌ Tâche(s) inconnue(s) : ${unknown.join(", ")}`)
+    printJobs(jobs)
+    process.exit(1)
+  }
+
+  let exitCode = 0
+
+  try {
+    await connectDB()
+    watchGoalMilestones()
+
+    const runs = await runJobs(names)
+    await flushMilestoneNotifications()
+    if (runs.some((jobRun) => jobRun.status !== "succeeded")) {
+      exitCode = 1
+    }
+  } catch (error) {
+    console.error("❌ Erreur lors de l'exécution des tâches:", error)
+    exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    process.exit(exitCode)
+  }
+}
+
+// Exécuter les tâches demandées
+if (require.main === module) {
+  run()
+}
+
+module.exports = { runJobs }
@@ -231,7 +231,10 @@ const createAccounts = async (users) => {
         })
       }
 
-      const userAccounts = await Account.insertMany(accountsToCreate)
+      // insertMany ne déclenche pas le middleware de sauvegarde : le solde d'ouverture est fourni explicitement
+      const userAccounts = await Account.insertMany(
+        accountsToCreate.map((account) => ({ ...account, openingBalance: account.balance })),
+      )
       allAccounts.push(...userAccounts)
       console.log(`✅ ${userAccounts.length} compte(s) créé(s) pour ${user.fullName}`)
     } catch (error) {
@@ -15,6 +15,17 @@ const budgetRoutes = require("./routes/budgets")
 const goalRoutes = require("./routes/goals")
 const analyticsRoutes = require("./routes/analytics")
 const dashboardRoutes = require("./routes/dashboard")
+const exchangeRateRoutes = require("./routes/exchangeRates")
+const notificationRoutes = require("./routes/notifications")
+const adminRoutes = require("./routes/admin")
+const { getJobScheduler } = require("./services/jobs")
+const { watchGoalMilestones } = require("./services/goalMilestones")
+const { getMailer } = require("./services/mailer")
+const { getSmsSender } = require("./services/sms")
+
+// Créer les transports dès le démarrage : une configuration invalide (en production notamment) arrête le serveur
+getMailer()
+getSmsSender()
 
 const app = express()
 app.set("trust proxy", 1)
@@ -55,6 +66,14 @@ mongoose
   })
   .then(() => {
     console.log("✅ Connecté à MongoDB")
+
+    // Notifier les jalons d'objectifs atteints (contributions et épargnes automatiques)
+    watchGoalMilestones()
+
+    // Démarrer les tâches planifiées (transactions récurrentes, épargnes automatiques, budgets, alertes)
+    if (process.env.JOB_SCHEDULER !== "off") {
+      getJobScheduler().start()
+    }
   })
   .catch((error) => {
     console.error("❌ Erreur de connexion à MongoDB:", error)
@@ -71,6 +90,9 @@ app.use("/api/budgets", budgetRoutes)
 app.use("/api/goals", goalRoutes)
 app.use("/api/analytics", analyticsRoutes)
 app.use("/api/dashboard", dashboardRoutes)
+app.use("/api/exchange-rates", exchangeRateRoutes)
+app.use("/api/notifications", notificationRoutes)
+app.use("/api/admin", adminRoutes)
 
 // Route de santé
 app.get("/api/health", (req, res) => {
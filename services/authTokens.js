@@ -0,0 +1,59 @@
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const Session = require("../models/Session")
+
+// Jeton d'accès de courte durée ; la session se prolonge grâce au jeton de rafraîchissement
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m"
+
+// Signer un jeton d'accès rattaché à une session (revérifiée à chaque requête par le middleware auth)
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+    },
+  )
+
+// Ouvrir une session pour l'appareil à l'origine de la requête
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  })
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  }
+}
+
+// Échanger un jeton de rafraîchissement (rotation) contre une nouvelle paire de jetons
+const refreshTokens = async (refreshToken) => {
+  const { session, refreshToken: nextRefreshToken } = await Session.rotate(refreshToken)
+
+  const user = await User.findById(session.userId)
+  if (!user || !user.isActive) {
+    await session.revoke("logout")
+    throw Object.assign(new Error("Compte désactivé ou supprimé"), { status: 401 })
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRE,
+  signAccessToken,
+  issueTokens,
+  refreshTokens,
+}
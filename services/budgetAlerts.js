@@ -0,0 +1,97 @@
+const Budget = require("../models/Budget")
+const Category = require("../models/Category")
+const User = require("../models/User")
+const { getNotifier, formatAmount } = require("./notifier")
+
+// Contenu de l'alerte selon le statut du budget
+const buildBudgetAlert = (budget, currency) => {
+  const categoryName = budget.categoryId?.name || budget.name
+  const exceeded = budget.status === "exceeded"
+
+  return {
+    type: exceeded ? "budget_exceeded" : "budget_warning",
+    title: exceeded ? `Budget ${categoryName} dépassé` : `Budget ${categoryName} bientôt atteint`,
+    message: exceeded
+      ? `Vous avez dépensé ${formatAmount(budget.spent, currency)} sur ${formatAmount(budget.available, currency)} ` +
+        `prévus pour ${categoryName} (dépassement de ${formatAmount(budget.spent - budget.available, currency)}).`
+      : `Vous avez utilisé ${budget.percentageUsed}% de votre budget ${categoryName} ` +
+        `(reste ${formatAmount(budget.remaining, currency)} jusqu'au ${budget.endDate.toLocaleDateString("fr-SN")}).`,
+    data: {
+      budgetId: budget._id,
+      categoryId: budget.categoryId?._id || budget.categoryId,
+      percentageUsed: budget.percentageUsed,
+      spent: budget.spent,
+      available: budget.available,
+    },
+  }
+}
+
+// Recalculer les budgets d'un utilisateur et envoyer les alertes dues. Retourne le nombre d'alertes envoyées.
+const alertBudgets = async (user, budgets, { notifier = getNotifier(), now = new Date() } = {}) => {
+  if (!user || user.preferences?.notifications?.budgetAlerts === false) return 0
+
+  let sentCount = 0
+  for (const budget of budgets) {
+    await budget.updateSpent()
+    if (!budget.shouldSendAlert()) continue
+
+    await notifier.notify(user, buildBudgetAlert(budget, user.preferences?.currency))
+    await budget.markAlertSent(now)
+    sentCount++
+  }
+  return sentCount
+}
+
+// Évaluer les budgets concernés par une dépense (sa catégorie et la catégorie parente) à sa date
+const evaluateBudgetAlerts = async ({ userId, categoryId, date = new Date() }, options = {}) => {
+  const category = await Category.findById(categoryId).select("parentCategory")
+  const categoryIds = [categoryId, category?.parentCategory].filter(Boolean)
+
+  const budgets = await Budget.find({
+    userId,
+    categoryId: { $in: categoryIds },
+    isActive: true,
+    "notifications.enabled": true,
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  }).populate("categoryId", "name")
+
+  if (budgets.length === 0) return 0
+
+  const user = await User.findById(userId)
+  return await alertBudgets(user, budgets, options)
+}
+
+// Balayage périodique de tous les budgets en cours (dépenses récurrentes, imports, seuils modifiés...)
+const sweepBudgetAlerts = async ({ now = new Date(), ...options } = {}) => {
+  const budgets = await Budget.find({
+    isActive: true,
+    "notifications.enabled": true,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  }).populate("categoryId", "name")
+
+  const budgetsByUser = new Map()
+  for (const budget of budgets) {
+    const key = budget.userId.toString()
+    if (!budgetsByUser.has(key)) budgetsByUser.set(key, [])
+    budgetsByUser.get(key).push(budget)
+  }
+
+  let sentCount = 0
+  for (const [userId, userBudgets] of budgetsByUser) {
+    try {
+      const user = await User.findById(userId)
+      sentCount += await alertBudgets(user, userBudgets, { ...options, now })
+    } catch (error) {
+      console.error(`Erreur lors de l'évaluation des alertes de l'utilisateur ${userId}:`, error)
+    }
+  }
+  return sentCount
+}
+
+module.exports = {
+  buildBudgetAlert,
+  evaluateBudgetAlerts,
+  sweepBudgetAlerts,
+}
@@ -0,0 +1,93 @@
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const { getMailer, frontendUrl } = require("./mailer")
+
+const TOKEN_PURPOSE = "email_verification"
+const TOKEN_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || "24h"
+// Délai minimal entre deux envois et nombre maximal d'envois par 24 heures
+const RESEND_COOLDOWN_MS = (Number.parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60) * 1000
+const MAX_SENDS_PER_DAY = Number.parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5
+const DAY = 24 * 60 * 60 * 1000
+
+const verificationError = (message, status = 400, extra = {}) =>
+  Object.assign(new Error(message), { status, ...extra })
+
+// Jeton signé et limité dans le temps, lié à l'adresse : il devient invalide si l'email change
+const createVerificationToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), email: user.email, purpose: TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: TOKEN_EXPIRE,
+  })
+
+// Vérifier les limites d'envoi ; lève une erreur 429 avec le délai d'attente en secondes
+const checkThrottle = (user, now) => {
+  const { sentAt, windowStartedAt, sentCount = 0 } = user.emailVerification || {}
+
+  if (sentAt && now - sentAt < RESEND_COOLDOWN_MS) {
+    const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - (now - sentAt)) / 1000)
+    throw verificationError(`Veuillez patienter ${retryAfter} secondes avant un nouvel envoi`, 429, { retryAfter })
+  }
+  if (windowStartedAt && now - windowStartedAt < DAY && sentCount >= MAX_SENDS_PER_DAY) {
+    const retryAfter = Math.ceil((DAY - (now - windowStartedAt)) / 1000)
+    throw verificationError("Nombre maximal d'envois atteint pour aujourd'hui", 429, { retryAfter })
+  }
+}
+
+// Envoyer l'email de vérification en respectant les limites de renvoi
+const sendVerificationEmail = async (user, { mailer = getMailer(), now = new Date() } = {}) => {
+  if (user.emailVerified) {
+    throw verificationError("Cette adresse email est déjà vérifiée")
+  }
+  checkThrottle(user, now)
+
+  const link = frontendUrl("/verify-email", { token: createVerificationToken(user) })
+  await mailer.send({
+    to: user.email,
+    subject: "Confirmez votre adresse email MonBudget",
+    text:
+      `Bonjour ${user.firstName},\n\n` +
+      `Pour confirmer votre adresse email, ouvrez ce lien (valable ${TOKEN_EXPIRE}) :\n${link}\n\n` +
+      "Si vous n'avez pas créé de compte MonBudget, ignorez ce message.\n\nL'équipe MonBudget",
+  })
+
+  const { windowStartedAt, sentCount = 0 } = user.emailVerification || {}
+  const sameWindow = windowStartedAt && now - windowStartedAt < DAY
+  user.emailVerification = {
+    sentAt: now,
+    windowStartedAt: sameWindow ? windowStartedAt : now,
+    sentCount: sameWindow ? sentCount + 1 : 1,
+  }
+  await user.save()
+}
+
+// Confirmer l'adresse à partir du jeton reçu par email ; retourne l'utilisateur vérifié
+const confirmEmail = async (token, { now = new Date() } = {}) => {
+  let payload
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    throw verificationError(
+      error.name === "TokenExpiredError" ? "Lien de vérification expiré" : "Lien de vérification invalide",
+    )
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw verificationError("Lien de vérification invalide")
+  }
+
+  const user = await User.findById(payload.sub)
+  if (!user || user.email !== payload.email) {
+    throw verificationError("Lien de vérification invalide")
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true
+    user.emailVerifiedAt = now
+    await user.save()
+  }
+  return user
+}
+
+module.exports = {
+  createVerificationToken,
+  sendVerificationEmail,
+  confirmEmail,
+}
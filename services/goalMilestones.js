@@ -0,0 +1,56 @@
+const Goal = require("../models/Goal")
+const User = require("../models/User")
+const { getNotifier, formatAmount } = require("./notifier")
+
+// Contenu de la notification d'un jalon atteint
+const buildMilestoneNotification = (goal, milestone, currency) => ({
+  type: "goal_milestone",
+  title: `Jalon « ${milestone.name} » atteint`,
+  message:
+    `Bravo ! Vous avez épargné ${formatAmount(goal.currentAmount, currency)} pour « ${goal.name} » ` +
+    `(${goal.progressPercentage}% de l'objectif).` +
+    (milestone.reward ? ` Votre récompense : ${milestone.reward}.` : ""),
+  data: {
+    goalId: goal._id,
+    milestoneId: milestone._id,
+    amount: milestone.amount,
+    progressPercentage: goal.progressPercentage,
+  },
+})
+
+// Notifier l'utilisateur d'un jalon atteint, selon les préférences de l'objectif et de l'utilisateur
+const notifyMilestoneReached = async ({ goal, milestone }, { notifier = getNotifier() } = {}) => {
+  if (goal.notifications?.enabled === false) return null
+
+  const user = await User.findById(goal.userId)
+  if (!user || user.preferences?.notifications?.goalReminders === false) return null
+
+  return await notifier.notify(user, buildMilestoneNotification(goal, milestone, user.preferences?.currency))
+}
+
+// Écouter les jalons atteints (contributions depuis l'API, épargnes automatiques) ; à appeler une fois au démarrage
+let watching = false
+const pending = new Set()
+const watchGoalMilestones = (options = {}) => {
+  if (watching) return
+  watching = true
+
+  Goal.on("milestoneReached", (event) => {
+    const promise = notifyMilestoneReached(event, options)
+      .catch((error) => console.error("Erreur lors de la notification du jalon atteint:", error))
+      .finally(() => pending.delete(promise))
+    pending.add(promise)
+  })
+}
+
+// Attendre les notifications en cours d'envoi (avant l'arrêt d'un script)
+const flushMilestoneNotifications = async () => {
+  await Promise.all([...pending])
+}
+
+module.exports = {
+  buildMilestoneNotification,
+  notifyMilestoneReached,
+  watchGoalMilestones,
+  flushMilestoneNotifications,
+}
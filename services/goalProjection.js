@@ -0,0 +1,225 @@
+const Goal = require("../models/Goal")
+const Transaction = require("../models/Transaction")
+const Category = require("../models/Category")
+const ExchangeRate = require("../models/ExchangeRate")
+
+// Projection des objectifs d'épargne : la capacité d'épargne est estimée à partir du solde net mensuel
+// des derniers mois (hors épargne déjà versée), puis répartie entre les objectifs actifs par priorité.
+
+const AVERAGE_MONTH_DAYS = 30.44
+const DAY = 24 * 60 * 60 * 1000
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Fonction de répartition de la loi normale (approximation d'Abramowitz et Stegun, erreur < 1.5e-7)
+const normalCdf = (x) => {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2)
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+  const erf = 1 - poly * Math.exp(-(x * x) / 2)
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// Capacité d'épargne : moyenne et écart-type du solde net des `months` derniers mois complets
+const getSavingCapacity = async (userId, { months = 6, now = new Date(), currency = "CFA" } = {}) => {
+  const endDate = new Date(now.getFullYear(), now.getMonth(), 1)
+  const startDate = new Date(endDate.getFullYear(), endDate.getMonth() - months, 1)
+
+  const [converter, savingsCategory, savingsIncomeCategory] = await Promise.all([
+    ExchangeRate.createConverter(userId, currency, now),
+    Category.getSavingsCategory(),
+    Category.getSavingsCategory("income"),
+  ])
+  const history = await Transaction.getMonthlyCashFlow(userId, {
+    startDate,
+    endDate,
+    amount: converter.expression(),
+    excludeCategoryIds: [savingsCategory._id, savingsIncomeCategory._id],
+  })
+
+  // Les mois antérieurs au premier mois renseigné ne comptent pas (compte récent)
+  const firstIndex = history.findIndex((month) => month.hasData)
+  const observed = firstIndex === -1 ? [] : history.slice(firstIndex)
+  const average = observed.length ? observed.reduce((sum, month) => sum + month.net, 0) / observed.length : 0
+  const variance = observed.length
+    ? observed.reduce((sum, month) => sum + (month.net - average) ** 2, 0) / observed.length
+    : 0
+
+  return {
+    currency,
+    history,
+    monthsObserved: observed.length,
+    averageNet: round(average),
+    standardDeviation: round(Math.sqrt(variance)),
+    monthlyCapacity: round(Math.max(0, average)),
+    insufficientHistory: observed.length < 3,
+  }
+}
+
+// Rythme actuel d'un objectif : contributions nettes par mois sur les 3 derniers mois (ou depuis sa création)
+const getContributionPace = (goal, now = new Date()) => {
+  const since = new Date(Math.max(now.getTime() - 3 * AVERAGE_MONTH_DAYS * DAY, goal.createdAt?.getTime() || 0))
+  const months = Math.max(1, (now - since) / (AVERAGE_MONTH_DAYS * DAY))
+  const total = goal.contributions
+    .filter((contribution) => contribution.date >= since && contribution.date <= now)
+    .reduce((sum, contribution) => sum + contribution.amount, 0)
+  return round(Math.max(0, total / months))
+}
+
+// Montant mensuel de l'épargne automatique
+const getAutoSaveMonthly = (goal) => {
+  if (!goal.autoSave?.enabled || !goal.autoSave.amount) return 0
+  const perMonth = { daily: AVERAGE_MONTH_DAYS, weekly: AVERAGE_MONTH_DAYS / 7, monthly: 1 }
+  return round(goal.autoSave.amount * (perMonth[goal.autoSave.frequency] || 1))
+}
+
+// Projeter un objectif avec un versement mensuel et une incertitude (écart-type mensuel) donnés
+const projectGoal = (goal, { monthlyContribution, standardDeviation = 0, targetDate = goal.targetDate, now }) => {
+  const remaining = Math.max(0, goal.targetAmount - goal.currentAmount)
+  const monthsAvailable = Math.max(0, (targetDate - now) / (AVERAGE_MONTH_DAYS * DAY))
+  const monthsNeeded = remaining === 0 ? 0 : monthlyContribution > 0 ? remaining / monthlyContribution : null
+
+  // Somme de n mois d'épargne ~ loi normale de moyenne n·m et d'écart-type √n·σ
+  let probability
+  if (remaining === 0) {
+    probability = 1
+  } else if (monthsAvailable === 0) {
+    probability = 0
+  } else if (standardDeviation === 0) {
+    probability = monthlyContribution * monthsAvailable >= remaining ? 1 : 0
+  } else {
+    const expected = monthlyContribution * monthsAvailable
+    probability = 1 - normalCdf((remaining - expected) / (Math.sqrt(monthsAvailable) * standardDeviation))
+  }
+
+  const projectedCompletionDate =
+    monthsNeeded === null ? null : new Date(now.getTime() + monthsNeeded * AVERAGE_MONTH_DAYS * DAY)
+
+  return {
+    remainingAmount: round(remaining),
+    targetDate,
+    monthlyContribution: round(monthlyContribution),
+    requiredMonthly: monthsAvailable > 0 ? round(remaining / monthsAvailable) : round(remaining),
+    monthsNeeded: monthsNeeded === null ? null : Math.ceil(monthsNeeded),
+    projectedCompletionDate,
+    onTrack: projectedCompletionDate !== null && projectedCompletionDate <= targetDate,
+    probability: Math.round(probability * 100),
+  }
+}
+
+// Répartir la capacité d'épargne entre les objectifs actifs, par priorité puis date cible.
+// Chaque objectif demande son versement prévu (simulation, épargne automatique ou rythme actuel) ;
+// quand la capacité ne suffit pas, les objectifs les moins prioritaires reçoivent moins.
+// La capacité restante est ensuite proposée, dans le même ordre, aux objectifs non atteints sans versement
+// prévu (ni rythme ni épargne automatique), à hauteur du versement requis pour tenir leur date cible.
+const allocateSavings = (goals, capacity, { overrides = {}, now }) => {
+  const ordered = [...goals]
+    .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.targetDate - b.targetDate)
+    .map((goal) => {
+      const override = overrides[goal._id.toString()] || {}
+      const requested =
+        override.monthlyContribution ?? (getAutoSaveMonthly(goal) || getContributionPace(goal, now))
+      const remaining = Math.max(0, goal.targetAmount - goal.currentAmount)
+      const targetDate = override.targetDate || goal.targetDate
+      // Un objectif ne consomme pas plus que ce qui lui manque : le surplus reste aux objectifs suivants
+      const planned = Math.min(requested, remaining)
+      // Une simulation à 0 est un choix explicite : l'objectif ne reçoit alors rien du surplus
+      const fromSurplus = planned === 0 && remaining > 0 && override.monthlyContribution === undefined
+      return { goal, planned, remaining, targetDate, fromSurplus, allocated: 0 }
+    })
+
+  let available = capacity.monthlyCapacity
+  const allocate = (entry, amount) => {
+    entry.allocated = Math.min(amount, available)
+    available = Math.max(0, available - entry.allocated)
+  }
+  ordered.filter((entry) => !entry.fromSurplus).forEach((entry) => allocate(entry, entry.planned))
+  ordered
+    .filter((entry) => entry.fromSurplus)
+    .forEach((entry) => {
+      const { requiredMonthly } = projectGoal(entry.goal, { monthlyContribution: 0, targetDate: entry.targetDate, now })
+      entry.planned = requiredMonthly
+      allocate(entry, entry.planned)
+    })
+
+  return ordered.map(({ goal, planned, targetDate, fromSurplus, allocated }) => {
+    // L'incertitude de la capacité d'épargne est partagée au prorata du versement alloué
+    const share = capacity.monthlyCapacity > 0 ? allocated / capacity.monthlyCapacity : 0
+    const projection = projectGoal(goal, {
+      monthlyContribution: allocated,
+      standardDeviation: capacity.standardDeviation * share,
+      targetDate,
+      now,
+    })
+
+    return {
+      goalId: goal._id,
+      name: goal.name,
+      priority: goal.priority,
+      currentAmount: goal.currentAmount,
+      targetAmount: goal.targetAmount,
+      plannedMonthly: round(planned),
+      contributionPace: getContributionPace(goal, now),
+      autoSaveMonthly: getAutoSaveMonthly(goal),
+      fromSurplus,
+      constrained: allocated < planned,
+      ...projection,
+    }
+  })
+}
+
+// Projection d'un objectif et effet d'une simulation (versement mensuel ou date cible modifiés)
+// sur l'ensemble des objectifs actifs qui se partagent la même capacité d'épargne
+const buildGoalProjection = async (
+  goal,
+  { user, monthlyContribution, targetDate, months = 6, now = new Date() },
+) => {
+  const currency = user.preferences?.currency || "CFA"
+  const [capacity, activeGoals] = await Promise.all([
+    getSavingCapacity(user._id, { months, now, currency }),
+    Goal.find({ userId: user._id, status: "active" }),
+  ])
+
+  // L'objectif demandé est inclus même s'il n'est pas actif (en pause...)
+  const goals = activeGoals.some((active) => active._id.equals(goal._id)) ? activeGoals : [...activeGoals, goal]
+  const findGoal = (projections) => projections.find((projection) => projection.goalId.equals(goal._id))
+
+  const baseline = allocateSavings(goals, capacity, { now })
+  const isWhatIf = monthlyContribution !== undefined || targetDate !== undefined
+
+  const result = {
+    capacity,
+    goal: findGoal(baseline),
+    goals: baseline,
+    whatIf: null,
+  }
+
+  if (isWhatIf) {
+    const overrides = { [goal._id.toString()]: { monthlyContribution, targetDate } }
+    const scenario = allocateSavings(goals, capacity, { overrides, now })
+
+    result.whatIf = {
+      monthlyContribution: monthlyContribution ?? null,
+      targetDate: targetDate ?? null,
+      goal: findGoal(scenario),
+      goals: scenario.map((projection) => {
+        const before = baseline.find((item) => item.goalId.equals(projection.goalId))
+        return {
+          ...projection,
+          probabilityChange: projection.probability - before.probability,
+          allocationChange: round(projection.monthlyContribution - before.monthlyContribution),
+        }
+      }),
+    }
+  }
+
+  return result
+}
+
+module.exports = {
+  getSavingCapacity,
+  getContributionPace,
+  projectGoal,
+  allocateSavings,
+  buildGoalProjection,
+}
@@ -0,0 +1,167 @@
+const os = require("os")
+const JobRun = require("../models/JobRun")
+const JobLock = require("../models/JobLock")
+
+// Durée du verrou par défaut ; il est prolongé toutes les LOCK_TTL_MS / 3 tant que la tâche tourne
+const LOCK_TTL_MS = 5 * 60 * 1000
+
+// Erreur avec un code HTTP, pour les déclenchements depuis l'API
+const jobError = (message, status = 400) => Object.assign(new Error(message), { status })
+
+// Planificateur des tâches périodiques. Chaque tâche est décrite par :
+//   name, description, intervalMs, run(now) -> résultat enregistré dans le journal
+// Un verrou en base empêche deux instances du serveur d'exécuter la même tâche en même temps,
+// et chaque exécution est tracée dans JobRun. L'horloge est injectable pour les tests.
+const createJobScheduler = ({
+  jobs,
+  clock = () => new Date(),
+  instanceId = `${os.hostname()}:${process.pid}`,
+  disabled = [],
+} = {}) => {
+  const registry = new Map(jobs.map((job) => [job.name, job]))
+  const timers = new Map()
+  // Tâches en cours dans ce processus (le verrou en base protège des autres instances)
+  const running = new Set()
+
+  const getJob = (name) => {
+    const job = registry.get(name)
+    if (!job) throw jobError(`Tâche inconnue : ${name}`, 404)
+    return job
+  }
+
+  // Exécuter une tâche. Retourne l'entrée du journal, ou null si un passage planifié n'était pas nécessaire
+  const runJob = async (name, { trigger = "schedule", triggeredBy = null } = {}) => {
+    const job = getJob(name)
+    const now = clock()
+    const ttlMs = job.lockTtlMs || LOCK_TTL_MS
+
+    // Réservé avant tout appel asynchrone : deux déclenchements simultanés dans ce processus ne passent pas tous deux
+    const alreadyRunning = running.has(name)
+    if (!alreadyRunning) running.add(name)
+
+    let acquired = false
+    try {
+      acquired =
+        !alreadyRunning &&
+        (await JobLock.acquire(name, instanceId, {
+          ttlMs,
+          now,
+          // Un passage planifié est inutile si une autre instance vient de réussir la tâche
+          notSucceededSince: trigger === "schedule" ? new Date(now.getTime() - job.intervalMs * 0.9) : undefined,
+        }))
+    } finally {
+      if (!acquired && !alreadyRunning) running.delete(name)
+    }
+
+    if (!acquired) {
+      if (trigger === "schedule") return null
+      return await JobRun.create({
+        job: name,
+        status: "skipped",
+        trigger,
+        instanceId,
+        triggeredBy,
+        startedAt: now,
+        finishedAt: now,
+        durationMs: 0,
+        error: "La tâche est déjà en cours d'exécution",
+      })
+    }
+
+    // Prolonger le verrou tant que la tâche tourne, même si elle dépasse la durée prévue
+    const heartbeat = setInterval(() => {
+      JobLock.extend(name, instanceId, { ttlMs, now: clock() }).catch((error) =>
+        console.error(`Erreur lors de la prolongation du verrou de la tâche ${name}:`, error),
+      )
+    }, ttlMs / 3)
+    heartbeat.unref()
+
+    const startedAt = Date.now()
+    let run = null
+
+    try {
+      run = await JobRun.create({ job: name, trigger, instanceId, triggeredBy, startedAt: now })
+      run.result = await job.run(now)
+      run.status = "succeeded"
+    } catch (error) {
+      if (!run) throw error
+      console.error(`Erreur lors de l'exécution de la tâche ${name}:`, error)
+      run.status = "failed"
+      run.error = error.message
+    } finally {
+      clearInterval(heartbeat)
+      const finishedAt = new Date(now.getTime() + (Date.now() - startedAt))
+      try {
+        if (run) {
+          run.durationMs = finishedAt - now
+          run.finishedAt = finishedAt
+          await run.save()
+        }
+      } finally {
+        await JobLock.release(name, instanceId, { succeeded: run?.status === "succeeded", now: finishedAt })
+        running.delete(name)
+      }
+    }
+
+    return run
+  }
+
+  // État de chaque tâche : planification, verrou et dernières exécutions
+  const getStatus = async () => {
+    const locks = await JobLock.find({ _id: { $in: [...registry.keys()] } })
+    const locksByJob = new Map(locks.map((lock) => [lock._id, lock]))
+
+    return await Promise.all(
+      [...registry.values()].map(async (job) => {
+        const [lastRun, lastSuccess] = await Promise.all([
+          JobRun.findOne({ job: job.name, status: { $ne: "skipped" } }).sort({ startedAt: -1 }),
+          JobRun.findOne({ job: job.name, status: "succeeded" }).sort({ startedAt: -1 }),
+        ])
+        const lock = locksByJob.get(job.name)
+        const isLocked = running.has(job.name) || (Boolean(lock?.lockedBy) && lock.lockedUntil > clock())
+
+        return {
+          name: job.name,
+          description: job.description,
+          intervalMs: job.intervalMs,
+          scheduled: timers.has(job.name),
+          disabled: disabled.includes(job.name),
+          running: isLocked,
+          lockedBy: isLocked ? lock?.lockedBy || instanceId : null,
+          lastRun,
+          lastSuccessAt: lastSuccess?.finishedAt || null,
+          nextRunAt: lock?.lastSucceededAt ? new Date(lock.lastSucceededAt.getTime() + job.intervalMs) : null,
+        }
+      }),
+    )
+  }
+
+  const getRuns = async (name, { limit = 20 } = {}) => {
+    getJob(name)
+    return await JobRun.find({ job: name }).sort({ startedAt: -1 }).limit(limit)
+  }
+
+  const start = () => {
+    for (const job of registry.values()) {
+      if (timers.has(job.name) || disabled.includes(job.name)) continue
+
+      const tick = () =>
+        runJob(job.name).catch((error) => console.error(`Erreur de planification de la tâche ${job.name}:`, error))
+      tick()
+      const timer = setInterval(tick, job.intervalMs)
+      timer.unref()
+      timers.set(job.name, timer)
+    }
+  }
+
+  const stop = () => {
+    for (const timer of timers.values()) {
+      clearInterval(timer)
+    }
+    timers.clear()
+  }
+
+  return { instanceId, jobs: [...registry.values()], runJob, getStatus, getRuns, start, stop }
+}
+
+module.exports = { createJobScheduler }
@@ -0,0 +1,60 @@
+const Transaction = require("../models/Transaction")
+const Goal = require("../models/Goal")
+const Budget = require("../models/Budget")
+const User = require("../models/User")
+const { sweepBudgetAlerts } = require("./budgetAlerts")
+const { createJobScheduler } = require("./jobScheduler")
+
+const HOUR = 60 * 60 * 1000
+
+// Tâches périodiques de l'application. `run(now)` retourne le résultat enregistré dans le journal d'exécution.
+const JOBS = [
+  {
+    name: "recurring-transactions",
+    description: "Générer les occurrences des transactions récurrentes (loyer, salaire, factures...)",
+    intervalMs: HOUR,
+    run: async (now) => ({ created: await Transaction.processRecurringTransactions(now) }),
+  },
+  {
+    name: "goal-auto-saves",
+    description: "Effectuer les épargnes automatiques des objectifs",
+    intervalMs: HOUR,
+    run: async (now) => ({ processed: await Goal.processAutoSaves(now) }),
+  },
+  {
+    name: "budget-renewals",
+    description: "Renouveler les budgets arrivés en fin de période",
+    intervalMs: HOUR,
+    run: async (now) => ({ renewed: await Budget.renewExpiredBudgets(now) }),
+  },
+  {
+    name: "budget-alerts",
+    description: "Balayer les budgets en cours et envoyer les alertes de dépassement",
+    intervalMs: HOUR,
+    run: async (now) => ({ sent: await sweepBudgetAlerts({ now }) }),
+  },
+  {
+    name: "account-deletions",
+    description: "Effacer les comptes fermés dont le délai de grâce est écoulé",
+    intervalMs: 24 * HOUR,
+    run: async (now) => ({ erased: await User.purgeDeactivated(now) }),
+  },
+]
+
+// Instance partagée par le serveur, l'API d'administration et le script CLI.
+// JOBS_DISABLED=a,b désactive la planification de certaines tâches (le déclenchement manuel reste possible).
+let defaultScheduler = null
+const getJobScheduler = () => {
+  if (!defaultScheduler) {
+    defaultScheduler = createJobScheduler({
+      jobs: JOBS,
+      disabled: (process.env.JOBS_DISABLED || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+    })
+  }
+  return defaultScheduler
+}
+
+module.exports = { JOBS, getJobScheduler }
@@ -0,0 +1,92 @@
+const fs = require("fs/promises")
+const path = require("path")
+const { createSmtpTransport, createStubTransport } = require("./notificationChannels")
+
+// Envoi des emails transactionnels (vérification d'adresse, réinitialisation du mot de passe...).
+// Le transport est choisi par MAIL_TRANSPORT :
+//   smtp     envoi réel (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+//   file     chaque email est écrit en JSON dans MAIL_DIR (par défaut ./tmp/mails), pratique en local
+//   console  l'email est affiché dans les logs
+//   stub     l'email est gardé en mémoire (tests)
+// Sans MAIL_TRANSPORT : smtp si SMTP_HOST est défini, sinon console.
+// En production (NODE_ENV=production), seul smtp est accepté et SMTP_HOST est obligatoire :
+// les emails ne doivent jamais finir silencieusement dans les logs ou sur le disque.
+
+// Transport qui affiche les emails dans la console
+const createConsoleTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Email pour ${to} : ${subject}\n${text}`)
+    return { id: `console-${Date.now()}` }
+  },
+})
+
+// Transport qui écrit chaque email dans un fichier JSON
+const createFileTransport = ({ dir = process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mails") } = {}) => ({
+  dir,
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true })
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    const file = path.join(dir, `${id}.json`)
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2))
+    return { id, file }
+  },
+})
+
+// Transports réservés au développement et aux tests
+const DEV_MAIL_TRANSPORTS = ["file", "stub", "console"]
+
+const createMailTransport = (env = process.env) => {
+  const production = env.NODE_ENV === "production"
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST || production ? "smtp" : "console")
+
+  if (production && DEV_MAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Transport email ${name} interdit en production : configurez MAIL_TRANSPORT=smtp`)
+  }
+
+  switch (name) {
+    case "smtp":
+      if (!env.SMTP_HOST) {
+        throw new Error("SMTP_HOST est requis pour le transport email smtp")
+      }
+      return createSmtpTransport({ host: env.SMTP_HOST })
+    case "file":
+      return createFileTransport()
+    case "stub":
+      return createStubTransport()
+    case "console":
+      return createConsoleTransport()
+    default:
+      throw new Error(`Transport email inconnu : ${name}`)
+  }
+}
+
+// Construire les liens vers le frontend (vérification, réinitialisation...)
+const frontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || "http://localhost:3000")
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value)
+  }
+  return url.toString()
+}
+
+const createMailer = ({ transport = createMailTransport() } = {}) => {
+  const send = async ({ to, subject, text, html }) => await transport.send({ to, subject, text, html })
+
+  return { transport, send }
+}
+
+// Instance partagée par les routes
+let defaultMailer = null
+const getMailer = () => {
+  if (!defaultMailer) defaultMailer = createMailer()
+  return defaultMailer
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  createMailer,
+  getMailer,
+  frontendUrl,
+}
@@ -0,0 +1,133 @@
+const nodemailer = require("nodemailer")
+
+// Canaux d'envoi des notifications. Chaque canal expose :
+//   name            "email", "push" ou "sms"
+//   isEnabledFor()  l'utilisateur accepte-t-il ce canal (préférences, coordonnées renseignées) ?
+//   send()          envoie la notification via son transport, lève une erreur en cas d'échec
+// Les transports sont interchangeables : SMTP / passerelles HTTP en production, stub en local et en test.
+
+// Transport local qui garde les messages en mémoire au lieu de les envoyer
+const createStubTransport = () => {
+  const sent = []
+
+  return {
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() })
+      return { id: `stub-${sent.length}` }
+    },
+  }
+}
+
+// Transport email via SMTP
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number.parseInt(process.env.SMTP_PORT) || 587,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.SMTP_FROM || "MonBudget <no-reply@monbudget.sn>",
+} = {}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  })
+
+  return {
+    send: async ({ to, subject, text, html }) => {
+      const info = await transporter.sendMail({ from, to, subject, text, html })
+      return { id: info.messageId }
+    },
+  }
+}
+
+// Transport HTTP générique (passerelle push ou SMS) : POST JSON avec jeton Bearer
+const createHttpTransport = ({ url, token }) => ({
+  send: async (message) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Passerelle ${url} : HTTP ${response.status}`)
+    }
+    return { id: response.headers.get("x-message-id") }
+  },
+})
+
+const createEmailChannel = ({ transport }) => ({
+  name: "email",
+  transport,
+  isEnabledFor: (user) => Boolean(user.email) && user.preferences?.notifications?.email !== false,
+  send: (user, notification) =>
+    transport.send({
+      to: user.email,
+      subject: notification.title,
+      text: `Bonjour ${user.firstName},\n\n${notification.message}\n\nL'équipe MonBudget`,
+    }),
+})
+
+const createPushChannel = ({ transport }) => ({
+  name: "push",
+  transport,
+  isEnabledFor: (user) => user.pushTokens?.length > 0 && user.preferences?.notifications?.push !== false,
+  send: (user, notification) =>
+    transport.send({
+      to: user.pushTokens,
+      title: notification.title,
+      body: notification.message,
+      data: { notificationId: notification._id.toString(), type: notification.type, ...notification.data },
+    }),
+})
+
+const createSmsChannel = ({ transport }) => ({
+  name: "sms",
+  transport,
+  isEnabledFor: (user) => Boolean(user.phone) && user.preferences?.notifications?.sms === true,
+  send: (user, notification) =>
+    transport.send({
+      to: user.phone,
+      // Un SMS reste court : le titre suffit, le détail est dans l'application
+      message: `MonBudget : ${notification.title}`.slice(0, 160),
+    }),
+})
+
+// Construire les canaux selon la configuration : NOTIFICATION_TRANSPORT=stub remplace tous les envois
+// par le transport local ; sinon chaque canal n'est actif que si sa configuration est présente.
+const createNotificationChannels = (env = process.env) => {
+  if (env.NOTIFICATION_TRANSPORT === "stub") {
+    const transport = createStubTransport()
+    return [createEmailChannel({ transport }), createPushChannel({ transport }), createSmsChannel({ transport })]
+  }
+
+  const channels = []
+  if (env.SMTP_HOST) {
+    channels.push(createEmailChannel({ transport: createSmtpTransport() }))
+  }
+  if (env.PUSH_GATEWAY_URL) {
+    const transport = createHttpTransport({ url: env.PUSH_GATEWAY_URL, token: env.PUSH_GATEWAY_TOKEN })
+    channels.push(createPushChannel({ transport }))
+  }
+  if (env.SMS_GATEWAY_URL) {
+    const transport = createHttpTransport({ url: env.SMS_GATEWAY_URL, token: env.SMS_GATEWAY_TOKEN })
+    channels.push(createSmsChannel({ transport }))
+  }
+  return channels
+}
+
+module.exports = {
+  createStubTransport,
+  createSmtpTransport,
+  createHttpTransport,
+  createEmailChannel,
+  createPushChannel,
+  createSmsChannel,
+  createNotificationChannels,
+}
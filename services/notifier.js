@@ -0,0 +1,43 @@
+const Notification = require("../models/Notification")
+const { createNotificationChannels } = require("./notificationChannels")
+
+// Enregistre la notification dans la boîte de réception puis la diffuse sur les canaux acceptés par l'utilisateur.
+// Un canal en échec n'empêche ni les autres envois ni l'enregistrement.
+const createNotifier = ({ channels = createNotificationChannels() } = {}) => {
+  const notify = async (user, { type, title, message, data = {} }) => {
+    const notification = new Notification({ userId: user._id, type, title, message, data })
+
+    for (const channel of channels) {
+      if (!channel.isEnabledFor(user)) continue
+
+      try {
+        await channel.send(user, notification)
+        notification.deliveries.push({ channel: channel.name, status: "sent" })
+      } catch (error) {
+        console.error(`Erreur lors de l'envoi de la notification (${channel.name}):`, error.message)
+        notification.deliveries.push({ channel: channel.name, status: "failed", error: error.message })
+      }
+    }
+
+    await notification.save()
+    return notification
+  }
+
+  return { channels, notify }
+}
+
+// Formater un montant dans la devise de l'utilisateur pour le texte des notifications
+const formatAmount = (amount, currency = "CFA") =>
+  new Intl.NumberFormat("fr-SN", {
+    style: "currency",
+    currency: currency === "CFA" ? "XOF" : currency,
+  }).format(amount)
+
+// Instance partagée par l'API et les tâches planifiées
+let defaultNotifier = null
+const getNotifier = () => {
+  if (!defaultNotifier) defaultNotifier = createNotifier()
+  return defaultNotifier
+}
+
+module.exports = { createNotifier, getNotifier, formatAmount }
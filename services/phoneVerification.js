@@ -0,0 +1,122 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const { getSmsSender } = require("./sms")
+
+// Codes à usage unique envoyés par SMS, pour vérifier le numéro ou se connecter sans email.
+const CODE_TTL_MS = (Number.parseInt(process.env.PHONE_OTP_TTL_MINUTES) || 5) * 60 * 1000
+// Nombre d'essais autorisés pour un même code
+const MAX_ATTEMPTS = Number.parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5
+// Délai minimal entre deux envois et nombre maximal d'envois par 24 heures
+const RESEND_COOLDOWN_MS = (Number.parseInt(process.env.PHONE_OTP_COOLDOWN_SECONDS) || 60) * 1000
+const MAX_SENDS_PER_DAY = Number.parseInt(process.env.PHONE_OTP_MAX_PER_DAY) || 5
+const DAY = 24 * 60 * 60 * 1000
+
+const MESSAGES = {
+  verify_phone: (code) => `MonBudget : votre code de vérification est ${code}. Il expire dans quelques minutes.`,
+  login: (code) => `MonBudget : votre code de connexion est ${code}. Ne le communiquez à personne.`,
+}
+
+const otpError = (message, status = 400, extra = {}) => Object.assign(new Error(message), { status, ...extra })
+
+// Code à 6 chiffres ; l'empreinte est liée à l'utilisateur et à l'usage du code
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, "0")
+const hashCode = (user, purpose, code) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`${user._id}:${purpose}:${code}`).digest("hex")
+
+// Vérifier les limites d'envoi ; lève une erreur 429 avec le délai d'attente en secondes
+const checkThrottle = (user, now) => {
+  const { sentAt, windowStartedAt, sentCount = 0 } = user.phoneOtp || {}
+
+  if (sentAt && now - sentAt < RESEND_COOLDOWN_MS) {
+    const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - (now - sentAt)) / 1000)
+    throw otpError(`Veuillez patienter ${retryAfter} secondes avant un nouvel envoi`, 429, { retryAfter })
+  }
+  if (windowStartedAt && now - windowStartedAt < DAY && sentCount >= MAX_SENDS_PER_DAY) {
+    const retryAfter = Math.ceil((DAY - (now - windowStartedAt)) / 1000)
+    throw otpError("Nombre maximal de SMS atteint pour aujourd'hui", 429, { retryAfter })
+  }
+}
+
+// Envoyer un nouveau code par SMS ; il remplace le code précédent
+const sendPhoneCode = async (user, purpose, { sms = getSmsSender(), now = new Date() } = {}) => {
+  if (purpose === "verify_phone" && user.phoneVerified) {
+    throw otpError("Ce numéro de téléphone est déjà vérifié")
+  }
+  checkThrottle(user, now)
+
+  const code = generateCode()
+  await sms.send({ to: user.phone, message: MESSAGES[purpose](code) })
+
+  const { windowStartedAt, sentCount = 0 } = user.phoneOtp || {}
+  const sameWindow = windowStartedAt && now - windowStartedAt < DAY
+  user.phoneOtp = {
+    codeHash: hashCode(user, purpose, code),
+    purpose,
+    expiresAt: new Date(now.getTime() + CODE_TTL_MS),
+    attempts: 0,
+    sentAt: now,
+    windowStartedAt: sameWindow ? windowStartedAt : now,
+    sentCount: sameWindow ? sentCount + 1 : 1,
+  }
+  await user.save()
+}
+
+// Vérifier un code et le consommer. L'utilisateur doit être chargé avec "+phoneOtp.codeHash".
+const verifyPhoneCode = async (user, purpose, code, { now = new Date() } = {}) => {
+  const otp = user.phoneOtp
+  if (!otp?.codeHash || otp.purpose !== purpose || !(otp.expiresAt > now)) {
+    throw otpError("Code invalide ou expiré. Demandez un nouveau code.")
+  }
+
+  // Compter l'essai de façon atomique : des essais simultanés ne contournent pas la limite
+  const counted = await User.updateOne(
+    { _id: user._id, "phoneOtp.codeHash": otp.codeHash, "phoneOtp.attempts": { $lt: MAX_ATTEMPTS } },
+    { $inc: { "phoneOtp.attempts": 1 } },
+  )
+  if (!counted.modifiedCount) {
+    throw otpError("Trop d'essais pour ce code. Demandez un nouveau code.", 429)
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex")
+  const received = Buffer.from(hashCode(user, purpose, code), "hex")
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const attemptsLeft = Math.max(0, MAX_ATTEMPTS - otp.attempts - 1)
+    throw otpError("Code incorrect", 400, { attemptsLeft })
+  }
+
+  // Usage unique : seul le premier appel qui consomme le code réussit
+  const consumed = await User.updateOne(
+    { _id: user._id, "phoneOtp.codeHash": otp.codeHash },
+    { $unset: { "phoneOtp.codeHash": 1, "phoneOtp.purpose": 1, "phoneOtp.expiresAt": 1 } },
+  )
+  if (!consumed.modifiedCount) {
+    throw otpError("Code invalide ou expiré. Demandez un nouveau code.")
+  }
+  otp.codeHash = undefined
+  otp.purpose = undefined
+  otp.expiresAt = undefined
+}
+
+// Marquer le numéro comme vérifié (après un code de vérification ou de connexion)
+const markPhoneVerified = async (user, now = new Date()) => {
+  if (user.phoneVerified) return user
+  user.phoneVerified = true
+  user.phoneVerifiedAt = now
+  return await user.save()
+}
+
+// Confirmer le numéro de l'utilisateur avec le code reçu par SMS
+const confirmPhone = async (user, code, { now = new Date() } = {}) => {
+  if (user.phoneVerified) {
+    throw otpError("Ce numéro de téléphone est déjà vérifié")
+  }
+  await verifyPhoneCode(user, "verify_phone", code, { now })
+  return await markPhoneVerified(user, now)
+}
+
+module.exports = {
+  sendPhoneCode,
+  verifyPhoneCode,
+  markPhoneVerified,
+  confirmPhone,
+}
@@ -0,0 +1,63 @@
+const { createHttpTransport, createStubTransport } = require("./notificationChannels")
+
+// Envoi des SMS transactionnels (codes de vérification, connexion par code...).
+// Le fournisseur est choisi par SMS_TRANSPORT :
+//   http     passerelle SMS (SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN), POST JSON { to, message }
+//   console  le SMS est affiché dans les logs, pratique en local
+//   stub     le SMS est gardé en mémoire (tests)
+// Sans SMS_TRANSPORT : http si SMS_GATEWAY_URL est défini, sinon console.
+// En production (NODE_ENV=production), seul http est accepté et SMS_GATEWAY_URL est obligatoire.
+
+// Transport qui affiche les SMS dans la console
+const createConsoleSmsTransport = () => ({
+  send: async ({ to, message }) => {
+    console.log(`📱 SMS pour ${to} : ${message}`)
+    return { id: `console-${Date.now()}` }
+  },
+})
+
+// Transports réservés au développement et aux tests
+const DEV_SMS_TRANSPORTS = ["stub", "console"]
+
+const createSmsTransport = (env = process.env) => {
+  const production = env.NODE_ENV === "production"
+  const name = env.SMS_TRANSPORT || (env.SMS_GATEWAY_URL || production ? "http" : "console")
+
+  if (production && DEV_SMS_TRANSPORTS.includes(name)) {
+    throw new Error(`Transport SMS ${name} interdit en production : configurez SMS_TRANSPORT=http`)
+  }
+
+  switch (name) {
+    case "http":
+      if (!env.SMS_GATEWAY_URL) {
+        throw new Error("SMS_GATEWAY_URL est requis pour le transport SMS http")
+      }
+      return createHttpTransport({ url: env.SMS_GATEWAY_URL, token: env.SMS_GATEWAY_TOKEN })
+    case "stub":
+      return createStubTransport()
+    case "console":
+      return createConsoleSmsTransport()
+    default:
+      throw new Error(`Transport SMS inconnu : ${name}`)
+  }
+}
+
+const createSmsSender = ({ transport = createSmsTransport() } = {}) => {
+  const send = async ({ to, message }) => await transport.send({ to, message: message.slice(0, 160) })
+
+  return { transport, send }
+}
+
+// Instance partagée par les routes
+let defaultSmsSender = null
+const getSmsSender = () => {
+  if (!defaultSmsSender) defaultSmsSender = createSmsSender()
+  return defaultSmsSender
+}
+
+module.exports = {
+  createConsoleSmsTransport,
+  createSmsTransport,
+  createSmsSender,
+  getSmsSender,
+}
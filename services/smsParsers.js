@@ -0,0 +1,146 @@
+const { parseAmount } = require("./statementParsers")
+
+// Reconnaître l'opérateur à partir du texte du SMS
+const PROVIDER_PATTERNS = [
+  { provider: "Wave", pattern: /\bwave\b/i },
+  { provider: "Orange Money", pattern: /orange\s*money|\bOM\b|#144#/i },
+  { provider: "Free Money", pattern: /free\s*money/i },
+]
+
+// Sens de l'opération selon le vocabulaire des SMS de confirmation
+const DIRECTION_RULES = [
+  { type: "income", kind: "received", pattern: /(avez|a ete) re[cç]u|reception|transfert re[cç]u|received/i },
+  { type: "income", kind: "deposit", pattern: /\bd[ée]p[oô]t\b|rechargement de votre compte/i },
+  { type: "expense", kind: "withdrawal", pattern: /\bretrait\b/i },
+  { type: "expense", kind: "payment", pattern: /\bpaiement\b|\bpay[ée]\b|achat de cr[ée]dit|achat\b/i },
+  { type: "expense", kind: "sent", pattern: /(avez )?envoy[ée]|\btransfert\b|\bsent\b/i },
+]
+
+const AMOUNT = "(\\d[\\d\\s\\u00a0\\u202f.,]*)\\s*(?:F\\s*CFA|FCFA|XOF|CFA|F)\\b"
+
+// Lire un montant de SMS : "10.000F" et "10 000 FCFA" valent 10000, "10000.00 FCFA" aussi
+const parseSmsAmount = (value) => (value ? parseAmount(value) : null)
+
+// Premier montant suivant un mot-clé ("Frais", "Nouveau solde"...)
+const amountAfter = (text, keyword) => {
+  const match = text.match(new RegExp(`${keyword}[^\\d]{0,25}${AMOUNT}`, "i"))
+  return match ? parseSmsAmount(match[1]) : null
+}
+
+// Date et heure du SMS (JJ/MM/AAAA [HH:MM]) ; à défaut, la date de réception
+const parseSmsDate = (text, receivedAt) => {
+  const match = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:\D{1,5}(\d{1,2})[:hH](\d{2}))?/)
+  if (!match) return receivedAt
+
+  const [, day, month, rawYear, hours = "12", minutes = "0"] = match
+  let year = Number.parseInt(rawYear)
+  if (year < 100) year += 2000
+
+  const date = new Date(
+    Date.UTC(year, Number.parseInt(month) - 1, Number.parseInt(day), Number.parseInt(hours), Number.parseInt(minutes)),
+  )
+  return Number.isNaN(date.getTime()) ? receivedAt : date
+}
+
+// Contrepartie : nom et/ou numéro de téléphone après "de", "à", "vers", "chez"
+const parseCounterparty = (text, kind) => {
+  const preposition = kind === "received" || kind === "deposit" ? "(?:de|du|from)" : "(?:à|a|vers|chez|to)"
+  // Jusqu'à deux mots entre le montant et la préposition ("effectué chez", "envoyés à"...)
+  const end = "(?=\\s*(?:[.,;\\n]|le\\s+\\d|r[ée]ussi|effectu[ée]|frais|nouveau|votre|r[ée]f|$))"
+  const match = text.match(new RegExp(`${AMOUNT}(?:\\s+\\S+){0,2}?\\s+${preposition}\\s+([^.,;\\n]+?)${end}`, "i"))
+  if (!match) return { name: null, phone: null }
+
+  const raw = match[2].trim()
+  const phoneMatch = raw.match(/(?:\+?221\s*)?(7[05678](?:[\s.]?\d){7})/)
+  const phone = phoneMatch ? phoneMatch[1].replace(/\D/g, "") : null
+  const name =
+    raw
+      .replace(phoneMatch ? phoneMatch[0] : "", "")
+      .replace(/[()]/g, "")
+      .replace(/^(le|la|au)\s+/i, "")
+      .trim() || null
+
+  return { name, phone }
+}
+
+// Référence de l'opération (ID de transaction, Ref, Trans ID...)
+const parseReference = (text) => {
+  const match = text.match(
+    /(?:r[ée]f(?:[ée]rence)?|id(?: de (?:la )?transaction)?|trans(?:action)?\s*id|txn)\s*[:.#]?\s*([A-Z0-9][A-Z0-9._-]{5,})/i,
+  )
+  return match ? match[1].replace(/\.$/, "") : null
+}
+
+// Transformer un SMS de confirmation en brouillon de transaction
+const parseSmsMessage = (text, { receivedAt = new Date() } = {}) => {
+  const message = text.replace(/\s+/g, " ").trim()
+
+  const provider = PROVIDER_PATTERNS.find((rule) => rule.pattern.test(message))?.provider || null
+  const direction = DIRECTION_RULES.find((rule) => rule.pattern.test(message))
+  if (!direction) {
+    throw new Error("Type d'opération non reconnu")
+  }
+
+  const amountMatch = message.match(new RegExp(AMOUNT, "i"))
+  const amount = amountMatch ? parseSmsAmount(amountMatch[1]) : null
+  if (!amount) {
+    throw new Error("Montant introuvable")
+  }
+
+  const fees = amountAfter(message, "frais") || 0
+  const balance = amountAfter(message, "(?:nouveau solde|solde)")
+  const counterparty = parseCounterparty(message, direction.kind)
+  const reference = parseReference(message)
+
+  const labels = {
+    received: "Reçu de",
+    deposit: "Dépôt",
+    withdrawal: "Retrait",
+    payment: "Paiement",
+    sent: "Envoi à",
+  }
+  const description = [provider, labels[direction.kind], counterparty.name || counterparty.phone]
+    .filter(Boolean)
+    .join(" - ")
+
+  return {
+    provider,
+    kind: direction.kind,
+    type: direction.type,
+    amount: Math.abs(amount),
+    fees: Math.abs(fees),
+    balance,
+    counterparty: counterparty.name || counterparty.phone,
+    counterpartyPhone: counterparty.phone,
+    reference,
+    date: parseSmsDate(message, receivedAt),
+    description,
+    raw: text.trim(),
+  }
+}
+
+// Lire un ou plusieurs SMS collés (séparés par une ligne vide)
+const parseSms = (messages, options = {}) => {
+  const texts = (Array.isArray(messages) ? messages : messages.split(/\r?\n\s*\r?\n/))
+    .map((text) => String(text).trim())
+    .filter(Boolean)
+
+  const rows = []
+  const errors = []
+
+  texts.forEach((text, index) => {
+    try {
+      rows.push({ line: index + 1, ...parseSmsMessage(text, options) })
+    } catch (error) {
+      errors.push({ line: index + 1, error: error.message, raw: text })
+    }
+  })
+
+  return { rows, errors }
+}
+
+module.exports = {
+  parseSms,
+  parseSmsMessage,
+  parseSmsAmount,
+}
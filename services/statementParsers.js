@@ -0,0 +1,309 @@
+// Lecture des relevés bancaires (CSV et OFX) en lignes normalisées :
+// { date, amount (toujours positif), type ("income" | "expense"), description, reference }
+
+// Profils de colonnes par banque (champ `bank` du modèle Account).
+// `amount` : colonne signée ; `debit`/`credit` : deux colonnes positives.
+const BANK_PROFILES = {
+  CBAO: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date opération",
+    description: "Libellé",
+    debit: "Débit",
+    credit: "Crédit",
+    reference: "Référence",
+  },
+  SGBS: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date",
+    description: "Libellé",
+    debit: "Débit",
+    credit: "Crédit",
+  },
+  BOA: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date valeur",
+    description: "Description",
+    debit: "Débit",
+    credit: "Crédit",
+  },
+  Ecobank: {
+    delimiter: ",",
+    dateFormat: "DD/MM/YYYY",
+    date: "Transaction Date",
+    description: "Narration",
+    debit: "Debit",
+    credit: "Credit",
+    reference: "Reference",
+  },
+  UBA: {
+    delimiter: ",",
+    dateFormat: "DD/MM/YYYY",
+    date: "Tran Date",
+    description: "Narration",
+    debit: "Debit",
+    credit: "Credit",
+  },
+  BHS: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date",
+    description: "Libellé",
+    amount: "Montant",
+  },
+  BICIS: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date opération",
+    description: "Libellé",
+    debit: "Débit",
+    credit: "Crédit",
+  },
+  "Banque Atlantique": {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date",
+    description: "Libellé",
+    debit: "Débit",
+    credit: "Crédit",
+  },
+  BNDE: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date",
+    description: "Libellé",
+    amount: "Montant",
+  },
+  "Crédit du Sénégal": {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date opération",
+    description: "Libellé",
+    debit: "Débit",
+    credit: "Crédit",
+  },
+  Autre: {
+    delimiter: ";",
+    dateFormat: "DD/MM/YYYY",
+    date: "Date",
+    description: "Libellé",
+    amount: "Montant",
+  },
+}
+
+// Découper une ligne CSV en respectant les guillemets
+const splitCsvLine = (line, delimiter) => {
+  const cells = []
+  let current = ""
+  let inQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else {
+        inQuotes = !inQuotes
+      }
+    } else if (char === delimiter && !inQuotes) {
+      cells.push(current.trim())
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  cells.push(current.trim())
+  return cells
+}
+
+// Normaliser un en-tête de colonne pour la comparaison (casse, accents, espaces)
+const normalizeHeader = (header) =>
+  header
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+
+// Lire un montant au format français ou anglais ("1 234 567,50", "1,234.50", "-25000").
+// Un seul type de séparateur suivi de groupes de trois chiffres ("25,000", "1.500.000") sépare les milliers.
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null
+
+  let cleaned = String(value)
+    .replace(/[\s\u00a0\u202f]/g, "")
+    .replace(/(CFA|XOF|FCFA|EUR|USD|€|\$)/gi, "")
+
+  if (!cleaned) return null
+
+  const negative = /^-|^\(.*\)$|-$/.test(cleaned)
+  cleaned = cleaned.replace(/[()-]/g, "")
+
+  if (/^\d{1,3}((\.\d{3})+|(,\d{3})+)$/.test(cleaned)) {
+    cleaned = cleaned.replace(/[.,]/g, "")
+  } else if (cleaned.includes(",") && cleaned.includes(".")) {
+    // Le dernier séparateur est le séparateur décimal
+    cleaned =
+      cleaned.lastIndexOf(",") > cleaned.lastIndexOf(".")
+        ? cleaned.replace(/\./g, "").replace(",", ".")
+        : cleaned.replace(/,/g, "")
+  } else if (cleaned.includes(",")) {
+    cleaned = cleaned.replace(",", ".")
+  }
+
+  const amount = Number.parseFloat(cleaned)
+  if (Number.isNaN(amount)) return null
+
+  return negative ? -amount : amount
+}
+
+// Lire une date selon le format du profil
+const parseDate = (value, dateFormat = "DD/MM/YYYY") => {
+  if (!value) return null
+
+  const parts = value.trim().split(/[/.\-\s]/)
+  let day
+  let month
+  let year
+
+  if (dateFormat === "YYYY-MM-DD") {
+    ;[year, month, day] = parts
+  } else if (dateFormat === "MM/DD/YYYY") {
+    ;[month, day, year] = parts
+  } else {
+    ;[day, month, year] = parts
+  }
+
+  year = Number.parseInt(year)
+  if (year < 100) year += 2000
+
+  const date = new Date(Date.UTC(year, Number.parseInt(month) - 1, Number.parseInt(day), 12))
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Lire un relevé CSV avec un profil de banque (éventuellement surchargé par `mapping`)
+const parseCsv = (content, { bank = "Autre", mapping = {} } = {}) => {
+  const profile = { ...(BANK_PROFILES[bank] || BANK_PROFILES.Autre), ...mapping }
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/).filter((line) => line.trim())
+
+  if (lines.length < 2) {
+    throw new Error("Le fichier CSV ne contient aucune ligne de données")
+  }
+
+  const headers = splitCsvLine(lines[0], profile.delimiter).map(normalizeHeader)
+  const columnIndex = (name) => (name ? headers.indexOf(normalizeHeader(name)) : -1)
+
+  const columns = {
+    date: columnIndex(profile.date),
+    description: columnIndex(profile.description),
+    amount: columnIndex(profile.amount),
+    debit: columnIndex(profile.debit),
+    credit: columnIndex(profile.credit),
+    reference: columnIndex(profile.reference),
+  }
+
+  if (columns.date === -1 || columns.description === -1) {
+    throw new Error(
+      `Colonnes introuvables pour le profil ${bank} (date: "${profile.date}", libellé: "${profile.description}")`,
+    )
+  }
+
+  if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+    throw new Error(`Colonne de montant introuvable pour le profil ${bank}`)
+  }
+
+  const rows = []
+  const errors = []
+
+  lines.slice(1).forEach((line, index) => {
+    const cells = splitCsvLine(line, profile.delimiter)
+    const lineNumber = index + 2
+
+    const date = parseDate(cells[columns.date], profile.dateFormat)
+    let amount = null
+
+    if (columns.amount !== -1) {
+      amount = parseAmount(cells[columns.amount])
+    } else {
+      const debit = parseAmount(cells[columns.debit]) || 0
+      const credit = parseAmount(cells[columns.credit]) || 0
+      amount = credit - Math.abs(debit)
+    }
+
+    if (!date || !amount) {
+      errors.push({ line: lineNumber, error: "Date ou montant illisible", content: line })
+      return
+    }
+
+    rows.push({
+      line: lineNumber,
+      date,
+      amount: Math.abs(amount),
+      type: amount > 0 ? "income" : "expense",
+      description: cells[columns.description] || "Opération importée",
+      reference: columns.reference !== -1 ? cells[columns.reference] || null : null,
+    })
+  })
+
+  return { rows, errors }
+}
+
+// Lire la valeur d'une balise OFX (SGML sans balise fermante, ou XML)
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"))
+  return match ? match[1].trim() : null
+}
+
+// Lire un relevé OFX (versions 1.x SGML et 2.x XML)
+const parseOfx = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || []
+
+  if (blocks.length === 0) {
+    throw new Error("Aucune opération trouvée dans le fichier OFX")
+  }
+
+  const rows = []
+  const errors = []
+
+  blocks.forEach((block, index) => {
+    const rawDate = ofxTag(block, "DTPOSTED")
+    const amount = parseAmount(ofxTag(block, "TRNAMT"))
+    const date = rawDate
+      ? new Date(
+          Date.UTC(Number(rawDate.slice(0, 4)), Number(rawDate.slice(4, 6)) - 1, Number(rawDate.slice(6, 8)), 12),
+        )
+      : null
+
+    if (!date || Number.isNaN(date.getTime()) || !amount) {
+      errors.push({ line: index + 1, error: "Date ou montant illisible" })
+      return
+    }
+
+    const name = ofxTag(block, "NAME")
+    const memo = ofxTag(block, "MEMO")
+
+    rows.push({
+      line: index + 1,
+      date,
+      amount: Math.abs(amount),
+      type: amount > 0 ? "income" : "expense",
+      description: [name, memo].filter(Boolean).join(" - ") || "Opération importée",
+      reference: ofxTag(block, "FITID"),
+    })
+  })
+
+  return { rows, errors }
+}
+
+module.exports = {
+  BANK_PROFILES,
+  parseCsv,
+  parseOfx,
+  parseAmount,
+  parseDate,
+}
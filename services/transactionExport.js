@@ -0,0 +1,187 @@
+// Écriture des transactions exportées, ligne par ligne, en CSV, JSON Lines ou OFX.
+// Chaque format expose contentType, extension, header(), row(transaction) et footer().
+
+// Code ISO de la devise (le franc CFA est XOF)
+const isoCurrency = (currency) => (currency === "CFA" ? "XOF" : currency)
+
+// Formater un montant dans la devise préférée de l'utilisateur, après conversion depuis sa devise d'origine
+const createAmountFormatter = (currency, convert = (amount) => amount) => {
+  const formatter = new Intl.NumberFormat("fr-SN", { style: "currency", currency: isoCurrency(currency) })
+  return (amount, from) => formatter.format(convert(amount, from))
+}
+
+// Transfert reçu par le compte exporté (export limité à un compte)
+const isIncomingTransfer = (transaction, account) =>
+  transaction.type === "transfer" && Boolean(account) && Boolean(transaction.transferAccountId?.equals?.(account._id))
+
+// Montant signé vu du compte exporté : positif pour une entrée, négatif pour une sortie.
+// Un transfert entrant est crédité du montant reçu, dans la devise du compte de destination.
+const signedAmount = (transaction, account = null) => {
+  if (isIncomingTransfer(transaction, account)) return transaction.transferAmount ?? transaction.amount
+  return transaction.type === "income" ? transaction.amount : -transaction.amount
+}
+
+// Devise du montant signé
+const amountCurrency = (transaction, account = null) =>
+  isIncomingTransfer(transaction, account) ? account.currency : transaction.currency
+
+// Échapper une cellule CSV (séparateur point-virgule, compatible Excel en français)
+const csvCell = (value) => {
+  if (value === undefined || value === null) return ""
+  const text = value instanceof Date ? value.toISOString().split("T")[0] : String(value)
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const createCsvWriter = ({ currency, convert, account }) => {
+  const formatAmount = createAmountFormatter(currency, convert)
+  const columns = [
+    "Date",
+    "Type",
+    "Description",
+    "Catégorie",
+    "Compte",
+    "Montant",
+    "Montant formaté",
+    "Devise",
+    "Marchand",
+    "Moyen de paiement",
+    "Statut",
+    "Tags",
+    "Notes",
+  ]
+
+  return {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    // BOM UTF-8 pour que les accents s'affichent correctement dans Excel
+    header: () => `\uFEFF${columns.join(";")}\r\n`,
+    row: (transaction) =>
+      [
+        transaction.date,
+        transaction.type,
+        transaction.description,
+        transaction.category?.name,
+        transaction.account?.name,
+        signedAmount(transaction, account),
+        formatAmount(signedAmount(transaction, account), amountCurrency(transaction, account)),
+        amountCurrency(transaction, account) || currency,
+        transaction.merchant,
+        transaction.paymentMethod,
+        transaction.status,
+        (transaction.tags || []).join(","),
+        transaction.notes,
+      ]
+        .map(csvCell)
+        .join(";") + "\r\n",
+    footer: () => "",
+  }
+}
+
+const createJsonLinesWriter = ({ currency, convert, account }) => {
+  const formatAmount = createAmountFormatter(currency, convert)
+
+  return {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "jsonl",
+    header: () => "",
+    row: (transaction) =>
+      JSON.stringify({
+        id: transaction._id,
+        date: transaction.date,
+        type: transaction.type,
+        description: transaction.description,
+        amount: transaction.amount,
+        signedAmount: signedAmount(transaction, account),
+        formattedAmount: formatAmount(signedAmount(transaction, account), amountCurrency(transaction, account)),
+        currency: amountCurrency(transaction, account) || currency,
+        category: transaction.category?.name || null,
+        account: transaction.account?.name || null,
+        merchant: transaction.merchant || null,
+        paymentMethod: transaction.paymentMethod || null,
+        status: transaction.status,
+        tags: transaction.tags || [],
+        notes: transaction.notes || null,
+      }) + "\n",
+    footer: () => "",
+  }
+}
+
+// Date au format OFX (AAAAMMJJHHMMSS)
+const ofxDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .slice(0, 14)
+
+// Échapper le texte des balises OFX
+const ofxText = (text = "", maxLength = 255) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").slice(0, maxLength)
+
+const createOfxWriter = ({ currency, account, startDate, endDate }) => ({
+  contentType: "application/x-ofx; charset=utf-8",
+  extension: "ofx",
+  header: () =>
+    [
+      "OFXHEADER:100",
+      "DATA:OFXSGML",
+      "VERSION:102",
+      "SECURITY:NONE",
+      "ENCODING:UTF-8",
+      "CHARSET:NONE",
+      "COMPRESSION:NONE",
+      "OLDFILEUID:NONE",
+      "NEWFILEUID:NONE",
+      "",
+      "<OFX>",
+      "<SIGNONMSGSRSV1><SONRS>",
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      `<DTSERVER>${ofxDate(new Date())}`,
+      "<LANGUAGE>FRA",
+      "</SONRS></SIGNONMSGSRSV1>",
+      "<BANKMSGSRSV1><STMTTRNRS>",
+      "<TRNUID>0",
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      "<STMTRS>",
+      `<CURDEF>${isoCurrency(account?.currency || currency)}`,
+      "<BANKACCTFROM>",
+      `<BANKID>${ofxText(account?.bank || "MONBUDGET", 9)}`,
+      `<ACCTID>${ofxText(account?.accountNumber || account?._id || "ALL", 22)}`,
+      `<ACCTTYPE>${account?.type === "savings" ? "SAVINGS" : "CHECKING"}`,
+      "</BANKACCTFROM>",
+      "<BANKTRANLIST>",
+      `<DTSTART>${ofxDate(startDate || new Date(0))}`,
+      `<DTEND>${ofxDate(endDate || new Date())}`,
+      "",
+    ].join("\r\n"),
+  row: (transaction) => {
+    const amount = signedAmount(transaction, account)
+    const trnType = transaction.type === "transfer" ? "XFER" : amount > 0 ? "CREDIT" : "DEBIT"
+
+    return (
+      [
+        "<STMTTRN>",
+        `<TRNTYPE>${trnType}`,
+        `<DTPOSTED>${ofxDate(transaction.date)}`,
+        `<TRNAMT>${amount.toFixed(2)}`,
+        `<FITID>${transaction._id}`,
+        `<NAME>${ofxText(transaction.merchant || transaction.description, 32)}`,
+        `<MEMO>${ofxText([transaction.category?.name, transaction.description].filter(Boolean).join(" - "))}`,
+        "</STMTTRN>",
+      ].join("\r\n") + "\r\n"
+    )
+  },
+  footer: () =>
+    ["</BANKTRANLIST>", "</STMTRS>", "</STMTTRNRS></BANKMSGSRSV1>", "</OFX>", ""].join("\r\n"),
+})
+
+const EXPORT_WRITERS = {
+  csv: createCsvWriter,
+  jsonl: createJsonLinesWriter,
+  ofx: createOfxWriter,
+}
+
+const createExportWriter = (format, options) => EXPORT_WRITERS[format](options)
+
+module.exports = {
+  createExportWriter,
+}
@@ -0,0 +1,162 @@
+const Transaction = require("../models/Transaction")
+const Category = require("../models/Category")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Tolérance de date pour la détection des doublons (date de valeur vs date d'opération)
+const DUPLICATE_DATE_TOLERANCE_DAYS = 3
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.5
+
+// Mots-clés courants sur les relevés sénégalais -> nom de catégorie par défaut
+const CATEGORY_KEYWORDS = [
+  { pattern: /salaire|paie|virement employeur/i, category: "Salaire", type: "income" },
+  { pattern: /senelec|sen'?eau|sde|woyofal|canal\+?|orange fibre|free (home|box)|facture/i, category: "Factures" },
+  { pattern: /loyer|bail|syndic/i, category: "Logement" },
+  { pattern: /auchan|casino|carrefour|super ?u|march[ée]|boulangerie|restaurant|dibiterie/i, category: "Alimentation" },
+  { pattern: /total|shell|oilibya|elton|station|taxi|dem dikk|yango|heetch|p[ée]age|ter\b/i, category: "Transport" },
+  { pattern: /pharmacie|clinique|h[ôo]pital|m[ée]decin|laboratoire/i, category: "Santé" },
+  { pattern: /[ée]cole|universit[ée]|scolarit[ée]|formation|inscription/i, category: "Éducation" },
+  { pattern: /cin[ée]ma|netflix|spotify|canal|sport|voyage/i, category: "Loisirs" },
+]
+
+// Normaliser un libellé : minuscules, sans accents, sans chiffres ni ponctuation
+const normalizeText = (text = "") =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+// Similarité de deux libellés (coefficient de Dice sur les bigrammes), entre 0 et 1
+const similarity = (a, b) => {
+  const left = normalizeText(a)
+  const right = normalizeText(b)
+
+  if (!left || !right) return 0
+  if (left === right) return 1
+
+  const bigrams = (text) => {
+    const result = new Map()
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2)
+      result.set(bigram, (result.get(bigram) || 0) + 1)
+    }
+    return result
+  }
+
+  const leftBigrams = bigrams(left)
+  const rightBigrams = bigrams(right)
+  let intersection = 0
+
+  for (const [bigram, count] of leftBigrams) {
+    intersection += Math.min(count, rightBigrams.get(bigram) || 0)
+  }
+
+  return (2 * intersection) / (left.length - 1 + right.length - 1)
+}
+
+// Chercher une transaction existante correspondant à une ligne importée
+const findDuplicate = (row, existingTransactions) => {
+  if (row.reference) {
+    const sameReference = existingTransactions.find((transaction) => transaction.importReference === row.reference)
+    if (sameReference) return sameReference
+  }
+
+  return existingTransactions.find(
+    (transaction) =>
+      transaction.type === row.type &&
+      Math.abs(transaction.amount - row.amount) < 0.01 &&
+      Math.abs(transaction.date - row.date) <= DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS &&
+      similarity(transaction.description, row.description) >= DUPLICATE_SIMILARITY_THRESHOLD,
+  )
+}
+
+// Proposer une catégorie : d'abord l'historique de l'utilisateur, puis les mots-clés, puis "Autres"
+const suggestCategory = (row, history, categories) => {
+  const candidates = categories.filter((category) => category.type === row.type)
+
+  let best = null
+  for (const transaction of history) {
+    if (transaction.type !== row.type) continue
+    const score = similarity(transaction.description, row.description)
+    if (score >= 0.6 && (!best || score > best.score)) {
+      best = { score, categoryId: transaction.categoryId.toString() }
+    }
+  }
+
+  if (best) {
+    const category = candidates.find((candidate) => candidate._id.toString() === best.categoryId)
+    if (category) return { category, reason: "history" }
+  }
+
+  const keyword = CATEGORY_KEYWORDS.find(
+    (rule) => (rule.type || "expense") === row.type && rule.pattern.test(row.description),
+  )
+  if (keyword) {
+    const category = candidates.find((candidate) => candidate.name === keyword.category)
+    if (category) return { category, reason: "keyword" }
+  }
+
+  const fallbackName = row.type === "income" ? "Autres revenus" : "Autres dépenses"
+  const fallback = candidates.find((candidate) => candidate.name === fallbackName) || candidates[0]
+  return fallback ? { category: fallback, reason: "default" } : null
+}
+
+// Préparer l'aperçu d'un import : doublons et catégories suggérées pour chaque ligne
+const prepareImport = async ({ userId, account, rows }) => {
+  if (rows.length === 0) return []
+
+  const dates = rows.map((row) => row.date.getTime())
+  const from = new Date(Math.min(...dates) - DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS)
+  const to = new Date(Math.max(...dates) + DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS)
+
+  const [existingTransactions, history, categories] = await Promise.all([
+    // Sans compte (SMS dont l'opérateur n'a pas de portefeuille associé), pas de recherche de doublons
+    account
+      ? Transaction.find({ accountId: account._id, date: { $gte: from, $lte: to } }).select(
+          "type amount date description importReference",
+        )
+      : [],
+    Transaction.find({ userId, type: { $in: ["income", "expense"] } })
+      .sort({ date: -1 })
+      .limit(500)
+      .select("type description categoryId"),
+    Category.getUserCategories(userId),
+  ])
+
+  // Les lignes déjà retenues comptent aussi, pour repérer les doublons à l'intérieur du fichier
+  const seen = [...existingTransactions]
+
+  return rows.map((row, index) => {
+    const duplicate = findDuplicate(row, seen)
+    const suggestion = suggestCategory(row, history, categories)
+
+    if (!duplicate) {
+      seen.push({ ...row, importReference: row.reference })
+    }
+
+    return {
+      index,
+      ...row,
+      isDuplicate: Boolean(duplicate),
+      duplicateOf: duplicate?._id || null,
+      suggestedCategory: suggestion
+        ? {
+            _id: suggestion.category._id,
+            name: suggestion.category.name,
+            color: suggestion.category.color,
+            icon: suggestion.category.icon,
+            reason: suggestion.reason,
+          }
+        : null,
+    }
+  })
+}
+
+module.exports = {
+  prepareImport,
+  similarity,
+  suggestCategory,
+}
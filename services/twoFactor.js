@@ -0,0 +1,301 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+
+// Double authentification par application (Google Authenticator, Authy...) : codes TOTP (RFC 6238,
+// SHA-1, 6 chiffres, 30 secondes). Le secret est chiffré en base (AES-256-GCM) et les codes de secours
+// ne sont stockés que sous forme d'empreinte.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "MonBudget"
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Pas de temps acceptés de part et d'autre de l'heure du serveur (décalage des horloges)
+const WINDOW = 1
+const RECOVERY_CODES_COUNT = 10
+// Verrouillage après trop de codes erronés
+const MAX_FAILED_ATTEMPTS = Number.parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5
+const LOCK_MS = (Number.parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15) * 60 * 1000
+// Durée de validité de l'étape intermédiaire de la connexion (entre le mot de passe et le code)
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m"
+const CHALLENGE_PURPOSE = "two_factor_login"
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes"
+
+const twoFactorError = (message, status = 400, extra = {}) => Object.assign(new Error(message), { status, ...extra })
+
+// Encodage base32 (RFC 4648) attendu par les applications d'authentification
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+const base32Decode = (text) => {
+  let bits = ""
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Secret base32 invalide")
+    bits += index.toString(2).padStart(5, "0")
+  }
+
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(Number.parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+// Chiffrement du secret : clé dérivée de TWO_FACTOR_ENCRYPTION_KEY (ou à défaut de JWT_SECRET)
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest()
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".")
+}
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split(".").map((part) => Buffer.from(part, "base64url"))
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+}
+
+// Code TOTP d'un pas de temps (HOTP RFC 4226 avec troncature dynamique)
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0")
+}
+
+// Retourne le pas de temps correspondant au code, ou null
+const matchTotp = (secret, code, now = new Date()) => {
+  const current = Math.floor(now.getTime() / 1000 / STEP_SECONDS)
+  for (let offset = -WINDOW; offset <= WINDOW; offset++) {
+    const expected = Buffer.from(generateTotp(secret, current + offset))
+    const received = Buffer.from(String(code).padStart(DIGITS, "0").slice(0, DIGITS))
+    if (crypto.timingSafeEqual(expected, received)) return current + offset
+  }
+  return null
+}
+
+const buildOtpauthUri = (user, secret) => {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(user.email)}`
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+// Codes de secours au format XXXX-XXXX (sans caractères ambigus)
+const RECOVERY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 8 }, () => RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)])
+  return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`
+}
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.toUpperCase().replace(/[^A-Z0-9]/g, "")).digest("hex")
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODES_COUNT }, generateRecoveryCode)
+
+// Charger l'utilisateur avec les champs secrets de la double authentification
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS)
+
+// Commencer l'activation : nouveau secret en attente de confirmation, retourné avec l'URI otpauth (QR code)
+const startEnrollment = async (userId) => {
+  const user = await loadWithSecrets(userId)
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("La double authentification est déjà activée")
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20))
+  user.set("twoFactor.pendingSecret", encryptSecret(secret))
+  await user.save()
+
+  return { secret, otpauthUri: buildOtpauthUri(user, secret) }
+}
+
+// Confirmer l'activation avec un premier code de l'application ; retourne les codes de secours en clair
+const confirmEnrollment = async (userId, code, { now = new Date() } = {}) => {
+  const user = await loadWithSecrets(userId)
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("La double authentification est déjà activée")
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw twoFactorError("Aucune activation en cours. Recommencez la configuration.")
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret)
+  const step = matchTotp(secret, code, now)
+  if (step === null) {
+    throw twoFactorError("Code incorrect. Vérifiez l'heure de votre téléphone et réessayez.")
+  }
+
+  const recoveryCodes = generateRecoveryCodes()
+  user.twoFactor = {
+    enabled: true,
+    enabledAt: now,
+    secret: user.twoFactor.pendingSecret,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    failedAttempts: 0,
+  }
+  await user.save()
+
+  return { user, recoveryCodes }
+}
+
+// Enregistrer un échec ; au-delà de MAX_FAILED_ATTEMPTS la double authentification est verrouillée
+const recordFailure = async (user, now) => {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { "twoFactor.failedAttempts": 1 } }, { new: true })
+  if (updated.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": new Date(now.getTime() + LOCK_MS) } },
+    )
+  }
+  return Math.max(0, MAX_FAILED_ATTEMPTS - updated.twoFactor.failedAttempts)
+}
+
+// Vérifier le second facteur : code de l'application ou code de secours (usage unique).
+// L'utilisateur doit être chargé avec les champs secrets ; retourne la méthode utilisée.
+const verifySecondFactor = async (user, code, { now = new Date() } = {}) => {
+  if (!user.twoFactor?.enabled) {
+    throw twoFactorError("La double authentification n'est pas activée")
+  }
+  if (user.twoFactor.lockedUntil > now) {
+    const retryAfter = Math.ceil((user.twoFactor.lockedUntil - now) / 1000)
+    throw twoFactorError("Trop de codes erronés. Réessayez plus tard.", 429, { retryAfter })
+  }
+
+  const input = String(code).trim()
+
+  if (/^\d{6}$/.test(input)) {
+    const step = matchTotp(decryptSecret(user.twoFactor.secret), input, now)
+    if (step !== null) {
+      // Un même code ne peut servir qu'une fois, même pendant sa période de validité
+      const accepted = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }],
+        },
+        { $set: { "twoFactor.lastUsedStep": step, "twoFactor.failedAttempts": 0 } },
+      )
+      if (accepted.modifiedCount) return { method: "totp" }
+      throw twoFactorError("Ce code a déjà été utilisé. Attendez le code suivant.", 401)
+    }
+  } else {
+    const consumed = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodeHashes": hashRecoveryCode(input) },
+      { $pull: { "twoFactor.recoveryCodeHashes": hashRecoveryCode(input) }, $set: { "twoFactor.failedAttempts": 0 } },
+    )
+    if (consumed.modifiedCount) {
+      return { method: "recovery_code", recoveryCodesLeft: user.twoFactor.recoveryCodeHashes.length - 1 }
+    }
+  }
+
+  const attemptsLeft = await recordFailure(user, now)
+  throw twoFactorError("Code de double authentification incorrect", 401, { attemptsLeft })
+}
+
+// Jeton intermédiaire remis après le mot de passe : il ne donne accès qu'à l'étape du code
+const createLoginChallenge = (user) =>
+  jwt.sign({ sub: user._id.toString(), purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRE,
+  })
+
+// Vérifier le jeton intermédiaire puis le code ; retourne l'utilisateur authentifié
+const completeLoginChallenge = async (challengeToken, code, { now = new Date() } = {}) => {
+  let payload
+  try {
+    payload = jwt.verify(challengeToken, process.env.JWT_SECRET)
+  } catch (error) {
+    throw twoFactorError("Étape de connexion expirée. Veuillez vous reconnecter.", 401)
+  }
+  if (payload.purpose !== CHALLENGE_PURPOSE) {
+    throw twoFactorError("Étape de connexion invalide. Veuillez vous reconnecter.", 401)
+  }
+
+  const user = await loadWithSecrets(payload.sub)
+  if (!user) {
+    throw twoFactorError("Étape de connexion invalide. Veuillez vous reconnecter.", 401)
+  }
+
+  const result = await verifySecondFactor(user, code, { now })
+  return { user, ...result }
+}
+
+// Vérifier le mot de passe et le second facteur avant une opération sensible ; retourne l'utilisateur
+const reauthenticate = async (userId, { password, code }, { now = new Date() } = {}) => {
+  const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`)
+  if (!(await user.comparePassword(password))) {
+    throw twoFactorError("Mot de passe incorrect")
+  }
+  // Un code absent n'est pas compté comme un essai erroné
+  if (!code) {
+    throw twoFactorError("Le code de double authentification est requis", 401, { twoFactorRequired: true })
+  }
+  await verifySecondFactor(user, code, { now })
+  return user
+}
+
+// Remplacer les codes de secours (les anciens deviennent inutilisables)
+const regenerateRecoveryCodes = async (userId, credentials, options) => {
+  const user = await reauthenticate(userId, credentials, options)
+  const recoveryCodes = generateRecoveryCodes()
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode) } },
+  )
+  return recoveryCodes
+}
+
+// Désactiver la double authentification (mot de passe et code requis)
+const disableTwoFactor = async (userId, credentials, options) => {
+  const user = await reauthenticate(userId, credentials, options)
+  user.twoFactor = { enabled: false }
+  return await user.save()
+}
+
+// État de la double authentification pour l'utilisateur
+const getTwoFactorStatus = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactor.recoveryCodeHashes")
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodeHashes?.length || 0 : 0,
+  }
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  matchTotp,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  reauthenticate,
+  createLoginChallenge,
+  completeLoginChallenge,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+}
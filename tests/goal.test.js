@@ -0,0 +1,167 @@
+const mongoose = require("mongoose")
+const Transaction = require("../models/Transaction")
+const Goal = require("../models/Goal")
+const User = require("../models/User")
+const { notifyMilestoneReached } = require("../services/goalMilestones")
+
+const build = (data) =>
+  new Goal({
+    userId: new mongoose.Types.ObjectId(),
+    name: "Voyage",
+    targetAmount: 100000,
+    targetDate: new Date("2030-01-01T00:00:00Z"),
+    category: "vacation",
+    ...data,
+  })
+
+describe("Goal.withdraw", () => {
+  let returnedTransactionId
+
+  beforeEach(() => {
+    returnedTransactionId = new mongoose.Types.ObjectId()
+    jest.spyOn(Transaction, "runInTransaction").mockImplementation(async (work) => await work("session"))
+    jest.spyOn(Goal.prototype, "save").mockImplementation(async function () {
+      return this
+    })
+    jest.spyOn(Goal.prototype, "returnFunds").mockImplementation(async () => ({ _id: returnedTransactionId }))
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("rend au compte source le montant prélevé par des contributions liées", async () => {
+    const goal = build({ sourceAccountId: new mongoose.Types.ObjectId() })
+    goal.recordContribution({ amount: 30000, transactionId: new mongoose.Types.ObjectId() })
+
+    await goal.withdraw(10000, { reason: "Imprévu" })
+
+    expect(goal.returnFunds).toHaveBeenCalledWith(10000, expect.objectContaining({ session: "session" }))
+    expect(goal.currentAmount).toBe(20000)
+    expect(goal.contributions.at(-1)).toMatchObject({ amount: -10000, source: "withdrawal" })
+    expect(goal.contributions.at(-1).transactionId).toEqual(returnedTransactionId)
+  })
+
+  it("ne crédite pas les contributions antérieures au compte source", async () => {
+    const goal = build()
+    goal.recordContribution({ amount: 20000 })
+    goal.sourceAccountId = new mongoose.Types.ObjectId()
+    goal.recordContribution({ amount: 5000, transactionId: new mongoose.Types.ObjectId() })
+
+    await goal.withdraw(15000)
+
+    // 5000 reviennent sur le compte, les 10000 jamais prélevés sont un retrait sans transaction
+    expect(goal.returnFunds).toHaveBeenCalledTimes(1)
+    expect(goal.returnFunds).toHaveBeenCalledWith(5000, expect.anything())
+    const [linked, unlinked] = goal.contributions.slice(-2)
+    expect(linked.amount).toBe(-5000)
+    expect(linked.transactionId).toEqual(returnedTransactionId)
+    expect(unlinked.amount).toBe(-10000)
+    expect(unlinked.transactionId).toBeUndefined()
+    expect(goal.currentAmount).toBe(10000)
+    expect(goal.getFundedAmount()).toBe(0)
+  })
+
+  it("ne crée aucune transaction quand rien n'a été prélevé", async () => {
+    const goal = build({ sourceAccountId: new mongoose.Types.ObjectId() })
+    goal.recordContribution({ amount: 20000 })
+
+    await goal.withdraw(5000)
+
+    expect(goal.returnFunds).not.toHaveBeenCalled()
+    expect(goal.contributions.at(-1)).toMatchObject({ amount: -5000 })
+    expect(goal.contributions.at(-1).transactionId).toBeUndefined()
+  })
+
+  it("refuse un retrait supérieur au montant épargné", async () => {
+    const goal = build()
+    goal.recordContribution({ amount: 1000 })
+
+    await expect(goal.withdraw(2000)).rejects.toMatchObject({ status: 400 })
+    expect(goal.contributions).toHaveLength(1)
+  })
+})
+
+describe("Goal jalons", () => {
+  const milestones = [
+    { name: "Quart", amount: 25000 },
+    { name: "Moitié", amount: 50000 },
+  ]
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("marque les jalons atteints et les met en attente d'annonce", () => {
+    const goal = build({ milestones })
+    const now = new Date("2024-06-01T00:00:00Z")
+
+    goal.currentAmount = 30000
+    goal.refreshProgress({ now })
+
+    expect(goal.milestones[0]).toMatchObject({ achieved: true, achievedDate: now })
+    expect(goal.milestones[1].achieved).toBe(false)
+    expect(goal.$locals.reachedMilestones.map((milestone) => milestone.name)).toEqual(["Quart"])
+  })
+
+  it("n'annonce pas un jalon déjà dépassé à sa création", async () => {
+    jest.spyOn(Goal.prototype, "save").mockImplementation(async function () {
+      return this
+    })
+    const goal = build({ currentAmount: 40000 })
+
+    await goal.addMilestones(milestones)
+
+    expect(goal.milestones[0].achieved).toBe(true)
+    expect(goal.milestones[1].achieved).toBe(false)
+    expect(goal.$locals.reachedMilestones).toBeUndefined()
+  })
+
+  it("annule un jalon et rouvre l'objectif après un retrait", () => {
+    const goal = build({ milestones, targetAmount: 50000 })
+    goal.recordContribution({ amount: 50000 })
+    goal.status = "completed"
+
+    goal.recordContribution({ amount: -30000, source: "withdrawal" })
+
+    expect(goal.milestones[0].achieved).toBe(false)
+    expect(goal.milestones[0].achievedDate).toBeUndefined()
+    expect(goal.milestones[1].achieved).toBe(false)
+    expect(goal.status).toBe("active")
+  })
+
+  it("ne propose que les jalons dont le montant n'existe pas encore", () => {
+    const goal = build({ milestones })
+
+    expect(goal.suggestMilestones()).toEqual([{ name: "75 % de l'objectif", amount: 75000, percentage: 75 }])
+  })
+
+  it("refuse un jalon au-delà du montant cible", async () => {
+    const goal = build()
+
+    await expect(goal.addMilestones([{ name: "Trop", amount: 150000 }])).rejects.toMatchObject({ status: 400 })
+    expect(goal.milestones).toHaveLength(0)
+  })
+})
+
+describe("notifyMilestoneReached", () => {
+  const notifier = { notify: jest.fn(async (user, notification) => notification) }
+  const goal = build({ currentAmount: 30000, milestones: [{ name: "Quart", amount: 25000, reward: "Un resto" }] })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    notifier.notify.mockClear()
+  })
+
+  it("notifie l'utilisateur avec la récompense du jalon", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue({ preferences: { currency: "CFA" } })
+
+    const notification = await notifyMilestoneReached({ goal, milestone: goal.milestones[0] }, { notifier })
+
+    expect(notification).toMatchObject({ type: "goal_milestone", data: { amount: 25000 } })
+    expect(notification.message).toContain("Un resto")
+  })
+
+  it("respecte les préférences de notification de l'utilisateur", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue({ preferences: { notifications: { goalReminders: false } } })
+
+    expect(await notifyMilestoneReached({ goal, milestone: goal.milestones[0] }, { notifier })).toBeNull()
+    expect(notifier.notify).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose")
+const { projectGoal, allocateSavings, getContributionPace } = require("../services/goalProjection")
+
+const now = new Date("2024-06-01T00:00:00Z")
+const inMonths = (months) => new Date(now.getTime() + months * 30.44 * 24 * 60 * 60 * 1000)
+
+const goal = (data) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Objectif",
+  priority: "medium",
+  currentAmount: 0,
+  targetAmount: 100000,
+  targetDate: inMonths(10),
+  contributions: [],
+  createdAt: new Date("2024-01-01T00:00:00Z"),
+  ...data,
+})
+
+describe("projectGoal", () => {
+  it("calcule le versement requis et la date d'atteinte sans incertitude", () => {
+    const projection = projectGoal(goal({ currentAmount: 40000 }), { monthlyContribution: 10000, now })
+    expect(projection.remainingAmount).toBe(60000)
+    expect(projection.requiredMonthly).toBe(6000)
+    expect(projection.monthsNeeded).toBe(6)
+    expect(projection.onTrack).toBe(true)
+    expect(projection.probability).toBe(100)
+  })
+
+  it("donne une chance sur deux quand le versement prévu atteint tout juste l'objectif", () => {
+    const projection = projectGoal(goal(), { monthlyContribution: 10000, standardDeviation: 5000, now })
+    expect(projection.probability).toBe(50)
+  })
+
+  it("n'a pas de date d'atteinte sans versement", () => {
+    const projection = projectGoal(goal(), { monthlyContribution: 0, now })
+    expect(projection.monthsNeeded).toBeNull()
+    expect(projection.projectedCompletionDate).toBeNull()
+    expect(projection.probability).toBe(0)
+  })
+
+  it("considère un objectif atteint comme certain", () => {
+    const projection = projectGoal(goal({ currentAmount: 100000 }), { monthlyContribution: 0, now })
+    expect(projection.monthsNeeded).toBe(0)
+    expect(projection.probability).toBe(100)
+  })
+})
+
+describe("getContributionPace", () => {
+  it("moyenne les contributions des trois derniers mois", () => {
+    const paced = goal({
+      contributions: [
+        { amount: 30000, date: new Date("2024-04-01T00:00:00Z") },
+        { amount: 15000, date: new Date("2024-05-15T00:00:00Z") },
+        { amount: 99999, date: new Date("2023-12-01T00:00:00Z") },
+      ],
+    })
+    expect(getContributionPace(paced, now)).toBeCloseTo(15000, -1)
+  })
+})
+
+describe("allocateSavings", () => {
+  const capacity = { monthlyCapacity: 20000, standardDeviation: 0 }
+
+  it("sert les objectifs par priorité quand la capacité ne suffit pas", () => {
+    const high = goal({ priority: "high" })
+    const low = goal({ priority: "low" })
+    const overrides = {
+      [high._id.toString()]: { monthlyContribution: 15000 },
+      [low._id.toString()]: { monthlyContribution: 15000 },
+    }
+    const [first, second] = allocateSavings([low, high], capacity, { overrides, now })
+
+    expect(first.goalId).toBe(high._id)
+    expect(first.monthlyContribution).toBe(15000)
+    expect(first.constrained).toBe(false)
+    expect(second.monthlyContribution).toBe(5000)
+    expect(second.constrained).toBe(true)
+  })
+
+  it("ne réserve pas plus que le montant restant d'un objectif presque atteint", () => {
+    const almostDone = goal({ priority: "high", currentAmount: 95000 })
+    const next = goal({ priority: "low" })
+    const overrides = {
+      [almostDone._id.toString()]: { monthlyContribution: 15000 },
+      [next._id.toString()]: { monthlyContribution: 15000 },
+    }
+    const [first, second] = allocateSavings([almostDone, next], capacity, { overrides, now })
+
+    expect(first.plannedMonthly).toBe(5000)
+    expect(first.monthlyContribution).toBe(5000)
+    expect(second.monthlyContribution).toBe(15000)
+    expect(second.constrained).toBe(false)
+  })
+
+  it("répartit la capacité restante entre les objectifs sans rythme ni épargne automatique", () => {
+    const paced = goal({ priority: "low" })
+    const unplanned = goal({ priority: "high", targetAmount: 50000 })
+    const later = goal({ priority: "medium" })
+    const overrides = { [paced._id.toString()]: { monthlyContribution: 8000 } }
+    const [first, second, third] = allocateSavings([paced, unplanned, later], capacity, { overrides, now })
+
+    // L'objectif doté d'un versement prévu est servi d'abord, même moins prioritaire
+    expect(third.goalId).toBe(paced._id)
+    expect(third.monthlyContribution).toBe(8000)
+    expect(third.fromSurplus).toBe(false)
+    // Le surplus couvre le versement requis du plus prioritaire, puis ce qui reste va au suivant
+    expect(first.fromSurplus).toBe(true)
+    expect(first.plannedMonthly).toBe(5000)
+    expect(first.monthlyContribution).toBe(5000)
+    expect(first.constrained).toBe(false)
+    expect(second.plannedMonthly).toBe(10000)
+    expect(second.monthlyContribution).toBe(7000)
+    expect(second.constrained).toBe(true)
+  })
+
+  it("ne donne rien du surplus à un objectif atteint ou simulé à 0", () => {
+    const reached = goal({ currentAmount: 100000 })
+    const simulated = goal({ priority: "high" })
+    const overrides = { [simulated._id.toString()]: { monthlyContribution: 0 } }
+    const [first, second] = allocateSavings([reached, simulated], capacity, { overrides, now })
+
+    expect(first.goalId).toBe(simulated._id)
+    expect(first.monthlyContribution).toBe(0)
+    expect(first.fromSurplus).toBe(false)
+    expect(second.monthlyContribution).toBe(0)
+    expect(second.fromSurplus).toBe(false)
+  })
+})
@@ -0,0 +1,77 @@
+jest.mock("../models/JobLock", () => ({
+  acquire: jest.fn(),
+  extend: jest.fn(),
+  release: jest.fn(),
+  find: jest.fn(),
+}))
+jest.mock("../models/JobRun", () => ({
+  create: jest.fn(),
+}))
+
+const JobLock = require("../models/JobLock")
+const JobRun = require("../models/JobRun")
+const { createJobScheduler } = require("../services/jobScheduler")
+
+const HOUR = 60 * 60 * 1000
+
+describe("createJobScheduler", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    JobLock.acquire.mockResolvedValue(true)
+    JobLock.extend.mockResolvedValue(true)
+    JobLock.release.mockResolvedValue()
+    JobRun.create.mockImplementation(async (data) => ({ ...data, save: jest.fn().mockResolvedValue() }))
+  })
+
+  it("n'exécute pas deux fois une tâche déclenchée pendant un passage planifié du même processus", async () => {
+    let finish
+    const run = jest.fn(() => new Promise((resolve) => (finish = resolve)))
+    const scheduler = createJobScheduler({ jobs: [{ name: "test", intervalMs: HOUR, run }], instanceId: "a" })
+
+    const scheduled = scheduler.runJob("test")
+    const manual = await scheduler.runJob("test", { trigger: "manual" })
+
+    expect(manual.status).toBe("skipped")
+    expect(JobLock.acquire).toHaveBeenCalledTimes(1)
+
+    finish({ done: true })
+    const result = await scheduled
+    expect(result.status).toBe("succeeded")
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(JobLock.release).toHaveBeenCalledWith("test", "a", expect.objectContaining({ succeeded: true }))
+  })
+
+  it("ignore un passage planifié quand le verrou est détenu ailleurs", async () => {
+    JobLock.acquire.mockResolvedValue(false)
+    const run = jest.fn()
+    const scheduler = createJobScheduler({ jobs: [{ name: "test", intervalMs: HOUR, run }], instanceId: "a" })
+
+    expect(await scheduler.runJob("test")).toBeNull()
+    expect(run).not.toHaveBeenCalled()
+  })
+
+  it("peut relancer la tâche une fois le passage précédent terminé", async () => {
+    const run = jest.fn().mockResolvedValue({})
+    const scheduler = createJobScheduler({ jobs: [{ name: "test", intervalMs: HOUR, run }], instanceId: "a" })
+
+    await scheduler.runJob("test", { trigger: "manual" })
+    await scheduler.runJob("test", { trigger: "manual" })
+    expect(run).toHaveBeenCalledTimes(2)
+  })
+
+  it("enregistre l'échec de la tâche et libère le verrou", async () => {
+    const run = jest.fn().mockRejectedValue(new Error("boom"))
+    const scheduler = createJobScheduler({ jobs: [{ name: "test", intervalMs: HOUR, run }], instanceId: "a" })
+    jest.spyOn(console, "error").mockImplementation(() => {})
+
+    const result = await scheduler.runJob("test", { trigger: "manual" })
+    expect(result.status).toBe("failed")
+    expect(result.error).toBe("boom")
+    expect(JobLock.release).toHaveBeenCalledWith("test", "a", expect.objectContaining({ succeeded: false }))
+  })
+
+  it("rejette une tâche inconnue avec une erreur 404", async () => {
+    const scheduler = createJobScheduler({ jobs: [], instanceId: "a" })
+    await expect(scheduler.runJob("inconnue")).rejects.toMatchObject({ status: 404 })
+  })
+})
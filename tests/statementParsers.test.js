@@ -0,0 +1,65 @@
+const { parseAmount, parseDate } = require("../services/statementParsers")
+const { parseSmsAmount, parseSmsMessage } = require("../services/smsParsers")
+
+describe("parseAmount", () => {
+  it("lit les montants au format français", () => {
+    expect(parseAmount("1 234 567,50")).toBe(1234567.5)
+    expect(parseAmount("12,50")).toBe(12.5)
+    expect(parseAmount("1.234,50")).toBe(1234.5)
+  })
+
+  it("lit les montants au format anglais", () => {
+    expect(parseAmount("1,234.50")).toBe(1234.5)
+    expect(parseAmount("1234.5")).toBe(1234.5)
+  })
+
+  it("traite les groupes de trois chiffres comme des milliers", () => {
+    expect(parseAmount("25,000")).toBe(25000)
+    expect(parseAmount("1,500,000")).toBe(1500000)
+    expect(parseAmount("25.000")).toBe(25000)
+    expect(parseAmount("1.500.000")).toBe(1500000)
+  })
+
+  it("ne confond pas deux séparateurs différents avec des milliers", () => {
+    expect(parseAmount("1.500,000")).toBe(1500)
+    expect(parseAmount("1,500.000")).toBe(1500)
+  })
+
+  it("reconnaît les montants négatifs et ignore la devise", () => {
+    expect(parseAmount("-25000")).toBe(-25000)
+    expect(parseAmount("(1 500)")).toBe(-1500)
+    expect(parseAmount("25 000 FCFA")).toBe(25000)
+    expect(parseAmount("12,50 €")).toBe(12.5)
+  })
+
+  it("retourne null pour une valeur illisible", () => {
+    expect(parseAmount("")).toBeNull()
+    expect(parseAmount(null)).toBeNull()
+    expect(parseAmount("abc")).toBeNull()
+  })
+})
+
+describe("parseSmsAmount", () => {
+  it("lit les montants des SMS de mobile money", () => {
+    expect(parseSmsAmount("10.000")).toBe(10000)
+    expect(parseSmsAmount("10 000")).toBe(10000)
+    expect(parseSmsAmount("10000.00")).toBe(10000)
+  })
+})
+
+describe("parseSmsMessage", () => {
+  it("lit le montant, les frais et le solde d'un SMS de transfert", () => {
+    const draft = parseSmsMessage(
+      "Wave: Vous avez envoyé 25.000F à Awa Diop 771234567 le 15/03/2024 10:30. Frais 250F. Nouveau solde 1.500.000F.",
+    )
+    expect(draft).toMatchObject({ provider: "Wave", type: "expense", amount: 25000, fees: 250, balance: 1500000 })
+  })
+})
+
+describe("parseDate", () => {
+  it("lit les dates selon le format du profil", () => {
+    expect(parseDate("15/03/2024").toISOString()).toBe("2024-03-15T12:00:00.000Z")
+    expect(parseDate("03/15/24", "MM/DD/YYYY").toISOString()).toBe("2024-03-15T12:00:00.000Z")
+    expect(parseDate("2024-03-15", "YYYY-MM-DD").toISOString()).toBe("2024-03-15T12:00:00.000Z")
+  })
+})
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose")
+const Transaction = require("../models/Transaction")
+
+const accountId = new mongoose.Types.ObjectId()
+const otherAccountId = new mongoose.Types.ObjectId()
+
+const build = (data) =>
+  new Transaction({
+    userId: new mongoose.Types.ObjectId(),
+    accountId,
+    categoryId: new mongoose.Types.ObjectId(),
+    description: "Test",
+    status: "completed",
+    ...data,
+  })
+
+describe("Transaction.getBalanceEffects", () => {
+  it("crédite le compte pour un revenu", () => {
+    expect(build({ type: "income", amount: 5000 }).getBalanceEffects()).toEqual([{ accountId, amount: 5000 }])
+  })
+
+  it("débite le compte pour une dépense", () => {
+    expect(build({ type: "expense", amount: 1200 }).getBalanceEffects()).toEqual([{ accountId, amount: -1200 }])
+  })
+
+  it("débite la source et crédite la destination pour un transfert", () => {
+    const transaction = build({ type: "transfer", amount: 10000, transferAccountId: otherAccountId })
+    expect(transaction.getBalanceEffects()).toEqual([
+      { accountId, amount: -10000 },
+      { accountId: otherAccountId, amount: 10000 },
+    ])
+  })
+
+  it("crédite le montant converti pour un transfert entre devises", () => {
+    const transaction = build({
+      type: "transfer",
+      amount: 65596,
+      transferAccountId: otherAccountId,
+      exchangeRate: 0.001524,
+      transferAmount: 99.97,
+    })
+    expect(transaction.getBalanceEffects()[1]).toEqual({ accountId: otherAccountId, amount: 99.97 })
+  })
+
+  it("n'a aucun effet tant que la transaction n'est pas effectuée", () => {
+    expect(build({ type: "expense", amount: 1200, status: "pending" }).getBalanceEffects()).toEqual([])
+  })
+})
+
+describe("Transaction.getOccurrenceTransferAmount", () => {
+  const template = () =>
+    build({
+      type: "transfer",
+      amount: 65596,
+      transferAccountId: otherAccountId,
+      exchangeRate: 0.001524,
+      transferAmount: 100,
+    })
+
+  it("reprend le montant crédité du modèle", () => {
+    expect(template().getOccurrenceTransferAmount()).toBe(100)
+  })
+
+  it("convertit au taux du modèle un montant modifié pour les occurrences futures", () => {
+    expect(template().getOccurrenceTransferAmount(131192)).toBe(200)
+  })
+
+  it("n'a pas de montant crédité pour un transfert dans la même devise", () => {
+    const transaction = build({ type: "transfer", amount: 5000, transferAccountId: otherAccountId })
+    expect(transaction.getOccurrenceTransferAmount(6000)).toBeUndefined()
+  })
+})
+
+describe("Transaction.rescheduleNextDate", () => {
+  const template = (pattern) =>
+    build({
+      type: "expense",
+      amount: 5000,
+      date: new Date(2024, 0, 10, 12),
+      isRecurring: true,
+      recurringPattern: { frequency: "monthly", interval: 1, ...pattern },
+    })
+  const lastOccurrence = (occurrenceDate) =>
+    jest.spyOn(Transaction, "findOne").mockReturnValue({
+      sort: () => ({ select: async () => (occurrenceDate ? { occurrenceDate } : null) }),
+    })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("repart de la dernière occurrence générée avec le nouveau rythme", async () => {
+    lastOccurrence(new Date(2024, 2, 10, 12))
+    const transaction = template({ frequency: "weekly", nextDate: new Date(2024, 3, 10, 12) })
+
+    expect(await transaction.rescheduleNextDate()).toEqual(new Date(2024, 2, 17, 12))
+  })
+
+  it("repart de la date du modèle sans occurrence générée", async () => {
+    lastOccurrence(null)
+    const transaction = template({ interval: 2, nextDate: new Date(2024, 1, 10, 12) })
+
+    expect(await transaction.rescheduleNextDate()).toEqual(new Date(2024, 2, 10, 12))
+  })
+
+  it("tient compte des occurrences déjà sautées", async () => {
+    lastOccurrence(new Date(2024, 1, 10, 12))
+    const transaction = template({
+      nextDate: new Date(2024, 3, 10, 12),
+      skippedDates: [new Date(2024, 2, 10, 12), new Date(2024, 4, 10, 12)],
+    })
+
+    expect(await transaction.rescheduleNextDate()).toEqual(new Date(2024, 3, 10, 12))
+  })
+
+  it("termine la série quand la prochaine échéance dépasse la date de fin", async () => {
+    lastOccurrence(new Date(2024, 2, 10, 12))
+    const transaction = template({ nextDate: new Date(2024, 3, 10, 12), endDate: new Date(2024, 3, 1) })
+
+    expect(await transaction.rescheduleNextDate()).toBeNull()
+  })
+})
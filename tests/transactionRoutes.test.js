@@ -0,0 +1,75 @@
+const mongoose = require("mongoose")
+
+const mockUserId = new mongoose.Types.ObjectId()
+
+jest.mock("../middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: mockUserId }
+    next()
+  },
+  requireVerifiedEmail: (req, res, next) => next(),
+}))
+
+const express = require("express")
+const request = require("supertest")
+const Transaction = require("../models/Transaction")
+const Goal = require("../models/Goal")
+const transactionRoutes = require("../routes/transactions")
+
+const app = express()
+app.use(express.json())
+app.use("/api/transactions", transactionRoutes)
+
+describe("transactions liées à une contribution d'objectif", () => {
+  const transactionId = new mongoose.Types.ObjectId()
+  const contributionId = new mongoose.Types.ObjectId()
+  let transaction
+
+  beforeEach(() => {
+    transaction = {
+      _id: transactionId,
+      userId: mockUserId,
+      updateWithBalance: jest.fn(),
+      deleteWithBalance: jest.fn(),
+    }
+    jest.spyOn(Transaction, "findOne").mockResolvedValue(transaction)
+    jest.spyOn(Goal, "findByContributionTransaction").mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Voyage",
+      contributions: [{ _id: contributionId, transactionId }],
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("refuse la suppression sans toucher au solde", async () => {
+    const response = await request(app).delete(`/api/transactions/${transactionId}`)
+
+    expect(response.status).toBe(409)
+    expect(response.body.data.contributionId).toBe(contributionId.toString())
+    expect(transaction.deleteWithBalance).not.toHaveBeenCalled()
+  })
+
+  it("refuse la modification sans toucher au solde", async () => {
+    const response = await request(app).put(`/api/transactions/${transactionId}`).send({
+      accountId: new mongoose.Types.ObjectId().toString(),
+      categoryId: new mongoose.Types.ObjectId().toString(),
+      type: "expense",
+      description: "Épargne",
+      amount: 5000,
+      date: "2024-06-01",
+    })
+
+    expect(response.status).toBe(409)
+    expect(transaction.updateWithBalance).not.toHaveBeenCalled()
+  })
+
+  it("supprime une transaction qui n'est liée à aucun objectif", async () => {
+    Goal.findByContributionTransaction.mockResolvedValue(null)
+
+    const response = await request(app).delete(`/api/transactions/${transactionId}`)
+
+    expect(response.status).toBe(200)
+    expect(transaction.deleteWithBalance).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,65 @@
+jest.mock("../models/User", () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+}))
+
+const User = require("../models/User")
+const { base32Encode, base32Decode, generateTotp, matchTotp, reauthenticate } = require("../services/twoFactor")
+
+// Secret de référence de la RFC 6238 (annexe B), en base32
+const SECRET = base32Encode(Buffer.from("12345678901234567890"))
+
+describe("base32", () => {
+  it("encode et décode un secret sans perte", () => {
+    const buffer = Buffer.from("secret de test")
+    expect(base32Decode(base32Encode(buffer))).toEqual(buffer)
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ")
+  })
+
+  it("refuse un caractère hors alphabet", () => {
+    expect(() => base32Decode("ABC1")).toThrow("Secret base32 invalide")
+  })
+})
+
+describe("generateTotp", () => {
+  it("reproduit les vecteurs de test de la RFC 6238 (6 derniers chiffres)", () => {
+    expect(generateTotp(SECRET, Math.floor(59 / 30))).toBe("287082")
+    expect(generateTotp(SECRET, Math.floor(1111111109 / 30))).toBe("081804")
+    expect(generateTotp(SECRET, Math.floor(1234567890 / 30))).toBe("005924")
+  })
+})
+
+describe("matchTotp", () => {
+  const now = new Date(1234567890 * 1000)
+  const step = Math.floor(1234567890 / 30)
+
+  it("accepte le code du pas courant et des pas voisins", () => {
+    expect(matchTotp(SECRET, "005924", now)).toBe(step)
+    expect(matchTotp(SECRET, generateTotp(SECRET, step - 1), now)).toBe(step - 1)
+    expect(matchTotp(SECRET, generateTotp(SECRET, step + 1), now)).toBe(step + 1)
+  })
+
+  it("refuse un code trop ancien", () => {
+    expect(matchTotp(SECRET, generateTotp(SECRET, step - 2), now)).toBeNull()
+  })
+})
+
+describe("reauthenticate", () => {
+  const mockUser = (user) => User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) })
+
+  beforeEach(() => jest.clearAllMocks())
+
+  it("refuse un mot de passe incorrect", async () => {
+    mockUser({ comparePassword: jest.fn().mockResolvedValue(false), twoFactor: { enabled: true } })
+    await expect(reauthenticate("id", { password: "x", code: "123456" })).rejects.toMatchObject({ status: 400 })
+  })
+
+  it("exige le code sans le compter comme un essai erroné", async () => {
+    mockUser({ _id: "id", comparePassword: jest.fn().mockResolvedValue(true), twoFactor: { enabled: true } })
+    await expect(reauthenticate("id", { password: "x" })).rejects.toMatchObject({
+      status: 401,
+      twoFactorRequired: true,
+    })
+    expect(User.updateOne).not.toHaveBeenCalled()
+  })
+})